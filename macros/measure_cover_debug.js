@@ -17,6 +17,6 @@ const api = game.modules.get("tokenvisibility").api;
 api.debug.cover = true;
 api.debug.once = true;
 
-// Display cover to user.
+// Display cover to user, explaining the cover calculation for each target.
 const coverDialog = new api.CoverDialog(token, targets);
-coverDialog.showCoverResults();
+coverDialog.showCoverResults({ includeDetails: true });
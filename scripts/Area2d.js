@@ -9,10 +9,12 @@ canvas
 */
 "use strict";
 
-import { MODULES_ACTIVE, DEBUG } from "./const.js";
+import { MODULES_ACTIVE, DEBUG, OBSCUREMENT } from "./const.js";
 import { buildTokenPoints } from "./util.js";
-import { SETTINGS, getSetting } from "./settings.js";
+import { getSetting, SETTINGS } from "./settings.js";
+import { obscurementRegions, obscurementShadow } from "./obscurement.js";
 import { Area3d} from "./Area3d.js";
+import { tileOpaqueShapes } from "./tile_alpha.js";
 import { CWSweepInfiniteWallsOnly } from "./CWSweepInfiniteWallsOnly.js";
 import { ConstrainedTokenBorder } from "./ConstrainedTokenBorder.js";
 
@@ -32,6 +34,8 @@ import { Draw } from "./geometry/Draw.js";
   -- In between: use both; take the best one.
 4. PercentArea 0 shortcut: Try testing for a breach of the LOS boundary.
 5. Intersect the LOS against the constrained target shape. Measure area.
+  -- Heavily obscured regions, and their shadows, are removed from the area.
+  -- Area within lightly obscured regions or their shadows counts partially.
 6. Calculate intersected area / constrained target shape area.
 
 */
@@ -53,13 +57,22 @@ export class Area2d {
    * @property {CONST.WALL_RESTRICTION_TYPES} type    Type of vision source
    * @property {boolean} wallsBlock                   Do walls block vision?
    * @property {boolean} tilesBlock                   Do tiles block vision?
+   * @property {boolean} tileBoxesBlock               Do tiles with a top elevation block as 3d boxes?
    * @property {boolean} deadTokensBlock              Do dead tokens block vision?
    * @property {boolean} liveTokensBlock              Do live tokens block vision?
+   * @property {string[]} excludedWallOverrides       Walls with these cover overrides do not block
+   * @property {number} boundsScale                   Scale of the target border;
+   *                                                  see Token.prototype.visibilityBoundsScale
+   * @property {boolean} obscurementBlocks            Do drawings flagged as obscured volumes obscure vision?
+   * @property {boolean} templatesBlock               Do templates flagged to block cover block?
    */
 
   /** @type {Area2dConfig} */
   config = {};
 
+  /** @type {{heavy: ClipperPaths|undefined, light: ClipperPaths|undefined}} */
+  #obscurementShadows;
+
   /**
    * Scaling factor used with Clipper
    */
@@ -87,13 +100,32 @@ export class Area2d {
     config.type ??= "sight";
     config.wallsBlock ??= true;
     config.tilesBlock ??= MODULES_ACTIVE.LEVELS || MODULES_ACTIVE.EV;
+    config.tileBoxesBlock ??= true;
     config.deadTokensBlock ??= false;
     config.liveTokensBlock ??= false;
     config.proneTokensBlock ??= true;
+    config.excludedWallOverrides ??= [];
+    config.boundsScale ??= 1;
+    config.obscurementBlocks ??= true;
+    config.templatesBlock ??= false;
 
     this.config = config;
   }
 
+  /**
+   * Elevation from which the source sees, in pixel units.
+   * Vision sources see from the eyes of their token; other sources, such as lights, from their elevation.
+   * @type {number}
+   */
+  get viewerZ() { return this.visionSource.eyeZ ?? this.visionSource.elevationZ; }
+
+  /**
+   * Target border constrained by walls, scaled by the boundsScale configuration.
+   * @type {ConstrainedTokenShape|PIXI.Rectangle|PIXI.Polygon}
+   */
+  get targetBorder() {
+    return ConstrainedTokenBorder.get(this.target, { boundsScale: this.config.boundsScale }).constrainedBorder();
+  }
 
   /**
    * Determine whether a visionSource has line-of-sight to a target based on the percent
@@ -102,10 +134,11 @@ export class Area2d {
    * @param {number} [thresholdArea]          Percent between 0 and 1 required for LOS.
    *   0% means any line-of-sight counts.
    *   100% means the entire token must be visible.
+   *   Defaults to the target's minimum visible percent.
    * @returns {boolean}
    */
   hasLOS(centerPointIsVisible, thresholdArea) {
-    thresholdArea ??= getSetting(SETTINGS.LOS.PERCENT_AREA);
+    thresholdArea ??= this.target.losPercentArea;
 
     // If less than 50% of the token area is required to be viewable, then
     // if the center point is viewable, the token is viewable from that source.
@@ -129,11 +162,12 @@ export class Area2d {
       return false;
     }
 
-    const constrained = ConstrainedTokenBorder.get(this.target, this.config.type).constrainedBorder();
+    const constrained = this.targetBorder;
 
     const shadowLOS = this._buildShadowLOS();
 
-    if ( thresholdArea === 0 ) {
+    const { heavy, light } = this.obscurementShadows;
+    if ( thresholdArea === 0 && !heavy && !light ) {
       // If percentArea equals zero, it might be possible to skip intersectConstrainedShapeWithLOS
       // and instead just measure if a token boundary has been breached.
 
@@ -208,7 +242,7 @@ export class Area2d {
   percentAreaVisible(shadowLOS) {
     shadowLOS ??= this._buildShadowLOS();
 
-    const constrained = this.target.constrainedTokenBorder;
+    const constrained = this.targetBorder;
     const targetPercentAreaBottom = shadowLOS.bottom ? this._calculatePercentSeen(shadowLOS.bottom, constrained) : 0;
     const targetPercentAreaTop = shadowLOS.top ? this._calculatePercentSeen(shadowLOS.top, constrained) : 0;
 
@@ -218,6 +252,24 @@ export class Area2d {
     return Math.max(targetPercentAreaBottom, targetPercentAreaTop);
   }
 
+  /**
+   * Portions of the target border seen by the vision source.
+   * Uses the bottom or top of the target, whichever is more visible.
+   * @param {{top: ClipperPaths, bottom: ClipperPaths}} [shadowLOS]
+   * @returns {PIXI.Polygon[]} Polygons seen; holes are marked with isHole
+   */
+  visiblePolygons(shadowLOS) {
+    shadowLOS ??= this._buildShadowLOS();
+    const constrained = this.targetBorder;
+    const bottom = shadowLOS.bottom ? this._intersectShapeWithLOS(constrained, shadowLOS.bottom) : [];
+    const top = shadowLOS.top ? this._intersectShapeWithLOS(constrained, shadowLOS.top) : [];
+    const area = polys => polys.reduce((acc, poly) => {
+      const polyArea = this._calculateSeenAreaForPolygon(poly) ?? 0;
+      return poly.isHole ? acc - polyArea : acc + polyArea;
+    }, 0);
+    return area(top) > area(bottom) ? top : bottom;
+  }
+
   /**
    * Depending on location of visionSource versus target, build one or two
    * line-of-sight polygons with shadows set to the top or bottom elevations for the target.
@@ -228,55 +280,38 @@ export class Area2d {
    * @returns {object{top: {PIXI.Polygon|undefined}, bottom: {PIXI.Polygon|undefined}}}
    */
   _buildShadowLOS() {
-    const visionSource = this.visionSource;
     const target = this.target;
     const { topZ, bottomZ } = target;
 
     // Test top and bottom of target shape.
     let bottom;
     let top;
-    const inBetween = visionSource.elevationZ <= topZ && visionSource.elevationZ >= bottomZ;
+    const viewerZ = this.viewerZ;
+    const inBetween = viewerZ <= topZ && viewerZ >= bottomZ;
 
     // If target has no height, return one shadowed LOS polygon based on target elevation.
     if ( !(topZ - bottomZ) ) return { top: this.shadowLOSForElevation(topZ) };
 
     // Looking up at bottom
-    if ( inBetween || visionSource.elevationZ < bottomZ ) bottom = this.shadowLOSForElevation(bottomZ);
+    if ( inBetween || viewerZ < bottomZ ) bottom = this.shadowLOSForElevation(bottomZ);
 
     // Looking down at top
-    if ( inBetween || visionSource.elevationZ > topZ ) top = this.shadowLOSForElevation(topZ);
+    if ( inBetween || viewerZ > topZ ) top = this.shadowLOSForElevation(topZ);
 
     return (top && bottom && objectsEqual(top.points, bottom.points)) ? { top } : { bottom, top };
   }
 
   /**
-   * Create ClipperPaths that combine tiles with drawings holes.
+   * Create ClipperPaths that combine the opaque parts of tiles with drawings holes.
    * Comparable to Area3d._combineBlockingTiles
    * @param {Set<Tile>} tiles
    * @param {Set<CenteredPolygonBase>} drawings
-   * @returns {ClipperPaths}
+   * @returns {ClipperPaths|undefined} Undefined if no part of the tiles is opaque
    */
   _combineTilesWithDrawingHoles(tiles, drawings) {
     if ( !tiles.size ) return undefined;
 
-    tiles.forEach(t => {
-      const { x, y, width, height } = t.document;
-      const pts = [
-        x, y,
-        x + width, y,
-        x + width, y + width,
-        x, y + height
-      ];
-      t._polygon = new PIXI.Polygon(pts);
-    });
-
-    if ( !drawings.size ) {
-      tiles = ClipperPaths.fromPolygons(tiles, {scalingFactor: Area2d.SCALING_FACTOR});
-      tiles.combine().clean();
-      return tiles;
-    }
-
-    // Check if any drawings might create a hole in one or more tiles
+    // Transparent holes in the tile texture and drawing holes both cut the opaque outline of the tile.
     const tilesUnholed = [];
     const tilesHoled = [];
     for ( const tile of tiles ) {
@@ -284,30 +319,28 @@ export class Area2d {
       const tileE = tile.document.elevation;
 
       for ( const drawing of drawings ) {
-        const minE = drawing.document.getFlag("levels", "rangeTop");
-        const maxE = drawing.document.getFlag("levels", "rangeBottom");
-        if ( minE == null && maxE == null ) continue; // Intended to test null, undefined
-        else if ( minE == null && tileE !== maxE ) continue;
-        else if ( maxE == null && tileE !== minE ) continue;
-        else if ( !tileE.between(minE, maxE) ) continue;
-
+        if ( !drawing.isHoleAtElevation(tileE) ) continue;
         const shape = CONFIG.GeometryLib.utils.centeredPolygonFromDrawing(drawing);
         drawingHoles.push(shape.toPolygon());
       }
 
-      if ( drawingHoles.length ) {
-        // Construct a hole at the tile's elevation from the drawing taking the difference.
-        const drawingHolesPaths = ClipperPaths.fromPolygons(drawingHoles, {scalingFactor: Area2d.SCALING_FACTOR});
-        const tileHoled = drawingHolesPaths.diffPolygon(tile._polygon);
-        tilesHoled.push(tileHoled);
-      } else tilesUnholed.push(tile);
+      for ( const { outline, holes } of tileOpaqueShapes(tile) ) {
+        if ( !holes.length && !drawingHoles.length ) {
+          tilesUnholed.push(outline);
+          continue;
+        }
+        const holesPaths = ClipperPaths.fromPolygons([...holes, ...drawingHoles],
+          {scalingFactor: Area2d.SCALING_FACTOR});
+        tilesHoled.push(holesPaths.diffPolygon(outline));
+      }
     }
 
     if ( tilesUnholed.length ) {
       const unHoledPaths = ClipperPaths.fromPolygons(tilesUnholed, {scalingFactor: Area2d.SCALING_FACTOR});
       unHoledPaths.combine().clean();
-      tilesHoled.push(...unHoledPaths);
+      tilesHoled.push(unHoledPaths);
     }
+    if ( !tilesHoled.length ) return undefined;
 
     // Combine all the tiles, holed and unholed
     tiles = ClipperPaths.combinePaths(tilesHoled);
@@ -341,7 +374,7 @@ export class Area2d {
     const percentSeen = seenArea / tokenArea;
 
     if ( this.debug ) {
-      const percentArea = getSetting(SETTINGS.LOS.PERCENT_AREA);
+      const percentArea = this.target.losPercentArea;
       const hasLOS = (percentSeen > percentArea) || percentSeen.almostEqual(percentArea);
       this._drawLOS(los);
       visibleTokenShape.forEach(poly => this._drawTokenShape(poly, los, hasLOS));
@@ -350,19 +383,67 @@ export class Area2d {
     return percentSeen;
   }
 
+  /**
+   * Shadows cast from the vision source by obscured regions between the source and the target.
+   * @type {{heavy: ClipperPaths|undefined, light: ClipperPaths|undefined}}
+   */
+  get obscurementShadows() {
+    return this.#obscurementShadows ??= this._buildObscurementShadows();
+  }
+
+  /**
+   * Build the shadows of the heavily and lightly obscured regions between the source and the target.
+   * Tile boxes block like heavily obscured regions.
+   * Regions are treated as full height if they overlap the elevations between source and target.
+   * @returns {{heavy: ClipperPaths|undefined, light: ClipperPaths|undefined}}
+   */
+  _buildObscurementShadows() {
+    const { obscurementBlocks, templatesBlock, tileBoxesBlock } = this.config;
+    if ( !obscurementBlocks && !templatesBlock && !tileBoxesBlock ) return {};
+    const visionSource = this.visionSource;
+    const origin = new Point3d(visionSource.x, visionSource.y, this.viewerZ);
+    const visionPolygon = Area3d.visionPolygon(origin, this.target, this.targetBorder);
+    const minZ = Math.min(origin.z, this.target.bottomZ);
+    const maxZ = Math.max(origin.z, this.target.topZ);
+    const regions = (obscurementBlocks || templatesBlock) ? obscurementRegions({
+      bounds: visionPolygon.getBounds(),
+      minZ,
+      maxZ,
+      sight: obscurementBlocks,
+      cover: templatesBlock
+    }) : [];
+
+    if ( tileBoxesBlock ) {
+      for ( const tile of Area3d.filterTilesByVisionPolygon(visionPolygon, { boxes: true }) ) {
+        if ( tile.boxTopZ < minZ || tile.boxBottomZ > maxZ ) continue;
+        regions.push({ shape: tile.boxShape, level: OBSCUREMENT.HEAVY });
+      }
+    }
+    if ( !regions.length ) return {};
+
+    const opts = { scalingFactor: Area2d.SCALING_FACTOR };
+    return {
+      heavy: obscurementShadow(origin, regions.filter(r => r.level === OBSCUREMENT.HEAVY), opts),
+      light: obscurementShadow(origin, regions.filter(r => r.level === OBSCUREMENT.LIGHT), opts)
+    };
+  }
+
   /**
    * Determine the seen portions of a polygon (which represents part of a token shape)
+   * Area behind lightly obscured regions counts by the light obscurement setting.
    * @param {PIXI.Polygon} visiblePolygon
    * @returns {number} Amount of polygon that is seen
    */
   _calculateSeenAreaForPolygon(visiblePolygon) {
-    // If Levels is enabled, consider tiles and drawings; obscure the visible token shape.
-    if ( MODULES_ACTIVE.LEVELS ) {
+    const blockingPaths = [];
+
+    // If tiles block, consider the opaque parts of tiles and any drawing holes; obscure the visible token shape.
+    if ( this.config.tilesBlock ) {
       let tiles = Area3d.filterTilesByVisionPolygon(visiblePolygon);
 
       // Limit to tiles between viewer and target.
-      const minEZ = Math.min(this.visionSource.elevationZ, this.target.bottomZ);
-      const maxEZ = Math.max(this.visionSource.elevationZ, this.target.topZ);
+      const minEZ = Math.min(this.viewerZ, this.target.bottomZ);
+      const maxEZ = Math.max(this.viewerZ, this.target.topZ);
       tiles = tiles.filter(tile => {
         const tileEZ = CONFIG.GeometryLib.utils.gridUnitsToPixels(tile.document.elevation);
         return tileEZ.between(minEZ, maxEZ);
@@ -370,12 +451,23 @@ export class Area2d {
 
       if ( tiles.size ) {
         const drawings = Area3d.filterDrawingsByVisionPolygon(visiblePolygon);
-        const combinedTiles = this._combineTilesWithDrawingHoles(tiles, drawings);
-        visiblePolygon = combinedTiles.diffPolygon(visiblePolygon);
+        const tilePaths = this._combineTilesWithDrawingHoles(tiles, drawings);
+        if ( tilePaths ) blockingPaths.push(tilePaths);
       }
     }
 
-    return visiblePolygon.scaledArea({scalingFactor: Area2d.SCALING_FACTOR});
+    const { heavy, light } = this.obscurementShadows;
+    if ( heavy ) blockingPaths.push(heavy);
+
+    const unblockedArea = paths => {
+      const polygon = paths.length ? ClipperPaths.combinePaths(paths).diffPolygon(visiblePolygon) : visiblePolygon;
+      return polygon.scaledArea({scalingFactor: Area2d.SCALING_FACTOR});
+    };
+    const seenArea = unblockedArea(blockingPaths);
+    if ( !light ) return seenArea;
+
+    const clearArea = unblockedArea([...blockingPaths, light]);
+    return clearArea + (getSetting(SETTINGS.LOS.LIGHT_OBSCUREMENT) * (seenArea - clearArea));
   }
 
   /**
@@ -438,15 +530,17 @@ export class Area2d {
    */
   shadowLOSForElevation(targetElevation = 0) {
     const visionSource = this.visionSource;
-    const origin = new Point3d(visionSource.x, visionSource.y, visionSource.elevationZ);
-    const { type, liveTokensBlock, deadTokensBlock } = this.config;
+    const origin = new Point3d(visionSource.x, visionSource.y, this.viewerZ);
+    const { type, liveTokensBlock, deadTokensBlock, excludedWallOverrides } = this.config;
 
     // Find the walls and, optionally, tokens, for the triangle between origin and target
     const filterConfig = {
+      visionPolygon: Area3d.visionPolygon(origin, this.target, this.targetBorder),
       type,
       filterWalls: true,
       filterTokens: liveTokensBlock || deadTokensBlock,
       filterTiles: false,
+      filterTileBoxes: false, // Tile boxes cast shadows with the obscured regions.
       viewer: visionSource.object,
       debug: this.debug
     };
@@ -466,7 +560,16 @@ export class Area2d {
     // We need an LOS calc that removes all limited walls; use shadows instead.
     // 3. Tokens are potentially blocking -- construct shadows based on those tokens
     let redoLOS = viewableObjs.tokens.size;
-    const elevationZ = visionSource.elevationZ;
+
+    // 4. Walls are excluded based on their cover override -- the LOS must omit them.
+    const nWalls = viewableObjs.walls.size;
+    viewableObjs.walls = viewableObjs.walls.filter(w => !excludedWallOverrides.includes(w.coverOverride));
+    redoLOS ||= viewableObjs.walls.size !== nWalls;
+
+    // 5. Without Wall Height, the LOS treats walls of limited height as infinite walls.
+    redoLOS ||= !MODULES_ACTIVE.WALL_HEIGHT && viewableObjs.walls.some(w => isFinite(w.topZ) || isFinite(w.bottomZ));
+
+    const elevationZ = this.viewerZ;
     redoLOS ||= viewableObjs.walls.some(w => {
       const { topZ, bottomZ } = w;
       return (elevationZ < topZ && targetElevation > topZ)
@@ -494,6 +597,7 @@ export class Area2d {
     }
 
     // Rerun the LOS with infinite walls only
+    losConfig.excludedWallOverrides = excludedWallOverrides;
     const los = CWSweepInfiniteWallsOnly.create(origin, losConfig);
 
     const shadows = [];
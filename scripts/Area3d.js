@@ -31,7 +31,7 @@ Area:
 - Wall shapes block and shadows block. Construct the blocked target shape and calc area.
 */
 
-import { MODULE_ID, FLAGS, MODULES_ACTIVE, DEBUG } from "./const.js";
+import { MODULES_ACTIVE, DEBUG, OBSCUREMENT } from "./const.js";
 import { getSetting, SETTINGS } from "./settings.js";
 import { log, buildTokenPoints } from "./util.js";
 import { ConstrainedTokenBorder } from "./ConstrainedTokenBorder.js";
@@ -45,10 +45,16 @@ import { Point3d } from "./geometry/3d/Point3d.js";
 import { DrawingPoints3d } from "./PlaceablesPoints/DrawingPoints3d.js";
 import { TokenPoints3d } from "./PlaceablesPoints/TokenPoints3d.js";
 import { TilePoints3d } from "./PlaceablesPoints/TilePoints3d.js";
+import { HorizontalPoints3d } from "./PlaceablesPoints/HorizontalPoints3d.js";
+import { TileBoxPoints3d } from "./PlaceablesPoints/TileBoxPoints3d.js";
 import { WallPoints3d } from "./PlaceablesPoints/WallPoints3d.js";
+import { ObscurementPoints3d } from "./PlaceablesPoints/ObscurementPoints3d.js";
 
 // Debugging pop-up
 import { area3dPopoutData } from "./Area3dPopout.js";
+import { Area3dWorker } from "./Area3dWorker.js";
+import { obscurementRegions, regionContainsPoint } from "./obscurement.js";
+import { clipPolygonToConvex, tileIsFullyOpaque, tileOpaqueShapes } from "./tile_alpha.js";
 
 
 export class Area3d {
@@ -80,8 +86,14 @@ export class Area3d {
    * @property {CONST.WALL_RESTRICTION_TYPES} type    Type of vision source
    * @property {boolean} wallsBlock                   Do walls block vision?
    * @property {boolean} tilesBlock                   Do tiles block vision?
+   * @property {boolean} tileBoxesBlock               Do tiles with a top elevation block as 3d boxes?
    * @property {boolean} deadTokensBlock              Do dead tokens block vision?
    * @property {boolean} liveTokensBlock              Do live tokens block vision?
+   * @property {string[]} excludedWallOverrides       Walls with these cover overrides do not block
+   * @property {number} boundsScale                   Scale of the target border;
+   *                                                  see Token.prototype.visibilityBoundsScale
+   * @property {boolean} obscurementBlocks            Do drawings flagged as obscured volumes obscure vision?
+   * @property {boolean} templatesBlock               Do templates flagged to block cover block?
    * @property {boolean} useShadows                   For benchmarking and debugging
    * @property {boolean} debugDrawObjects             Draw blockingObjectPoints if true
    */
@@ -100,15 +112,19 @@ export class Area3d {
    * @typedef BlockingObjects
    * @type {object}
    * @property {Set<Drawing>} drawing
+   * @property {Set<ObscurementRegion>} obscurements  Obscured volumes that do not contain the viewer
    * @property {Set<Wall>}    terrainWalls
    * @property {Set<Tile>}    tiles
+   * @property {Set<Tile>}    tileBoxes     Tiles with a top elevation, as 3d boxes
    * @property {Set<Token>}   tokens
    * @property {Set<Wall>}    walls
    */
   _blockingObjects = {
     drawings: new Set(),
+    obscurements: new Set(),
     terrainWalls: new Set(),
     tiles: new Set(),
+    tileBoxes: new Set(),
     tokens: new Set(),
     walls: new Set()
   };
@@ -119,15 +135,19 @@ export class Area3d {
    * @type {object}
    * @type {object}:
    * @property {HorizontalPoints3d[]}   drawings
+   * @property {(VerticalPoints3d|HorizontalPoints3d)[]}     obscurements
    * @property {VerticalPoints3d[]}     terrainWalls
    * @property {HorizontalPoints3d[]}   tiles
+   * @property {(VerticalPoints3d|HorizontalPoints3d)[]}     tileBoxes
    * @property {(VerticalPoints3d|HorizontalPoints3d)[]}     tokens
    * @property {VerticalPoints3d[]}     walls
    */
   _blockingPoints = {
     drawings: [],
+    obscurements: [],
     terrainWalls: [],
     tiles: [],
+    tileBoxes: [],
     tokens: [],
     walls: []
   };
@@ -137,15 +157,19 @@ export class Area3d {
    * @typedef {BlockingObjectsPoints}
    * @type {object}:
    * @property {Set<DrawingPoints3d>} drawing
+   * @property {Set<ObscurementPoints3d>} obscurements
    * @property {Set<WallPoints3d>}    terrainWalls
    * @property {Set<TilePoints3d>}    tiles
+   * @property {Set<TileBoxPoints3d>} tileBoxes
    * @property {Set<TokenPoints3d>}   tokens
    * @property {Set<WallPoints3d>}    walls
    */
   _blockingObjectsPoints = {
     drawings: new Set(),
+    obscurements: new Set(),
     terrainWalls: new Set(),
     tiles: new Set(),
+    tileBoxes: new Set(),
     tokens: new Set(),
     walls: new Set()
   };
@@ -161,9 +185,22 @@ export class Area3d {
   /** @type {Shadow[]} */
   wallShadows = [];
 
+  /**
+   * Strongest obscurement of the volumes containing the viewer, which obscure everything the viewer sees.
+   * Set by _findBlockingObjects.
+   * @type {string}
+   */
+  _viewerObscurement = OBSCUREMENT.NONE;
+
   /** @type {boolean} */
   _viewIsSet = false;
 
+  /**
+   * Opaque parts of each blocking tile portion. See _opaqueTilePieces.
+   * @type {Map<HorizontalPoints3d, OpaqueTilePiece[]>}
+   */
+  _opaqueTilePiecesCache = new Map();
+
   /** @type {boolean} */
   _blockingObjectsAreSet = false;
 
@@ -186,17 +223,17 @@ export class Area3d {
   static SCALING_FACTOR = 100;
 
   /**
-   * @param {VisionSource|TOKEN} visionSource     Token, viewing from token.topZ.
+   * @param {VisionSource|TOKEN} visionSource     Token, viewing from token.eyeZ.
    * @param {Target} target   Target; token is looking at the target center.
    */
   constructor(viewer, target, config = {}) {
 
     this.viewer = viewer instanceof Token ? viewer.vision : viewer;
     this.target = target;
-    this._targetPoints = new TokenPoints3d(target);
 
     // Configuration options
     this.#configure(config);
+    this._targetPoints = new TokenPoints3d(target, { boundsScale: this.config.boundsScale });
 
     // Set debug only if the target is being targeted.
     // Avoids "double-vision" from multiple targets for area3d on scene.
@@ -227,9 +264,14 @@ export class Area3d {
     config.type ??= "sight";
     config.wallsBlock ??= true;
     config.tilesBlock ??= MODULES_ACTIVE.LEVELS || MODULES_ACTIVE.EV;
+    config.tileBoxesBlock ??= true;
     config.deadTokensBlock ??= false;
     config.liveTokensBlock ??= false;
     config.proneTokensBlock ??= true;
+    config.excludedWallOverrides ??= [];
+    config.boundsScale ??= 1;
+    config.obscurementBlocks ??= true;
+    config.templatesBlock ??= false;
 
     // Not user-facing. For debugging and benchmarking shadows
     config.useShadows ??= getSetting(SETTINGS.AREA3D_USE_SHADOWS);
@@ -251,10 +293,11 @@ export class Area3d {
    * @param {number} [thresholdArea]    Area required to have LOS between 0 and 1
    *   0% means any line-of-sight counts.
    *   100% means the entire token must be visible.
+   *   Defaults to the target's minimum visible percent.
    * @returns {boolean}
    */
   hasLOS(thresholdArea) {
-    thresholdArea ??= getSetting(SETTINGS.LOS.PERCENT_AREA);
+    thresholdArea ??= this.target.losPercentArea;
 
     // If center point is visible, then target is likely visible but not always.
     // e.g., walls slightly block the center point. Or walls block all but center.
@@ -273,19 +316,30 @@ export class Area3d {
     if ( !this._targetWithinLimitedAngleVision() ) return 0;
 
     const objs = this.blockingObjects;
+    if ( this._viewerObscurement === OBSCUREMENT.HEAVY ) return 0;
+    const lightObscurement = getSetting(SETTINGS.LOS.LIGHT_OBSCUREMENT);
+    const viewerMult = this._viewerObscurement === OBSCUREMENT.LIGHT ? lightObscurement : 1;
     if ( !this.debug
       && !objs.walls.size
       && !objs.tiles.size
+      && !objs.tileBoxes.size
       && !objs.tokens.size
-      && objs.terrainWalls.size < 2 ) return 1;
+      && !objs.obscurements.size
+      && objs.terrainWalls.size < 2 ) return viewerMult;
 
-    const { obscuredSides, sidePolys } = this._obscureSides();
+    const { obscuredSides, sidePolys, clearSides } = this._obscureSides();
 
-    const sidesArea = sidePolys.reduce((area, poly) =>
-      area += poly.scaledArea({scalingFactor: Area3d.SCALING_FACTOR}), 0);
-    const obscuredSidesArea = obscuredSides.reduce((area, poly) =>
+    const sumArea = polys => polys.reduce((area, poly) =>
       area += poly.scaledArea({scalingFactor: Area3d.SCALING_FACTOR}), 0);
-    let percentSeen = sidesArea ? obscuredSidesArea / sidesArea : 0;
+    const sidesArea = sumArea(sidePolys);
+    let obscuredSidesArea = sumArea(obscuredSides);
+
+    // Area seen only through light obscurement counts partially.
+    if ( clearSides ) {
+      const clearArea = sumArea(clearSides);
+      obscuredSidesArea = clearArea + (lightObscurement * (obscuredSidesArea - clearArea));
+    }
+    let percentSeen = sidesArea ? (obscuredSidesArea / sidesArea) * viewerMult : 0;
 
     if ( this.debug ) {
       const colors = Draw.COLORS;
@@ -294,23 +348,27 @@ export class Area3d {
       // Draw the detected objects on the canvas
       objs.walls.forEach(w => Draw.segment(w, { color: colors.blue }));
       objs.tiles.forEach(t => Draw.shape(t.bounds, { color: colors.yellow, fillAlpha: 0.5 }));
+      objs.tileBoxes.forEach(t => Draw.shape(t.boxShape, { color: colors.yellow, fillAlpha: 0.5 }));
       objs.terrainWalls.forEach(w => Draw.segment(w, { color: colors.lightgreen }));
       objs.drawings.forEach(d => Draw.shape(d.bounds, { color: colors.gray, fillAlpha: 0.5 }));
+      objs.obscurements.forEach(r => Draw.shape(r.shape, { color: colors.lightblue, fillAlpha: 0.3 }));
       objs.tokens.forEach(t => Draw.shape(t.constrainedTokenBorder, { color: colors.orange, fillAlpha: 0.5 }));
 
       // Draw the target in 3d, centered on 0,0
       this.targetPoints.drawTransformed({ drawTool: this.drawTool });
 
       // Fill in the constrained border on canvas
-      Draw.shape(this.target.constrainedTokenBorder, { color: colors.red, fillAlpha: 0.5});
+      Draw.shape(this.targetBorder, { color: colors.red, fillAlpha: 0.5});
 
       // Draw the detected objects in 3d, centered on 0,0
       const pts = this.config.debugDrawObjects ? this.blockingObjectsPoints : this.blockingPoints;
       const drawTool = this.drawTool;
       pts.walls.forEach(w => w.drawTransformed({ color: colors.blue, drawTool }));
       pts.tiles.forEach(w => w.drawTransformed({ color: colors.yellow, drawTool }));
+      pts.tileBoxes.forEach(t => t.drawTransformed({ color: colors.yellow, drawTool }));
       pts.drawings.forEach(d => d.drawTransformed({ color: colors.gray, fillAlpha: 0.7, drawTool }));
       pts.tokens.forEach(t => t.drawTransformed({ color: colors.orange, drawTool }));
+      pts.obscurements.forEach(o => o.drawTransformed({ color: colors.lightblue, fillAlpha: 0.3, drawTool }));
       pts.terrainWalls.forEach(w => w.drawTransformed({ color: colors.lightgreen, fillAlpha: 0.1, drawTool }));
 
       // Calculate the areas of the target faces separately, along with the obscured side areas.
@@ -330,7 +388,7 @@ export class Area3d {
         poly.scaledArea({scalingFactor: Area3d.SCALING_FACTOR}));
 
       // Report the percent seen that is being returned.
-      console.log(`${this.viewer.object.name} sees ${percentSeen * 100}% of ${this.target.name} (Area3d).`);
+      console.log(`${this.viewer.object?.name} sees ${percentSeen * 100}% of ${this.target.name} (Area3d).`);
     }
 
     // Round the percent seen so that near-zero areas are 0.
@@ -340,6 +398,82 @@ export class Area3d {
     return percentSeen;
   }
 
+  /**
+   * Determine the percentage area of the 3d token visible to the viewer, using the web worker if enabled.
+   * Falls back on percentAreaVisible if the worker is disabled or fails, when debugging,
+   * or when obscured volumes are involved.
+   * @returns {Promise<number>}
+   */
+  async percentAreaVisibleAsync() {
+    if ( this.debug || !Area3dWorker.enabled ) return this.percentAreaVisible();
+    if ( this.blockingObjects.obscurements.size
+      || this._viewerObscurement !== OBSCUREMENT.NONE ) return this.percentAreaVisible();
+    const data = this._workerData();
+    if ( typeof data === "number" ) return data;
+    try {
+      return await Area3dWorker.percentAreaVisible(data);
+    } catch( _err ) {
+      return this.percentAreaVisible();
+    }
+  }
+
+  /**
+   * @typedef Area3dWorkerData  View from the viewer, for calculating the percent visible in a worker.
+   * 3d points are flattened to [x0, y0, z0, x1, ...], transformed to the viewer's view.
+   * @type {object}
+   * @property {number[][]} sides         Target faces visible to the viewer
+   * @property {number[][]} walls         Blocking walls
+   * @property {number[][]} tokens        Blocking token faces
+   * @property {{points: number[], holes: number[][]}[]} tiles  Opaque parts of blocking tiles, with drawing holes
+   * @property {number[][]} tileBoxes     Blocking faces of tiles as boxes
+   * @property {number[][]} terrainWalls  Combined terrain walls, as flattened 2d perspective points
+   * @property {number} scalingFactor     Scaling factor for Clipper
+   */
+
+  /**
+   * Serialize the target and blocking objects for the worker.
+   * Terrain walls are combined on the main thread, as combining them requires the wall objects.
+   * @returns {Area3dWorkerData|number} The percent visible, if it can be determined without clipping
+   */
+  _workerData() {
+    if ( !this._targetWithinLimitedAngleVision() ) return 0;
+
+    const objs = this.blockingObjects;
+    if ( !objs.walls.size
+      && !objs.tiles.size
+      && !objs.tileBoxes.size
+      && !objs.tokens.size
+      && objs.terrainWalls.size < 2 ) return 1;
+
+    if ( !this._viewIsSet ) this.calculateViewMatrix();
+    const blockingPoints = this.blockingPoints;
+    const flatten = pts => pts.flatMap(pt => [pt.x, pt.y, pt.z]);
+
+    const terrainWalls = blockingPoints.terrainWalls.length > 1
+      ? WallPoints3d.combineTerrainWalls(blockingPoints.terrainWalls, this.viewerCenter, {
+        scalingFactor: Area3d.SCALING_FACTOR
+      }).toPolygons().map(poly => [...poly.points]) : [];
+
+    const tiles = blockingPoints.tiles.flatMap(tile => {
+      const drawingHoles = [];
+      for ( const drawing of this._drawingHolesForTile(tile) ) drawingHoles.push(flatten(drawing.tPoints));
+      return this._opaqueTilePieces(tile).map(({ piece, holes }) => ({
+        points: flatten(piece.tPoints),
+        holes: [...holes.map(hole => flatten(hole.tPoints)), ...drawingHoles]
+      }));
+    });
+
+    return {
+      sides: this.targetPoints.faces.map(face => flatten(face.tPoints)),
+      walls: blockingPoints.walls.map(w => flatten(w.tPoints)),
+      tokens: blockingPoints.tokens.map(t => flatten(t.tPoints)),
+      tiles,
+      tileBoxes: blockingPoints.tileBoxes.map(t => flatten(t.tPoints)),
+      terrainWalls,
+      scalingFactor: Area3d.SCALING_FACTOR
+    };
+  }
+
   // NOTE ----- GETTERS / SETTERS ----- //
 
   /**
@@ -391,7 +525,7 @@ export class Area3d {
 
   get viewerCenter() {
     return this._viewerCenter
-      || (this._viewerCenter = new Point3d(this.viewer.x, this.viewer.y, this.viewer.elevationZ));
+      || (this._viewerCenter = new Point3d(this.viewer.x, this.viewer.y, this.viewer.eyeZ ?? this.viewer.elevationZ));
   }
 
   get targetTop() {
@@ -420,7 +554,16 @@ export class Area3d {
 
   /** @type {PIXI.Polygon} */
   get visionPolygon() {
-    return this._visionPolygon || (this._visionPolygon = Area3d.visionPolygon(this.viewerCenter, this.target));
+    return this._visionPolygon
+      || (this._visionPolygon = Area3d.visionPolygon(this.viewerCenter, this.target, this.targetBorder));
+  }
+
+  /**
+   * Target border constrained by walls, scaled by the boundsScale configuration.
+   * @type {ConstrainedTokenShape|PIXI.Rectangle|PIXI.Polygon}
+   */
+  get targetBorder() {
+    return ConstrainedTokenBorder.get(this.target, { boundsScale: this.config.boundsScale }).constrainedBorder();
   }
 
   // NOTE ----- STATIC METHODS ----- //
@@ -433,10 +576,10 @@ export class Area3d {
    * viewer and target center (typically, a rectangle) is added on to the triangle.
    * @param {PIXI.Point|Point3d} viewingPoint
    * @param {Token} target
+   * @param {PIXI.Polygon|PIXI.Rectangle} [border]    Target border; defaults to the constrained token border
    * @returns {PIXI.Polygon} Triangle between view point and target. Will be clockwise.
    */
-  static visionPolygon(viewingPoint, target) {
-    const border = target.constrainedTokenBorder;
+  static visionPolygon(viewingPoint, target, border = target.constrainedTokenBorder) {
     const keyPoints = border.viewablePoints(viewingPoint, { outermostOnly: false });
     if ( !keyPoints ) {
       log("visionPolygon: key points are null.");
@@ -489,15 +632,19 @@ export class Area3d {
    * @param {boolean} [options.filterWalls]   If true, find and filter walls
    * @param {boolean} [options.filterTokens]  If true, find and filter tokens
    * @param {boolean} [options.filterTiles]   If true, find and filter tiles
+   * @param {boolean} [options.filterTileBoxes] If true, find and filter tiles with a top elevation, as boxes
    * @param {Token} [options.viewer]          Viewer token to exclude from filtered token results
-   * @return {object} Object with walls, tokens, tiles, drawings as distinct sets or undefined.
+   * @param {string[]} [options.excludedWallOverrides]  Walls with these cover overrides are excluded
+   * @return {object} Object with walls, tokens, tiles, tileBoxes, drawings as distinct sets or undefined.
    */
   static filterSceneObjectsByVisionPolygon(viewingPoint, target, {
     visionPolygon,
     type = "sight",
+    excludedWallOverrides = [],
     filterWalls = true,
     filterTokens = true,
     filterTiles = true,
+    filterTileBoxes = true,
     debug = false,
     viewer } = {}) {
 
@@ -509,9 +656,9 @@ export class Area3d {
     const maxE = Math.max(viewingPoint.z ?? 0, topZ);
     const minE = Math.min(viewingPoint.z ?? 0, bottomZ);
 
-    const out = { walls: new Set(), tokens: new Set(), tiles: new Set(), drawings: new Set() };
+    const out = { walls: new Set(), tokens: new Set(), tiles: new Set(), tileBoxes: new Set(), drawings: new Set() };
     if ( filterWalls ) {
-      out.walls = Area3d.filterWallsByVisionPolygon(viewingPoint, visionPolygon, { type });
+      out.walls = Area3d.filterWallsByVisionPolygon(viewingPoint, visionPolygon, { type, excludedWallOverrides });
 
       // Filter walls that are definitely too low or too high
       out.walls = out.walls.filter(w => {
@@ -557,6 +704,17 @@ export class Area3d {
       }
     }
 
+    if ( filterTileBoxes ) {
+      out.tileBoxes = Area3d.filterTilesByVisionPolygon(visionPolygon, { boxes: true });
+
+      // Filter boxes that are definitely too low or too high
+      out.tileBoxes = out.tileBoxes.filter(t => {
+        return t.boxTopZ > minE && t.boxBottomZ < maxE;
+      });
+
+      if ( debug ) out.tileBoxes.forEach(t => Draw.shape(t.boxShape, { color: Draw.COLORS.gray }));
+    }
+
     return out;
   }
 
@@ -568,10 +726,7 @@ export class Area3d {
     let drawings = canvas.drawings.quadtree.getObjects(visionPolygon.getBounds());
 
     // Filter by holes
-    drawings = drawings.filter(d => d.document.getFlag(MODULE_ID, FLAGS.DRAWING.IS_HOLE)
-      && ( d.document.shape.type === CONST.DRAWING_TYPES.POLYGON
-      || d.document.shape.type === CONST.DRAWING_TYPES.ELLIPSE
-      || d.document.shape.type === CONST.DRAWING_TYPES.RECTANGLE));
+    drawings = drawings.filter(d => d.isTileHole);
 
     if ( !drawings.size ) return drawings;
 
@@ -603,6 +758,7 @@ export class Area3d {
     // Filter out the viewer and target token
     tokens.delete(viewer);
     tokens.delete(target);
+    if ( target?._original ) tokens.delete(target._original); // Target is a preview of a token.
 
     if ( !tokens.size ) return tokens;
 
@@ -621,10 +777,13 @@ export class Area3d {
   /**
    * Filter tiles in the scene by a triangle representing the view from viewingPoint to
    * token (or other two points). Only considers 2d top-down view.
+   * Tiles with a top elevation are boxes, not planes, so they are only returned if boxes is true.
    * @param {PIXI.Polygon} visionPolygon
+   * @param {object} [options]
+   * @param {boolean} [options.boxes]   If true, return the tiles that are boxes instead of overhead planes
    * @return {Set<Tile>}
    */
-  static filterTilesByVisionPolygon(visionPolygon) {
+  static filterTilesByVisionPolygon(visionPolygon, { boxes = false } = {}) {
     let tiles = canvas.tiles.quadtree.getObjects(visionPolygon.getBounds());
     if ( !tiles.size ) return tiles;
 
@@ -632,8 +791,8 @@ export class Area3d {
     // Also filter by overhead tiles
     const edges = [...visionPolygon.iterateEdges()];
     tiles = tiles.filter(t => {
-      // Only overhead tiles count for blocking vision
-      if ( !t.document.overhead ) return false;
+      // Only overhead tiles count for blocking vision as planes; any tile can be a box.
+      if ( boxes ? !t.isBox : (!t.document.overhead || t.isBox) ) return false;
 
       // Check remainder against the vision polygon shape
       const tBounds = t.bounds;
@@ -651,11 +810,12 @@ export class Area3d {
    * @param {PIXI.Polygon} visionPolygon
    * @param {object} [options]
    * @param {string} [type]     Wall restriction type: sight, light, move, sound
+   * @param {string[]} [excludedWallOverrides]  Walls with these cover overrides are excluded
    * @return {Set<Wall>}
    */
-  static filterWallsByVisionPolygon(viewingPoint, visionPolygon, { type = "sight" } = {}) {
+  static filterWallsByVisionPolygon(viewingPoint, visionPolygon, { type = "sight", excludedWallOverrides = [] } = {}) {
     let walls = canvas.walls.quadtree.getObjects(visionPolygon.getBounds());
-    walls = walls.filter(w => Area3d._testWallInclusion(w, viewingPoint, { type }));
+    walls = walls.filter(w => Area3d._testWallInclusion(w, viewingPoint, { type, excludedWallOverrides }));
 
     if ( !walls.size ) return walls;
 
@@ -673,10 +833,13 @@ export class Area3d {
    * token.
    * Comparable to ClockwiseSweep.prototype._testWallInclusion but less thorough.
    */
-  static _testWallInclusion(wall, viewingPoint, { type = "sight" } = {}) {
+  static _testWallInclusion(wall, viewingPoint, { type = "sight", excludedWallOverrides = [] } = {}) {
     // Ignore walls that are not blocking for the type
     if (!wall.document[type] || wall.isOpen ) return false;
 
+    // Ignore walls whose cover override removes them from the calculation
+    if ( excludedWallOverrides.includes(wall.coverOverride) ) return false;
+
     // Ignore one-directional walls facing away
     const side = wall.orientPoint(viewingPoint);
     return !wall.document.dir || (side !== wall.document.dir);
@@ -698,9 +861,12 @@ export class Area3d {
 
     // Set the matrix to look at blocking point objects from the viewer.
     const blockingPoints = this.blockingPoints;
+    this._opaqueTilePiecesCache.clear();
     blockingPoints.drawings.forEach(pts => pts.setViewMatrix(viewerViewM));
     blockingPoints.tiles.forEach(pts => pts.setViewMatrix(viewerViewM));
+    blockingPoints.tileBoxes.forEach(pts => pts.setViewMatrix(viewerViewM));
     blockingPoints.tokens.forEach(pts => pts.setViewMatrix(viewerViewM));
+    blockingPoints.obscurements.forEach(pts => pts.setViewMatrix(viewerViewM));
     blockingPoints.walls.forEach(pts => pts.setViewMatrix(viewerViewM));
     blockingPoints.terrainWalls.forEach(pts => pts.setViewMatrix(viewerViewM));
 
@@ -709,7 +875,9 @@ export class Area3d {
       const blockingObjectsPoints = this.blockingObjectsPoints;
       blockingObjectsPoints.drawings.forEach(pts => pts.setViewMatrix(viewerViewM));
       blockingObjectsPoints.tiles.forEach(pts => pts.setViewMatrix(viewerViewM));
+      blockingObjectsPoints.tileBoxes.forEach(pts => pts.setViewMatrix(viewerViewM));
       blockingObjectsPoints.tokens.forEach(pts => pts.setViewMatrix(viewerViewM));
+      blockingObjectsPoints.obscurements.forEach(pts => pts.setViewMatrix(viewerViewM));
       blockingObjectsPoints.walls.forEach(pts => pts.setViewMatrix(viewerViewM));
       blockingObjectsPoints.terrainWalls.forEach(pts => pts.setViewMatrix(viewerViewM));
     }
@@ -723,9 +891,12 @@ export class Area3d {
    * For each visible side of the target, build the 2d perspective polygon for that side.
    * Take the difference between that side and the blocking polygons to determine the
    * visible portion of that side.
-   * @returns {object} { obscuredSides: PIXI.Polygon[], sidePolys: PIXI.Polygon[]}
+   * Heavily obscured volumes block. Lightly obscured volumes determine the clear portion of that side.
+   * @returns {object}
+   *   { obscuredSides: PIXI.Polygon[], sidePolys: PIXI.Polygon[], clearSides: PIXI.Polygon[]|undefined }
    *   sidePolys: The sides of the target, in 2d perspective.
    *   obscuredSides: The unobscured portions of the sidePolys
+   *   clearSides: The portions of the obscuredSides not behind light obscurement, if any
    */
   _obscureSides() {
     if ( !this._viewIsSet ) this.calculateViewMatrix();
@@ -743,12 +914,17 @@ export class Area3d {
     // Combine other objects
     const walls = this._combineBlockingWalls();
     const tokens = this._combineBlockingTokens();
+    const tileBoxes = this._combineBlockingTileBoxes();
+    const heavy = this._combineBlockingObscurements(OBSCUREMENT.HEAVY);
+    const light = this._combineBlockingObscurements(OBSCUREMENT.LIGHT);
 
     // Combine to a single set of polygon paths
     let blockingPaths = [];
     if ( tiles ) blockingPaths.push(tiles);
     if ( walls ) blockingPaths.push(walls);
     if ( tokens ) blockingPaths.push(tokens);
+    if ( tileBoxes ) blockingPaths.push(tileBoxes);
+    if ( heavy ) blockingPaths.push(heavy);
     if ( combinedTerrainWalls ) blockingPaths.push(combinedTerrainWalls);
     const blockingObject = ClipperPaths.combinePaths(blockingPaths);
 
@@ -759,7 +935,10 @@ export class Area3d {
       ? sidePolys.map(side => blockingObject.diffPolygon(side))
       : sidePolys;
 
-    return { obscuredSides, sidePolys };
+    if ( !light ) return { obscuredSides, sidePolys };
+    const lightBlockingObject = ClipperPaths.combinePaths([...blockingPaths, light]);
+    const clearSides = sidePolys.map(side => lightBlockingObject.diffPolygon(side));
+    return { obscuredSides, sidePolys, clearSides };
   }
 
   // NOTE ----- GETTER/SETTER HELPER METHODS ----- //
@@ -775,7 +954,7 @@ export class Area3d {
 
   /**
    * Find objects that are within the vision triangle between viewer and target.
-   * Sets this._blockingObjects for drawings, tiles, tokens, walls, and terrainWalls.
+   * Sets this._blockingObjects for drawings, tiles, tile boxes, tokens, walls, and terrainWalls.
    * Sets _blockingObjectsAreSet and resets _blockingPointsAreSet and _viewIsSet.
    */
   _findBlockingObjects() {
@@ -784,7 +963,9 @@ export class Area3d {
       wallsBlock,
       liveTokensBlock,
       deadTokensBlock,
-      tilesBlock } = this.config;
+      tilesBlock,
+      tileBoxesBlock,
+      excludedWallOverrides } = this.config;
 
     // Clear any prior objects from the respective sets
     const { terrainWalls, walls } = this._blockingObjects;
@@ -792,16 +973,21 @@ export class Area3d {
     walls.clear();
 
     const objsFound = Area3d.filterSceneObjectsByVisionPolygon(this.viewerCenter, this.target, {
+      visionPolygon: this.visionPolygon,
       type,
+      excludedWallOverrides,
       filterWalls: wallsBlock,
       filterTokens: liveTokensBlock || deadTokensBlock,
       filterTiles: tilesBlock,
+      filterTileBoxes: tileBoxesBlock,
       debug: this.debug,
       viewer: this.viewer.object });
 
     this._blockingObjects.drawings = objsFound.drawings;
     this._blockingObjects.tokens = objsFound.tokens;
     this._blockingObjects.tiles = objsFound.tiles;
+    this._blockingObjects.tileBoxes = objsFound.tileBoxes;
+    this._findObscurements();
 
     // Separate the terrain walls.
     objsFound.walls.forEach(w => {
@@ -822,6 +1008,34 @@ export class Area3d {
     this._viewIsSet = false;
   }
 
+  /**
+   * Find obscured volumes, including blocking templates, within the vision triangle
+   * and between the viewer and target elevations.
+   * Volumes containing the viewer obscure everything, so they set _viewerObscurement instead.
+   */
+  _findObscurements() {
+    const obscurements = this._blockingObjects.obscurements;
+    obscurements.clear();
+    this._viewerObscurement = OBSCUREMENT.NONE;
+    const { obscurementBlocks, templatesBlock } = this.config;
+    if ( !obscurementBlocks && !templatesBlock ) return;
+
+    const viewerCenter = this.viewerCenter;
+    const { topZ, bottomZ } = this.target;
+    const regions = obscurementRegions({
+      bounds: this.visionPolygon.getBounds(),
+      minZ: Math.min(viewerCenter.z, bottomZ),
+      maxZ: Math.max(viewerCenter.z, topZ),
+      sight: obscurementBlocks,
+      cover: templatesBlock
+    });
+
+    for ( const region of regions ) {
+      if ( !regionContainsPoint(region, viewerCenter) ) obscurements.add(region);
+      else if ( this._viewerObscurement !== OBSCUREMENT.HEAVY ) this._viewerObscurement = region.level;
+    }
+  }
+
   /**
    * Convert blocking objects into PlanePoints.
    * These will eventually be used by _obscureSides to project 2d perspective objects
@@ -831,15 +1045,18 @@ export class Area3d {
     const blockingObjs = this.blockingObjects;
 
     // Clear any prior objects from the respective sets
-    const { drawings, terrainWalls, tiles, tokens, walls } = this._blockingObjectsPoints;
+    const { drawings, obscurements, terrainWalls, tiles, tileBoxes, tokens, walls } = this._blockingObjectsPoints;
     drawings.clear();
+    obscurements.clear();
     terrainWalls.clear();
     tiles.clear();
+    tileBoxes.clear();
     tokens.clear();
     walls.clear();
 
     // Add Tiles
     blockingObjs.tiles.forEach(t => tiles.add(new TilePoints3d(t)));
+    blockingObjs.tileBoxes.forEach(t => tileBoxes.add(new TileBoxPoints3d(t)));
 
     // Add Drawings
     if ( blockingObjs.tiles.size
@@ -849,6 +1066,17 @@ export class Area3d {
     const tokenPoints = buildTokenPoints(blockingObjs.tokens, this.config);
     tokenPoints.forEach(pts => tokens.add(pts));
 
+    // Add Obscurements, limiting unlimited elevations to those between viewer and target
+    if ( blockingObjs.obscurements.size ) {
+      const minZ = Math.min(this.viewerCenter.z, this.target.bottomZ) - 1;
+      const maxZ = Math.max(this.viewerCenter.z, this.target.topZ) + 1;
+      blockingObjs.obscurements.forEach(region => obscurements.add(new ObscurementPoints3d({
+        ...region,
+        bottomZ: Math.max(region.bottomZ, minZ),
+        topZ: Math.min(region.topZ, maxZ)
+      })));
+    }
+
     // Add Walls
     blockingObjs.walls.forEach(w => {
       // Sometimes w can be WallPoints3d. See issue #48.
@@ -870,7 +1098,7 @@ export class Area3d {
    */
   _constructBlockingPointsArray() {
     const blockingObjectsPoints = this.blockingObjectsPoints;
-    const { drawings, terrainWalls, tiles, tokens, walls } = this._blockingPoints;
+    const { drawings, obscurements, terrainWalls, tiles, tileBoxes, tokens, walls } = this._blockingPoints;
     const { visionPolygon, target } = this;
     const edges = [...visionPolygon.iterateEdges()];
     const blockingPoints = this._blockingPoints;
@@ -880,7 +1108,9 @@ export class Area3d {
 
     // Clear the existing arrays.
     tiles.length = 0;
+    tileBoxes.length = 0;
     drawings.length = 0;
+    obscurements.length = 0;
     tokens.length = 0;
     walls.length = 0;
     terrainWalls.length = 0;
@@ -897,6 +1127,7 @@ export class Area3d {
     });
 
     // Horizontal points
+    this._opaqueTilePiecesCache.clear();
     blockingObjectsPoints.tiles.forEach(pts => {
       const res = pts._getVisibleSplits(target, visionPolygon, { edges, viewerLoc });
       if ( res.length ) blockingPoints.tiles.push(...res);
@@ -922,6 +1153,40 @@ export class Area3d {
       });
     });
 
+    // Tile boxes are prisms, like tokens.
+    // A viewer directly above or below the box sees only its top or bottom.
+    blockingObjectsPoints.tileBoxes.forEach(box => {
+      const topBottom = box._viewableTopBottom(viewerLoc);
+      if ( topBottom ) {
+        const res = topBottom._getVisibleSplits(target, visionPolygon, { edges, viewerLoc });
+        if ( res.length ) blockingPoints.tileBoxes.push(...res);
+      }
+
+      if ( box.borderPolygon.contains(viewerLoc.x, viewerLoc.y) ) return;
+      const sides = box._viewableSides(viewerLoc);
+      sides.forEach(pts => {
+        const res = pts._getVisibleSplits(target, visionPolygon, { edges, viewerLoc });
+        if ( res.length ) blockingPoints.tileBoxes.push(...res);
+      });
+    });
+
+    // Obscured volumes are prisms, like tokens.
+    // A viewer directly above or below the volume sees only its top or bottom.
+    blockingObjectsPoints.obscurements.forEach(obscurement => {
+      const topBottom = obscurement._viewableTopBottom(viewerLoc);
+      if ( topBottom ) {
+        const res = topBottom._getVisibleSplits(target, visionPolygon, { edges, viewerLoc });
+        if ( res.length ) blockingPoints.obscurements.push(...res);
+      }
+
+      if ( obscurement.region.shape.contains(viewerLoc.x, viewerLoc.y) ) return;
+      const sides = obscurement._viewableSides(viewerLoc);
+      sides.forEach(pts => {
+        const res = pts._getVisibleSplits(target, visionPolygon, { edges, viewerLoc });
+        if ( res.length ) blockingPoints.obscurements.push(...res);
+      });
+    });
+
     this._blockingPointsAreSet = true;
     this._viewIsSet = false;
   }
@@ -958,9 +1223,41 @@ export class Area3d {
     return combined;
   }
 
+  /**
+   * Combine the faces of all the blocking tile boxes using Clipper
+   * @returns {ClipperPaths|undefined}
+   */
+  _combineBlockingTileBoxes() {
+    const faces = this.blockingPoints.tileBoxes;
+    if ( !faces.length ) return undefined;
+
+    const transformed = faces.map(pts => new PIXI.Polygon(pts.perspectiveTransform()));
+    const paths = ClipperPaths.fromPolygons(transformed, { scalingFactor: Area3d.SCALING_FACTOR });
+    const combined = paths.combine();
+    combined.clean();
+    return combined;
+  }
+
+  /**
+   * Combine the faces of obscured volumes of a given level using Clipper.
+   * @param {string} level    OBSCUREMENT.LIGHT or OBSCUREMENT.HEAVY
+   * @returns {ClipperPaths|undefined}
+   */
+  _combineBlockingObscurements(level) {
+    const faces = this.blockingPoints.obscurements.filter(pts => pts.object.level === level);
+    if ( !faces.length ) return undefined;
+
+    const transformed = faces.map(pts => new PIXI.Polygon(pts.perspectiveTransform()));
+    const paths = ClipperPaths.fromPolygons(transformed, { scalingFactor: Area3d.SCALING_FACTOR });
+    const combined = paths.combine();
+    combined.clean();
+    return combined;
+  }
+
   /**
    * Combine all the blocking tiles using Clipper.
-   * If drawings with holes exist, construct relevant tiles with holes accordingly.
+   * Only the opaque parts of each tile block.
+   * Transparent holes in the tile texture and drawings with holes cut holes in the opaque parts.
    * @returns {ClipperPaths|undefined}
    */
   _combineBlockingTiles() {
@@ -968,40 +1265,26 @@ export class Area3d {
 
     if ( !blockingPoints.tiles.length ) return undefined;
 
-    if ( !blockingPoints.drawings.length ) {
-      let tiles = blockingPoints.tiles.map(w => new PIXI.Polygon(w.perspectiveTransform()));
-      tiles = ClipperPaths.fromPolygons(tiles, {scalingFactor: Area3d.SCALING_FACTOR});
-      tiles.combine().clean();
-      return tiles;
-    }
-
-    // Check if any drawings might create a hole in one or more tiles
     const tilesUnholed = [];
     const tilesHoled = [];
     for ( const tile of blockingPoints.tiles ) {
       const drawingHoles = [];
-      const tileE = tile.object.document.elevation;
-      const tilePoly = new PIXI.Polygon(tile.perspectiveTransform());
-
-      for ( const drawing of blockingPoints.drawings ) {
-        const minE = drawing.object.document.getFlag("levels", "rangeTop");
-        const maxE = drawing.object.document.getFlag("levels", "rangeBottom");
-        if ( minE == null && maxE == null ) continue; // Intended to test null, undefined
-        else if ( minE == null && tileE !== maxE ) continue;
-        else if ( maxE == null && tileE !== minE ) continue;
-        else if ( !tileE.between(minE, maxE) ) continue;
-
-        // We know the tile is within the drawing elevation range.
-        drawing.elevation = tileE; // Temporarily change the drawing elevation to match tile.
+      for ( const drawing of this._drawingHolesForTile(tile) ) {
         drawingHoles.push(new PIXI.Polygon(drawing.perspectiveTransform()));
       }
 
-      if ( drawingHoles.length ) {
-        // Construct a hole at the tile's elevation from the drawing taking the difference.
-        const drawingHolesPaths = ClipperPaths.fromPolygons(drawingHoles, {scalingFactor: Area3d.SCALING_FACTOR});
-        const tileHoled = drawingHolesPaths.diffPolygon(tilePoly);
-        tilesHoled.push(tileHoled);
-      } else tilesUnholed.push(tilePoly);
+      for ( const { piece, holes } of this._opaqueTilePieces(tile) ) {
+        const tilePoly = new PIXI.Polygon(piece.perspectiveTransform());
+        if ( !holes.length && !drawingHoles.length ) {
+          tilesUnholed.push(tilePoly);
+          continue;
+        }
+
+        // Construct the holes at the tile's elevation, taking the difference.
+        const holePolys = [...holes.map(hole => new PIXI.Polygon(hole.perspectiveTransform())), ...drawingHoles];
+        const holesPaths = ClipperPaths.fromPolygons(holePolys, {scalingFactor: Area3d.SCALING_FACTOR});
+        tilesHoled.push(holesPaths.diffPolygon(tilePoly));
+      }
     }
 
     if ( tilesUnholed.length ) {
@@ -1009,6 +1292,7 @@ export class Area3d {
       unHoledPaths.combine().clean();
       tilesHoled.push(unHoledPaths);
     }
+    if ( !tilesHoled.length ) return undefined;
 
     // Combine all the tiles, holed and unholed
     const tiles = ClipperPaths.combinePaths(tilesHoled);
@@ -1016,6 +1300,62 @@ export class Area3d {
     return tiles;
   }
 
+  /**
+   * @typedef {object} OpaqueTilePiece
+   * @property {HorizontalPoints3d} piece       Opaque part of the tile
+   * @property {HorizontalPoints3d[]} holes     Transparent holes in that part
+   */
+
+  /**
+   * Opaque parts of a blocking tile, with the view matrix set.
+   * The tile portion is clipped to each opaque outline of the tile alpha channel, at the tile elevation.
+   * Cached until the blocking points or the view change.
+   * @param {HorizontalPoints3d} tile   Portion of a blocking tile within the vision triangle
+   * @returns {OpaqueTilePiece[]}
+   */
+  _opaqueTilePieces(tile) {
+    let pieces = this._opaqueTilePiecesCache.get(tile);
+    if ( pieces ) return pieces;
+
+    pieces = [];
+    this._opaqueTilePiecesCache.set(tile, pieces);
+    if ( tileIsFullyOpaque(tile.object) ) {
+      pieces.push({ piece: tile, holes: [] });
+      return pieces;
+    }
+
+    const z = tile.points[0].z;
+    const clipToTile = poly => {
+      const pts = clipPolygonToConvex([...poly.iteratePoints({ close: false })], tile.points);
+      if ( !pts.length ) return undefined;
+      const clipped = new HorizontalPoints3d(tile.object, pts.map(pt => new Point3d(pt.x, pt.y, z)));
+      clipped.setViewMatrix(this.viewerViewM);
+      return clipped;
+    };
+    for ( const { outline, holes } of tileOpaqueShapes(tile.object) ) {
+      const piece = clipToTile(outline);
+      if ( piece ) pieces.push({ piece, holes: holes.map(clipToTile).filter(Boolean) });
+    }
+    return pieces;
+  }
+
+  /**
+   * Drawings that make holes in a blocking tile, because the tile is within the drawing elevation range.
+   * Each drawing's elevation is temporarily changed to match the tile, so use each before the next.
+   * @param {TilePoints3d} tile
+   * @returns {Generator<DrawingPoints3d>}
+   */
+  *_drawingHolesForTile(tile) {
+    const tileE = tile.object.document.elevation;
+    for ( const drawing of this.blockingPoints.drawings ) {
+      if ( !drawing.object.isHoleAtElevation(tileE) ) continue;
+
+      // We know the tile is within the drawing elevation range.
+      drawing.elevation = tileE; // Temporarily change the drawing elevation to match tile.
+      yield drawing;
+    }
+  }
+
   /**
    * Test if any part of the target is within the limited angle vision of the token.
    * @returns {boolean}
@@ -1035,7 +1375,7 @@ export class Area3d {
     // The angle of the right (clockwise) edge of the emitted cone in radians.
     const aMax = aMin + Math.toRadians(angle);
 
-    const constrainedTokenBorder = ConstrainedTokenBorder.get(this.target).constrainedBorder();
+    const constrainedTokenBorder = this.targetBorder;
 
     // For each edge:
     // If it intersects a ray, target is within.
@@ -0,0 +1,113 @@
+/* globals
+document,
+foundry,
+Worker
+*/
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+import { SETTINGS, getSetting } from "./settings.js";
+
+/**
+ * Runs the polygon clipping of Area3d in a web worker, off the main thread.
+ * The worker loads the Clipper library from the script Foundry loaded it from.
+ * If the worker cannot start, it is disabled for the session and Area3d runs on the main thread.
+ */
+export class Area3dWorker {
+  /** @type {Worker|undefined} */
+  static #worker;
+
+  /** @type {boolean} */
+  static #failed = false;
+
+  /** @type {number} */
+  static #nextId = 0;
+
+  /**
+   * Requests awaiting a reply from the worker.
+   * @type {Map<number, {resolve: function, reject: function}>}
+   */
+  static #pending = new Map();
+
+  /**
+   * Whether to use the worker. Starts the worker on first use.
+   * @type {boolean}
+   */
+  static get enabled() {
+    if ( !getSetting(SETTINGS.AREA3D_USE_WORKER) ) return false;
+    return this.#initialize();
+  }
+
+  /**
+   * Calculate the percent of the target visible in the worker.
+   * @param {Area3dWorkerData} data   See Area3d.prototype._workerData
+   * @returns {Promise<number>}
+   */
+  static percentAreaVisible(data) { return this.#post("percentAreaVisible", data); }
+
+  /**
+   * Start the worker, if not already started.
+   * @returns {boolean} True if the worker is available
+   */
+  static #initialize() {
+    if ( this.#worker ) return true;
+    if ( this.#failed ) return false;
+
+    const clipperURL = [...document.scripts].find(s => /clipper/i.test(s.src))?.src;
+    if ( typeof Worker === "undefined" || !clipperURL ) {
+      this.#fail("Web workers or the Clipper library are not available.");
+      return false;
+    }
+
+    try {
+      this.#worker = new Worker(foundry.utils.getRoute(`modules/${MODULE_ID}/scripts/workers/area3d.js`));
+    } catch( err ) {
+      this.#fail(err.message);
+      return false;
+    }
+    this.#worker.onmessage = event => this.#receive(event.data);
+    this.#worker.onerror = event => this.#fail(event.message);
+    this.#post("init", { clipperURL }).catch(err => this.#fail(err.message));
+    return true;
+  }
+
+  /**
+   * Send a request to the worker.
+   * @param {string} action
+   * @param {object} data
+   * @returns {Promise<*>}
+   */
+  static #post(action, data) {
+    if ( !this.#worker ) return Promise.reject(new Error("Area3d worker is not running."));
+    const id = this.#nextId++;
+    return new Promise((resolve, reject) => {
+      this.#pending.set(id, { resolve, reject });
+      this.#worker.postMessage({ id, action, data });
+    });
+  }
+
+  /**
+   * Resolve the request for a reply from the worker.
+   * @param {object} reply    {id, result} or {id, error}
+   */
+  static #receive({ id, result, error }) {
+    const pending = this.#pending.get(id);
+    if ( !pending ) return;
+    this.#pending.delete(id);
+    if ( error ) pending.reject(new Error(error));
+    else pending.resolve(result);
+  }
+
+  /**
+   * Stop using the worker for this session. Pending requests are rejected.
+   * @param {string} message
+   */
+  static #fail(message) {
+    console.error(`Area3dWorker|${message} Area3d will run on the main thread.`);
+    this.#failed = true;
+    this.#worker?.terminate();
+    this.#worker = undefined;
+    this.#pending.forEach(({ reject }) => reject(new Error(message)));
+    this.#pending.clear();
+  }
+}
@@ -4,6 +4,7 @@ ClockwiseSweepPolygon
 "use strict";
 
 // Version of Clockwise Sweep that ignores non-infinite walls
+// and walls excluded by their cover override
 
 export class CWSweepInfiniteWallsOnly extends ClockwiseSweepPolygon {
   /**
@@ -11,6 +12,7 @@ export class CWSweepInfiniteWallsOnly extends ClockwiseSweepPolygon {
    */
   _testWallInclusion(wall, bounds) {
     if ( isFinite(wall.topZ) || isFinite(wall.bottomZ) ) return false;
+    if ( this.config.excludedWallOverrides?.includes(wall.coverOverride) ) return false;
     return super._testWallInclusion(wall, bounds);
   }
 }
@@ -6,7 +6,7 @@ Token,
 "use strict";
 
 import { MODULES_ACTIVE } from "./const.js";
-import { SETTINGS, getSetting } from "./settings.js";
+import { SETTINGS, getSetting, detectionModeSettings } from "./settings.js";
 
 // Patches for the CanvasVisibility class
 export const PATCHES = {};
@@ -16,7 +16,7 @@ PATCHES.BASIC = {};
 
 /**
  * Mixed wrap CanvasVisibility.prototype.testVisibility
- * Set tolerance to zero, to cause only a single centerpoint to be tested, for RANGE.CENTER.
+ * Set tolerance to zero, to cause only a single centerpoint to be tested, if every detection mode uses RANGE.CENTER.
  * @param {Point} point                         The point in space to test, an object with coordinates x and y.
  * @param {object} [options]                    Additional options which modify visibility testing.
  * @param {number} [options.tolerance=2]        A numeric radial offset which allows for a non-exact match.
@@ -36,9 +36,21 @@ function testVisibility(wrapped, point, {tolerance=2, object=null}={}) {
     CONFIG.Levels.visibilityTestObject = undefined;
   }
 
-  if ( getSetting(SETTINGS.RANGE.ALGORITHM) === SETTINGS.RANGE.TYPES.CENTER ) tolerance = 0;
+  if ( getSetting(SETTINGS.RANGE.ALGORITHM) === SETTINGS.RANGE.TYPES.CENTER && onlyCenterRange() ) tolerance = 0;
 
   return wrapped(point, { tolerance, object });
 }
 
 PATCHES.BASIC.WRAPS = { testVisibility };
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Do all detection modes test only the center point for range?
+ * Detection modes without their own range points use the world setting.
+ * @returns {boolean}
+ */
+function onlyCenterRange() {
+  const modeIds = Object.keys(getSetting(SETTINGS.DETECTION_MODES.CONFIG) ?? {});
+  return modeIds.every(id => detectionModeSettings(id).rangeAlgorithm === SETTINGS.RANGE.TYPES.CENTER);
+}
@@ -0,0 +1,69 @@
+/* globals
+canvas,
+game
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { COVER } from "./const.js";
+import { coverWorkflow } from "./cover.js";
+import { CoverCalculator } from "./CoverCalculator.js";
+import { SETTINGS, getSetting } from "./settings.js";
+
+// Patches for the Pathfinder 2e CheckPF2e class (game.pf2e.Check)
+export const PATCHES = {};
+PATCHES.pf2e = {}; // Pathfinder 2e system.
+
+// Roll types that are attacks against the target's AC.
+const ATTACK_ROLL_TYPES = new Set(["attack-roll", "spell-attack-roll"]);
+
+// ----- NOTE: MIXES ----- //
+
+/**
+ * Mixed wrap CheckPF2e.roll
+ * Strikes and spell attacks run the cover workflow before rolling.
+ * If the cover applied to the target changes its AC, the DC of the roll is adjusted to match.
+ * If cover effects are not applied, the DC includes the cover the target has from this attacker.
+ * @param {CheckModifier} check
+ * @param {CheckRollContext} [context]
+ * @param {Event|null} [event]
+ * @param {function} [callback]
+ * @returns {Promise<Rolled<CheckRoll>|null>}
+ */
+async function roll(wrapper, check, context, event, callback) {
+  context ??= {};
+  event ??= null;
+  if ( !ATTACK_ROLL_TYPES.has(context.type) ) return wrapper(check, context, event, callback);
+
+  // Locate the token
+  const token = context.token?.object ?? context.actor?.getActiveTokens()[0];
+  if ( !token || !token.isOwner ) return wrapper(check, context, event, callback);
+
+  // Determine the targets for the user
+  const targets = game.user.targets;
+  if ( !targets.size ) return wrapper(check, context, event, callback);
+
+  // Construct dialogs, if applicable
+  const target = context.target?.token?.object ?? canvas.tokens.get(context.target?.token?.id);
+  const acBefore = target?.actor?.system.attributes.ac?.value;
+  if ( !(await coverWorkflow(token, targets, "all", { item: context.item })) ) return null;
+
+  // If the user omitted the target of this roll, cancel the roll.
+  if ( target && !targets.has(target) ) return null;
+
+  if ( target && context.dc ) {
+    if ( getSetting(SETTINGS.COVER.APPLY_EFFECTS) ) {
+      // The DC was set from the target's AC before cover was applied.
+      const acAfter = target.actor?.system.attributes.ac?.value;
+      if ( Number.isFinite(acBefore) && Number.isFinite(acAfter) ) context.dc.value += acAfter - acBefore;
+    } else {
+      // Without cover effects, add the bonus for the cover the target has from this attacker.
+      const level = CoverCalculator.pf2eCoverLevel(target.coverTypeFrom(token));
+      context.dc.value += COVER.PF2E.BONUS[level] ?? 0;
+    }
+  }
+
+  return wrapper(check, context, event, callback);
+}
+
+PATCHES.pf2e.STATIC_MIXES = { roll };
@@ -59,18 +59,24 @@ PATCHES.ConstrainedTokenBorder.HOOKS = {
  */
 export class ConstrainedTokenBorder extends ClockwiseSweepPolygon {
   /**
-   * Cache shape by token.
+   * Cache shape by token, then by bounds scale.
+   * @type {WeakMap<Token, Map<number, ConstrainedTokenBorder>>}
    */
   static _cache = new WeakMap();
 
   /**
-   * Retrieve the constrained token shape for the given wall restriction type.
+   * Retrieve the constrained token shape.
    * @param {Token} token
-   * @param {string} type   Corresponds to wall restriction: sight, sound, light, move
+   * @param {object} [options]
+   * @param {number} [options.boundsScale=1]    Scale the token border about its center before constraining it.
+   *   Used for the token's visibility bounds; see Token.prototype.visibilityBoundsScale.
+   * @returns {ConstrainedTokenBorder}
    */
-  static get(token) {
-    let polygon = this._cache.get(token);
-    if ( !polygon ) this._cache.set(token, polygon = new this(token));
+  static get(token, { boundsScale = 1 } = {}) {
+    let byScale = this._cache.get(token);
+    if ( !byScale ) this._cache.set(token, byScale = new Map());
+    let polygon = byScale.get(boundsScale);
+    if ( !polygon ) byScale.set(boundsScale, polygon = new this(token, boundsScale));
     polygon.initialize();
     polygon.compute();
     return polygon;
@@ -108,9 +114,32 @@ export class ConstrainedTokenBorder extends ClockwiseSweepPolygon {
   /** @type {boolean} */
   _dirty = true;
 
-  constructor(token) {
+  /**
+   * Scale of the token border, about the token center.
+   * @type {number}
+   */
+  _boundsScale = 1;
+
+  /**
+   * Token border, scaled. Set when the token moves.
+   * @type {PIXI.Polygon|PIXI.Rectangle}
+   */
+  _border;
+
+  /**
+   * Bounds of the scaled token border.
+   * @type {PIXI.Rectangle}
+   */
+  _bounds;
+
+  /**
+   * @param {Token} token
+   * @param {number} [boundsScale=1]    Scale of the token border about the token center
+   */
+  constructor(token, boundsScale = 1) {
     super();
     this._token = token;
+    this._boundsScale = boundsScale;
   }
 
   /** @override */
@@ -135,20 +164,22 @@ export class ConstrainedTokenBorder extends ClockwiseSweepPolygon {
       this._wallsID = ConstrainedTokenBorder._wallsID;
       this._dirty = true;
 
-      const border = this._token.tokenBorder;
+      const center = this._token.center;
+      this._border = scaleShape(this._token.tokenBorder, this._boundsScale, center);
+      this._bounds = this._boundsScale === 1 ? this._token.bounds : this._border.getBounds();
+
       const config = {
         source: this._token.vision,
         type: "move",
-        boundaryShapes: [border] };
+        boundaryShapes: [this._border] };
 
-      const center = this._token.center;
       super.initialize({ x: center.x, y: center.y }, config);
     }
   }
 
   /** @override */
   getBounds() {
-    return this._token.bounds;
+    return this._bounds;
   }
 
   /** @override */
@@ -181,7 +212,7 @@ export class ConstrainedTokenBorder extends ClockwiseSweepPolygon {
   _identifyEdges() {
     const walls = this._getWalls();
     const type = this.config.type;
-    const bounds = this._token.bounds;
+    const bounds = this._bounds;
     for ( const wall of walls ) {
       // If only walls on a token bounds, then we can stop and return the unrestricted token shape.
       // Token borders are either square or hex.
@@ -210,12 +241,12 @@ export class ConstrainedTokenBorder extends ClockwiseSweepPolygon {
 
   /** @override */
   _defineBoundingBox() {
-    return this._token.bounds.clone().ceil().pad(1);
+    return this._bounds.clone().ceil().pad(1);
   }
 
   /** @override */
   contains(x, y) {
-    const inBounds = this._token.bounds.contains(x, y);
+    const inBounds = this._bounds.contains(x, y);
     if ( this._unrestricted || !inBounds ) return inBounds;
 
     return PIXI.Polygon.prototype.contains.call(this, x, y);
@@ -226,7 +257,31 @@ export class ConstrainedTokenBorder extends ClockwiseSweepPolygon {
    * @returns {ConstrainedTokenShape|PIXI.Rectangle}
    */
   constrainedBorder() {
-    return this._unrestricted ? this._token.tokenBorder : this;
+    return this._unrestricted ? this._border : this;
   }
 }
 
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Scale a token border about a center point.
+ * @param {PIXI.Polygon|PIXI.Rectangle} shape
+ * @param {number} scale
+ * @param {Point} center
+ * @returns {PIXI.Polygon|PIXI.Rectangle} The shape, if the scale is 1; otherwise a new shape
+ */
+function scaleShape(shape, scale, center) {
+  if ( scale === 1 ) return shape;
+  if ( shape instanceof PIXI.Rectangle ) {
+    const width = shape.width * scale;
+    const height = shape.height * scale;
+    return new PIXI.Rectangle(center.x - (width * 0.5), center.y - (height * 0.5), width, height);
+  }
+
+  const points = shape.points.map((p, i) => {
+    const c = i % 2 ? center.y : center.x;
+    return c + ((p - c) * scale);
+  });
+  return new PIXI.Polygon(points);
+}
+
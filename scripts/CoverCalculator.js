@@ -3,6 +3,8 @@ canvas,
 CONFIG,
 CONST,
 duplicate,
+foundry,
+fromUuid,
 fromUuidSync,
 game,
 Hooks,
@@ -16,8 +18,15 @@ VisionSource
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
-import { MODULE_ID, COVER, MODULES_ACTIVE, DEBUG, WEAPON_ATTACK_TYPES } from "./const.js";
-import { getSetting, SETTINGS, getCoverName } from "./settings.js";
+import { MODULE_ID, FLAGS, COVER, MODULES_ACTIVE, DEBUG, WEAPON_ATTACK_TYPES, OBSCUREMENT } from "./const.js";
+import {
+  getSetting,
+  SETTINGS,
+  getCoverName,
+  getCoverEffect,
+  coverTierForType,
+  dFredsHasCover,
+  addAlgorithmChoice } from "./settings.js";
 import { Area2d } from "./Area2d.js";
 import { Area3d } from "./Area3d.js";
 import { Draw } from "./geometry/Draw.js"; // For debugging
@@ -25,14 +34,17 @@ import {
   lineSegmentIntersectsQuadrilateral3d,
   lineIntersectionQuadrilateral3d,
   buildTokenPoints,
-  getActorByUuid,
-  keyForValue } from "./util.js";
+  getActorByUuid } from "./util.js";
 
 import { ClipperPaths } from "./geometry/ClipperPaths.js";
 import { Point3d } from "./geometry/3d/Point3d.js";
 import { squaresUnderToken, hexesUnderToken } from "./shapes_under_token.js";
+import { ResultCache } from "./ResultCache.js";
+import { Area3dWorker } from "./Area3dWorker.js";
 import { CoverDialog } from "./CoverDialog.js";
 import { Lock } from "./Lock.js";
+import { regionsAlongSegment, tileBoxesAlongSegment } from "./obscurement.js";
+import { TILE_ALPHA_THRESHOLD } from "./tile_alpha.js";
 
 // ----- Set up sockets for changing effects on tokens and creating a dialog ----- //
 // Don't pass complex classes through the socket. Use token ids instead.
@@ -49,6 +61,10 @@ Hooks.once("socketlib.ready", () => {
       disableAllATVCoverFn = disableAllATVCoverSFRPG;
       enableATVCoverFn = enableATVCoverSFRPG;
       break;
+    case "pf2e":
+      disableAllATVCoverFn = disableAllATVCoverPF2E;
+      enableATVCoverFn = enableATVCoverPF2E;
+      break;
     default:
       disableAllATVCoverFn = disableAllATVCover;
       enableATVCoverFn = enableATVCover;
@@ -58,6 +74,7 @@ Hooks.once("socketlib.ready", () => {
   SOCKETS.socket.register("coverDialog", coverDialog);
   SOCKETS.socket.register("disableAllATVCover", disableAllATVCoverFn);
   SOCKETS.socket.register("enableATVCover", enableATVCoverFn);
+  SOCKETS.socket.register("setCoverFrom", setCoverFrom);
 });
 
 /**
@@ -78,6 +95,21 @@ async function coverDialog(data, options = {}) {
   return obj;
 }
 
+/**
+ * Record the cover a target has from a given attacker, in the target token flags.
+ * Used in SOCKETS above.
+ * @param {string} tokenUUID      Target token uuid
+ * @param {string} attackerId     Id of the attacking token or template
+ * @param {COVER_TYPE} type       Type of cover the target has from the attacker
+ * @returns {Promise<TokenDocument>} Return from update.
+ */
+async function setCoverFrom(tokenUUID, attackerId, type) {
+  // Confirm the token UUID is valid.
+  const tokenD = fromUuidSync(tokenUUID);
+  if ( !tokenD ) return;
+  return tokenD.update({ [`flags.${MODULE_ID}.${FLAGS.COVER.FROM}.${attackerId}`]: type });
+}
+
 /**
  * Remove all ATV cover statuses (ActiveEffect) from a token.
  * Used in SOCKETS above.
@@ -136,9 +168,9 @@ async function enableATVCover(tokenUUID, type = COVER.TYPES.LOW) {
   if ( !tokenD ) return;
 
   // Confirm this is a valid cover type.
-  const key = keyForValue(COVER.TYPES, type);
-  if ( !key ) return;
-  const desiredCoverId = COVER.CATEGORIES[key][MODULE_ID];
+  const tier = coverTierForType(type);
+  if ( !tier ) return;
+  const desiredCoverId = COVER.CATEGORIES[tier.id][MODULE_ID];
 
   // Add the effect. (ActiveEffect hooks will prevent multiple additions.)
   const effectData = CONFIG.statusEffects.find(e => e.id === desiredCoverId);
@@ -163,9 +195,8 @@ async function enableATVCoverSFRPG(tokenUUID, type = COVER.TYPES.LOW) {
   const tokenD = fromUuidSync(tokenUUID);
   if ( !tokenD || !tokenD.actor ) return;
 
-  // Confirm this is a valid cover type.
-  const key = keyForValue(COVER.TYPES, type);
-  if ( !key || !Object.hasOwn(COVER.CATEGORIES, key) ) return;
+  // Confirm this is a valid cover type. Starfinder only has its own cover items.
+  if ( !Object.hasOwn(COVER.SFRPG, type) ) return;
 
   // Retrieve the cover item.
   let coverItem = game.items.find(i => i.getFlag(MODULE_ID, "cover") === type);
@@ -180,6 +211,67 @@ async function enableATVCoverSFRPG(tokenUUID, type = COVER.TYPES.LOW) {
   return tokenD.actor.createEmbeddedDocuments("Item", [coverItem]);
 }
 
+/**
+ * Remove all ATV cover effects from a token in Pathfinder 2e.
+ * Cover effects added by the token itself, such as from the Take Cover action, are kept.
+ * Used in SOCKETS above.
+ * @param {string} tokenUUID         Token uuid
+ * @returns {Promise<boolean>} Return from deleteEmbeddedDocuments.
+ */
+async function disableAllATVCoverPF2E(tokenUUID) {
+  // Confirm the token UUID is valid.
+  const tokenD = fromUuidSync(tokenUUID);
+  if ( !tokenD || !tokenD.actor ) return;
+
+  // Drop all cover effects.
+  const coverIds = tokenD.actor.itemTypes.effect.filter(i => i.getFlag(MODULE_ID, "cover")).map(i => i.id);
+  if ( !coverIds.length ) return;
+  await CoverCalculator.lock.acquire();
+  await tokenD.actor.deleteEmbeddedDocuments("Item", coverIds);
+  await CoverCalculator.lock.release();
+}
+
+/**
+ * Enable the Pathfinder 2e cover effect for a token, at the level matching the cover type.
+ * Token can only have one ATV cover effect at a time, so all other ATV covers are removed.
+ * Used in SOCKETS above.
+ * @param {string} tokenUUID    Token uuid
+ * @param {COVER_TYPE} type     Type of cover to apply
+ * @returns {Promise<boolean>} Return from createEmbeddedDocuments.
+ */
+async function enableATVCoverPF2E(tokenUUID, type = COVER.TYPES.LOW) {
+  // If enabling the "None" cover, remove all cover.
+  // If TOTAL, this is used as a flag elsewhere to remove the token from targeting. Ignored here.
+  if ( type === COVER.TYPES.NONE ) return disableAllATVCoverPF2E(tokenUUID);
+  if ( type === COVER.TYPES.TOTAL ) return;
+
+  // Confirm the token UUID is valid.
+  const tokenD = fromUuidSync(tokenUUID);
+  if ( !tokenD || !tokenD.actor ) return;
+
+  // Confirm this is a valid cover type.
+  const level = CoverCalculator.pf2eCoverLevel(type);
+  if ( !level ) return;
+
+  // Skip if the token already has this cover.
+  const actor = tokenD.actor;
+  const existing = actor.itemTypes.effect.filter(i => i.getFlag(MODULE_ID, "cover"));
+  if ( existing.length === 1 && existing[0].getFlag(MODULE_ID, "cover") === type ) return;
+
+  // Pull the system cover effect and preselect the cover level.
+  const source = (await fromUuid(COVER.PF2E.EFFECT_UUID))?.toObject();
+  if ( !source ) return;
+  const choiceSet = source.system.rules?.find(r => r.key === "ChoiceSet" && r.flag === "cover");
+  const choice = choiceSet?.choices?.find?.(c => c.value?.level === level);
+  if ( choice ) choiceSet.selection = choice.value;
+  foundry.utils.setProperty(source, `flags.${MODULE_ID}.cover`, type);
+
+  await CoverCalculator.lock.acquire();
+  if ( existing.length ) await actor.deleteEmbeddedDocuments("Item", existing.map(i => i.id));
+  await actor.createEmbeddedDocuments("Item", [source]);
+  await CoverCalculator.lock.release();
+}
+
 /**
  * Remove all ATV cover statuses (ActiveEffect) from a token.
  * Used in SOCKETS above.
@@ -223,11 +315,11 @@ async function enableDFredsCover(uuid, type = COVER.TYPES.LOW) {
   if ( !actor ) return;
 
   // Confirm this is a valid cover type.
-  const key = keyForValue(COVER.TYPES, type);
-  if ( !key ) return;
+  const tier = coverTierForType(type);
+  if ( !tier || !COVER.DFRED_NAMES[tier.id] ) return;
 
   // Add the effect. (ActiveEffect hooks will prevent multiple additions.)
-  const effectName = COVER.DFRED_NAMES[key];
+  const effectName = COVER.DFRED_NAMES[tier.id];
   return game.dfreds.effectInterface.addEffect({ effectName, uuid });
 }
 
@@ -244,28 +336,109 @@ export class CoverCalculator {
   /** @type {object} */
   static ALGORITHMS = SETTINGS.COVER.TYPES;
 
+  /**
+   * Cover from built-in algorithms, reused until the viewer, target, or scene changes.
+   * Results for which tokens block are also invalidated when any token changes.
+   * @type {{geometry: ResultCache, tokens: ResultCache}}
+   */
+  static cache = {
+    geometry: new ResultCache(),
+    tokens: new ResultCache({ tokensBlock: true })
+  };
+
+  /**
+   * Algorithms that need a viewer token, and the algorithm to use instead when measuring from a point.
+   * @type {object}
+   */
+  static POINT_VIEWER_ALGORITHMS = {
+    [SETTINGS.COVER.TYPES.CORNER_CORNERS_TARGET]: SETTINGS.COVER.TYPES.CENTER_CORNERS_TARGET,
+    [SETTINGS.COVER.TYPES.CORNER_CORNERS_GRID]: SETTINGS.COVER.TYPES.CENTER_CORNERS_GRID,
+    [SETTINGS.COVER.TYPES.CUBE_CUBE]: SETTINGS.COVER.TYPES.CENTER_CUBE,
+    [SETTINGS.COVER.TYPES.AREA]: SETTINGS.COVER.TYPES.AREA3D
+  };
+
   /**
    * @typedef Area2dConfig  Configuration settings for this class.
    * @type {object}
    * @property {CONST.WALL_RESTRICTION_TYPES} type    Type of vision source
    * @property {boolean} wallsBlock                   Do walls block vision?
    * @property {boolean} tilesBlock                   Do tiles block vision?
+   * @property {boolean} tileBoxesBlock               Do tiles with a top elevation block as 3d boxes?
    * @property {boolean} deadTokensBlock              Do dead tokens block vision?
    * @property {boolean} liveTokensBlock              Do live tokens block vision?
    * @property {boolean} liveForceHalfCover           Use dnd5e token half-cover rule
+   * @property {boolean} wallOverrides                Apply the cover overrides set on walls
+   * @property {string[]} excludedWallOverrides       Walls with these cover overrides do not block
+   * @property {boolean} takeCover                    Upgrade standard to greater cover if target is taking cover (pf2e)
+   * @property {boolean} obscurementBlocks            Heavily obscured volumes block rays and area, as for sight
+   * @property {boolean} obscurementCover             Apply the cover tier set on obscured volumes
+   * @property {boolean} templatesBlock               Templates flagged to block cover block rays and area
+   * @property {boolean} callHooks                    Call the preCalculateCover and calculateCover hooks
+   */
+
+  /**
+   * @typedef CoverRay  A single ray tested between viewer and target.
+   * @type {object}
+   * @property {Point3d} viewerPoint      Start of the ray, on the viewer
+   * @property {Point3d} targetPoint      End of the ray, on the target
+   * @property {boolean} blocked          Whether the ray counted as blocked
+   * @property {Wall[]} walls             Walls that blocked the ray
+   * @property {Tile[]} tiles             Tiles that blocked the ray
+   * @property {Token[]} tokens           Tokens that blocked the ray
+   * @property {Drawing[]} obscurements   Drawings of heavily obscured volumes that blocked the ray
+   */
+
+  /**
+   * @typedef CoverTest  One viewer point tested against a set of target points.
+   * @type {object}
+   * @property {Point3d} viewerPoint              Point on the viewer
+   * @property {Point3d[]} targetPoints           Points on the target
+   * @property {number} percentCover              Percent of the rays blocked, between 0 and 1
+   * @property {boolean} tokensForceLowCover      Tokens granted low cover under the dnd5e rule
+   * @property {COVER_TYPE} coverType             Cover for this test
+   * @property {CoverRay[]} rays                  Each ray tested
+   */
+
+  /**
+   * @typedef CoverDetails  Explanation of how cover was calculated.
+   * @type {object}
+   * @property {string} algorithm                 Cover algorithm used
+   * @property {COVER_TYPE} coverType             Final cover type
+   * @property {COVER_TYPE} algorithmCoverType    Cover type from the algorithm, before wall overrides
+   * @property {number|undefined} percentCover    Percent of the target obscured, between 0 and 1
+   * @property {boolean} tokensForceLowCover      Tokens granted low cover under the dnd5e rule
+   * @property {object} thresholds                Percent cover required for LOW, MEDIUM, HIGH
+   * @property {CoverTest[]} tests                Point algorithms: each viewer point --> target points test
+   * @property {CoverTest|undefined} leastCoverTest   Point algorithms: the test that determined the cover
+   * @property {object|undefined} blockingObjects Area algorithms: walls, tiles, tokens between viewer and target
+   * @property {Set<string>} wallOverrides        Cover overrides of the walls between viewer and target
+   * @property {boolean} takeCover                Standard cover was upgraded because the target is taking cover
+   * @property {Set<Drawing>} obscurements        Drawings of obscured volumes that set a minimum cover
    */
 
   /** @type {object} */
   config = {};
 
-  /** @type {Token} */
+  /**
+   * Explanation of the cover calculation, filled in only while running targetCoverDetails.
+   * @type {CoverDetails|undefined}
+   */
+  details;
+
+  /** @type {Token|undefined} */
   viewer;
 
+  /**
+   * Point from which cover is measured when the viewer is not a token, such as a template origin.
+   * @type {Point3d|undefined}
+   */
+  viewerPoint;
+
   /** @type {Token} */
   target;
 
   /**
-   * @param {VisionSource|Token} viewer
+   * @param {VisionSource|Token|Point3d} viewer   A point measures cover from that location
    * @param {Token} target
    */
   constructor(viewer, target, config = {}) {
@@ -279,7 +452,8 @@ export class CoverCalculator {
       target = target[0];
     }
 
-    this.viewer = viewer instanceof VisionSource ? viewer.object : viewer;
+    if ( viewer instanceof Point3d ) this.viewerPoint = viewer;
+    else this.viewer = viewer instanceof VisionSource ? viewer.object : viewer;
     this.target = target;
     this.#configure(config);
     this.debug = DEBUG.cover;
@@ -296,11 +470,19 @@ export class CoverCalculator {
     config.type ??= "move";
     config.wallsBlock ??= true;
     config.tilesBlock ??= MODULES_ACTIVE.LEVELS || MODULES_ACTIVE.EV;
+    config.tileBoxesBlock ??= true;
     config.deadTokensBlock ??= getSetting(SETTINGS.COVER.DEAD_TOKENS.ALGORITHM);
     config.liveTokensBlock ??= liveTokenAlg !== liveTypes.NONE;
     config.liveForceHalfCover ??= liveTokenAlg === liveTypes.HALF;
     config.proneTokensBlock ??= getSetting(SETTINGS.COVER.PRONE);
 	config.rideableconnectedTokenBlock ??= getSetting(SETTINGS.COVER.RIDEABLE); //setting for RIDEABLE cover compatibility
+    config.wallOverrides ??= true;
+    config.excludedWallOverrides ??= config.wallOverrides ? [COVER.WALL_OVERRIDES.IGNORE] : [];
+    config.takeCover ??= game.system.id === "pf2e";
+    config.obscurementBlocks ??= false;
+    config.obscurementCover ??= true;
+    config.templatesBlock ??= true;
+    config.callHooks ??= true;
 
     this.config = config;
   }
@@ -310,14 +492,112 @@ export class CoverCalculator {
     return getSetting(SETTINGS.COVER.ALGORITHM);
   }
 
+  /**
+   * Register a cover algorithm, making it available in the cover algorithm setting.
+   * The function is passed this calculator and its configuration.
+   * The configuration may have tokens disabled, for the dnd5e rule that tokens only grant low cover.
+   * @param {string} id                         Unique id, stored as the cover algorithm setting
+   * @param {object} options
+   * @param {string} options.label              Name or localization key
+   * @param {function} options.fn               (coverCalculator, config) => percent cover or cover type
+   * @param {boolean} [options.usesPercent=true]  If true, fn returns percent cover, between 0 and 1.
+   *   Otherwise, fn returns a cover type, or true for the tier of the center-to-center trigger setting.
+   */
+  static registerAlgorithm(id, { label, fn, usesPercent = true } = {}) {
+    if ( Object.values(SETTINGS.COVER.TYPES).includes(id) ) {
+      console.error(`CoverCalculator.registerAlgorithm|${id} is a built-in cover algorithm.`);
+      return;
+    }
+    if ( typeof fn !== "function" ) {
+      console.error(`CoverCalculator.registerAlgorithm|${id} requires a function.`);
+      return;
+    }
+
+    label ??= id;
+    COVER.ALGORITHMS.set(id, { label, fn, usesPercent });
+    addAlgorithmChoice(SETTINGS.COVER.ALGORITHM, id, label);
+  }
+
+  /**
+   * Name of a cover algorithm, for display.
+   * @param {string} algorithm
+   * @returns {string}
+   */
+  static algorithmLabel(algorithm) {
+    const registered = COVER.ALGORITHMS.get(algorithm);
+    return game.i18n.localize(registered ? registered.label : `${MODULE_ID}.settings.${algorithm}`);
+  }
+
+  /**
+   * Does the algorithm grant the tier of the center-to-center trigger setting when it finds cover?
+   * @param {string} algorithm
+   * @returns {boolean}
+   */
+  static usesCenterTrigger(algorithm) {
+    if ( algorithm === SETTINGS.COVER.TYPES.CENTER_CENTER ) return true;
+    const registered = COVER.ALGORITHMS.get(algorithm);
+    return Boolean(registered && !registered.usesPercent);
+  }
+
+  /**
+   * Cover type of the tier selected in the center-to-center trigger setting.
+   * @type {COVER_TYPE|undefined}
+   */
+  static get centerTriggerType() {
+    const centerIdx = COVER.TIERS.findIndex(tier => tier.id === getSetting(SETTINGS.COVER.TRIGGER_CENTER));
+    return centerIdx === -1 ? undefined : centerIdx + 1;
+  }
+
   /**
    * Get the corresponding name for a cover type.
    * @param {COVER_TYPES} type    Cover number
    * @returns {string}
    */
-  static coverNameForType(type) {
-    const key = keyForValue(this.COVER_TYPES, type);
-    return getCoverName(key);
+  static coverNameForType(type) { return getCoverName(type); }
+
+  /**
+   * Armor class bonus for a cover type in dnd5e, from the changes of the tier's status effect.
+   * @param {COVER_TYPES} type    Cover number
+   * @returns {number} The AC bonus; 0 if none or if the cover prevents attacks
+   */
+  static dnd5eCoverBonus(type) {
+    if ( type <= this.COVER_TYPES.NONE || this.dnd5eCoverPreventsAttack(type) ) return 0;
+    const changes = getCoverEffect(coverTierForType(type)?.id).changes ?? [];
+    let bonus = 0;
+    for ( const change of changes ) {
+      if ( change.key !== "system.attributes.ac.cover" && change.key !== "system.attributes.ac.bonus" ) continue;
+      const value = Number(change.value);
+      if ( Number.isFinite(value) ) bonus += value;
+    }
+    return bonus;
+  }
+
+  /**
+   * Does a cover type prevent attacks in dnd5e?
+   * True for total cover, and for cover whose effect makes attacks fail with midi-qol.
+   * @param {COVER_TYPES} type    Cover number
+   * @returns {boolean}
+   */
+  static dnd5eCoverPreventsAttack(type) {
+    if ( type <= this.COVER_TYPES.NONE ) return false;
+    if ( type >= this.COVER_TYPES.TOTAL ) return true;
+    const changes = getCoverEffect(coverTierForType(type)?.id).changes ?? [];
+    return changes.some(change => change.key === "flags.midi-qol.grants.attack.fail.all");
+  }
+
+  /**
+   * Map a cover type to the Pathfinder 2e cover level.
+   * The first tier is lesser cover, the last tier greater cover, and tiers in between standard cover.
+   * @param {COVER_TYPES} type    Cover number
+   * @returns {string|undefined} Lesser, standard, or greater. Undefined for no or total cover.
+   */
+  static pf2eCoverLevel(type) {
+    const COVER_TYPES = this.COVER_TYPES;
+    const LEVELS = COVER.PF2E.LEVELS;
+    if ( type <= COVER_TYPES.NONE || type >= COVER_TYPES.TOTAL ) return undefined;
+    if ( type <= COVER_TYPES.LOW ) return LEVELS.LESSER;
+    if ( type >= COVER_TYPES.HIGH ) return LEVELS.GREATER;
+    return LEVELS.STANDARD;
   }
 
   /**
@@ -365,12 +645,43 @@ export class CoverCalculator {
 
   static dFredsHasCover(type) {
     // Confirm this is a valid cover type.
-    const key = keyForValue(COVER.TYPES, type);
-    if ( !key ) return;
+    const tier = coverTierForType(type);
+    if ( !tier ) return false;
+    return dFredsHasCover(tier.id);
+  }
+
+  /**
+   * Set the cover a target has from an attacker.
+   * Cover is recorded per attacker in the target token flags; see Token.prototype.coverTypeFrom.
+   * If the apply-effects setting is enabled, the target cover status is also set, replacing any other.
+   *
+   * Hooks:
+   * - tokenvisibility.preApplyCover(attacker, target, data). data is {coverType, actionType, item}.
+   *   Hooks may change data.coverType. Returning false prevents the cover from being applied.
+   * - tokenvisibility.applyCover(attacker, target, data), after the cover is applied.
+   * @param {Token|MeasuredTemplate} attacker
+   * @param {Token|string} target
+   * @param {COVER_TYPE} type
+   * @param {object} [options]
+   * @param {string} [options.actionType]   Type of attack, such as "msak", if known
+   * @param {Item} [options.item]           Item used for the attack, if known
+   * @returns {Promise<COVER_TYPE|undefined>} The cover applied, or undefined if none was applied
+   */
+  static async setCover(attacker, target, type = this.COVER_TYPES.NONE, { actionType, item } = {}) {
+    if ( !(target instanceof Token) ) target = canvas.tokens.get(target);
+    if ( !target ) return;
+
+    const data = { coverType: type, actionType, item };
+    if ( Hooks.call(`${MODULE_ID}.preApplyCover`, attacker, target, data) === false ) return;
+    type = data.coverType;
 
-    // Find effect.
-    const effectName = COVER.DFRED_NAMES[key];
-    return Boolean(game.dfreds.effectInterface.findEffectByName(effectName));
+    const promises = [];
+    if ( attacker?.id ) promises.push(SOCKETS.socket.executeAsGM("setCoverFrom", target.document.uuid, attacker.id, type));
+    if ( getSetting(SETTINGS.COVER.APPLY_EFFECTS) ) promises.push(this.enableCover(target, type));
+    await Promise.all(promises);
+
+    Hooks.callAll(`${MODULE_ID}.applyCover`, attacker, target, data);
+    return type;
   }
 
   static async setCoverStatus(tokenId, type = this.COVER_TYPES.NONE ) {
@@ -383,9 +694,11 @@ export class CoverCalculator {
    * Ignore when token equals target.
    * @param {Token} token
    * @param {Token[]} targets
+   * @param {Map<Token, COVER_TYPE>} [calcs]    Map to fill
+   * @param {string} [algorithm]                Cover algorithm; defaults to the setting
    * @returns {Map<Token, COVER_TYPE>}
    */
-  static coverCalculations(viewer, targets, calcs) {
+  static coverCalculations(viewer, targets, calcs, algorithm) {
     if ( viewer instanceof Array ) {
       if ( viewer.length > 1 ) console.warn("You should pass a single token or vision source to CoverCalculator, not an array. Using the first object in the array.");
       viewer = viewer[0];
@@ -395,11 +708,54 @@ export class CoverCalculator {
     calcs ??= new Map();
     for ( const target of targets ) {
       const coverCalc = new CoverCalculator(viewer, target);
-      calcs.set(target, coverCalc.targetCover());
+      calcs.set(target, coverCalc.targetCover(algorithm));
+    }
+    return calcs;
+  }
+
+  /**
+   * Run cover calculations for all targets against all tokens, as with coverCalculations.
+   * Area3d cover is calculated in the web worker, if enabled.
+   * @param {Token} token
+   * @param {Token[]} targets
+   * @returns {Promise<Map<Token, COVER_TYPE>>}
+   */
+  static async coverCalculationsAsync(viewer, targets, calcs) {
+    if ( viewer instanceof Array ) {
+      if ( viewer.length > 1 ) console.warn("You should pass a single token or vision source to CoverCalculator, not an array. Using the first object in the array.");
+      viewer = viewer[0];
     }
+    if ( targets instanceof Token ) targets = [targets];
+
+    calcs ??= new Map();
+    await Promise.all([...targets].map(async target => {
+      const coverCalc = new CoverCalculator(viewer, target);
+      calcs.set(target, await coverCalc.targetCoverAsync());
+    }));
     return calcs;
   }
 
+  /**
+   * Run detailed cover calculations for all targets against all tokens.
+   * @param {Token} token
+   * @param {Token[]} targets
+   * @returns {Map<Token, CoverDetails>}
+   */
+  static coverDetails(viewer, targets, details) {
+    if ( viewer instanceof Array ) {
+      if ( viewer.length > 1 ) console.warn("You should pass a single token or vision source to CoverCalculator, not an array. Using the first object in the array.");
+      viewer = viewer[0];
+    }
+    if ( targets instanceof Token ) targets = [targets];
+
+    details ??= new Map();
+    for ( const target of targets ) {
+      const coverCalc = new CoverCalculator(viewer, target);
+      details.set(target, coverCalc.targetCoverDetails());
+    }
+    return details;
+  }
+
   /**
    * Construct an html table describing cover for various target(s) versus token(s).
    * @param {Token} token       Token to measure cover from.
@@ -418,13 +774,12 @@ export class CoverCalculator {
 
   /**
    * 3d position of the viewer.
-   * Defaults to viewer losHeight or elevation otherwise, in center of the viewer token.
+   * Defaults to the eyes of the viewer token, in its center.
    * @type {Point3d}
    */
   get viewerCenter() {
-    const height = this.viewer.topZ - this.viewer.bottomZ;
-    const losHeight = height ? this.viewer.topZ : this.viewer.topZ + 1;
-    return new Point3d(this.viewer.center.x, this.viewer.center.y, losHeight);
+    if ( this.viewerPoint ) return new Point3d(this.viewerPoint.x, this.viewerPoint.y, this.viewerPoint.z);
+    return new Point3d(this.viewer.center.x, this.viewer.center.y, this.viewer.eyeZ);
   }
 
   /**
@@ -446,13 +801,114 @@ export class CoverCalculator {
   // ----- MAIN USER METHODS ----- //
 
   /**
-   * Basic switch to calculate cover based on selected algorithm.
+   * Calculate cover based on selected algorithm.
    * Defaults to the cover algorithm setting selected by the GM.
+   * Adjusts the result for any walls between viewer and target that override cover.
+   *
+   * Hooks, unless config.callHooks is false:
+   * - tokenvisibility.preCalculateCover(coverCalc, data). data is {algorithm, coverType}.
+   *   Hooks may change coverCalc.config or data.algorithm. Returning false skips the calculation;
+   *   cover is then data.coverType, or none if not set.
+   * - tokenvisibility.calculateCover(coverCalc, data). data is {algorithm, coverType}.
+   *   Hooks may change data.coverType.
    * @param {string} algorithm
    * @returns {COVER_TYPE}
    */
   targetCover(algorithm = getSetting(SETTINGS.COVER.ALGORITHM)) {
+    const callHooks = this.config.callHooks;
+    const data = { algorithm, coverType: undefined };
+    if ( callHooks && Hooks.call(`${MODULE_ID}.preCalculateCover`, this, data) === false ) {
+      return data.coverType ?? this.constructor.COVER_TYPES.NONE;
+    }
+    algorithm = data.algorithm;
+    if ( this.details ) this.details.algorithm = algorithm;
+
+    let coverType = this._cachedCoverForAlgorithm(algorithm);
+    if ( this.details ) this.details.algorithmCoverType = coverType;
+    if ( this.config.wallOverrides ) coverType = this._applyWallCoverOverrides(coverType, algorithm);
+    if ( this.config.obscurementCover ) coverType = this._applyObscurementCover(coverType);
+    if ( this.config.takeCover ) coverType = this._applyTakeCover(coverType);
+    if ( !callHooks ) return coverType;
+
+    data.coverType = coverType;
+    Hooks.callAll(`${MODULE_ID}.calculateCover`, this, data);
+    return data.coverType;
+  }
+
+  /**
+   * Calculate cover based on selected algorithm, recording how the cover was determined.
+   * Slower than targetCover, because every ray is tested against every blocking object.
+   * @param {string} algorithm
+   * @returns {CoverDetails}
+   */
+  targetCoverDetails(algorithm = getSetting(SETTINGS.COVER.ALGORITHM)) {
+    const details = this.details = {
+      algorithm,
+      coverType: this.constructor.COVER_TYPES.NONE,
+      algorithmCoverType: this.constructor.COVER_TYPES.NONE,
+      percentCover: undefined,
+      tokensForceLowCover: false,
+      thresholds: Object.fromEntries(COVER.TIERS.map(tier => [tier.id, tier.percentThreshold])),
+      tests: [],
+      leastCoverTest: undefined,
+      blockingObjects: undefined,
+      wallOverrides: new Set(),
+      takeCover: false,
+      obscurements: new Set()
+    };
+
+    try {
+      details.coverType = this.targetCover(algorithm);
+    } finally {
+      this.details = undefined;
+    }
+
+    // For point algorithms, the test with the least cover determines the result.
+    if ( details.tests.length ) {
+      const minTest = details.tests.reduce((acc, curr) => curr.coverType < acc.coverType ? curr : acc);
+      details.leastCoverTest = minTest;
+      details.percentCover ??= minTest.percentCover;
+      details.tokensForceLowCover ||= minTest.tokensForceLowCover;
+    }
+    return details;
+  }
+
+  /**
+   * Calculate cover for the algorithm, reusing the result if the viewer, target, and scene are unchanged.
+   * Registered algorithms, and calculations that record details or debug, are not cached.
+   * @param {string} algorithm
+   * @returns {COVER_TYPE}
+   */
+  _cachedCoverForAlgorithm(algorithm) {
+    if ( this.details || this.debug || COVER.ALGORITHMS.has(algorithm) ) return this._coverForAlgorithm(algorithm);
+
+    const { type, wallsBlock, tilesBlock, tileBoxesBlock, deadTokensBlock, liveTokensBlock, liveForceHalfCover,
+      proneTokensBlock, rideableconnectedTokenBlock, obscurementBlocks, templatesBlock } = this.config;
+    const tokensBlock = deadTokensBlock || liveTokensBlock || proneTokensBlock;
+    const viewerKey = this.viewerPoint
+      ? ResultCache.pointKey(this.viewerPoint) : `${ResultCache.tokenKey(this.viewer)}_${this.viewer.eyeZ}`;
+    const key = [algorithm, viewerKey, ResultCache.tokenKey(this.target), type, wallsBlock, tilesBlock,
+      tileBoxesBlock, deadTokensBlock, liveTokensBlock, liveForceHalfCover, proneTokensBlock,
+      rideableconnectedTokenBlock, obscurementBlocks, templatesBlock].join("|");
+
+    const cache = tokensBlock ? this.constructor.cache.tokens : this.constructor.cache.geometry;
+    let coverType = cache.get(key);
+    if ( coverType === undefined ) {
+      coverType = this._coverForAlgorithm(algorithm);
+      cache.set(key, coverType);
+    }
+    return coverType;
+  }
+
+  /**
+   * Basic switch to calculate cover based on selected algorithm.
+   * @param {string} algorithm
+   * @returns {COVER_TYPE}
+   */
+  _coverForAlgorithm(algorithm) {
     let coverType = this.constructor.COVER_TYPES.NONE;
+    if ( COVER.ALGORITHMS.has(algorithm) ) return this.registeredAlgorithm(algorithm);
+    if ( this.viewerPoint ) algorithm = this.constructor.POINT_VIEWER_ALGORITHMS[algorithm] ?? algorithm;
 
     switch ( algorithm ) {
       case SETTINGS.COVER.TYPES.CENTER_CENTER:
@@ -479,37 +935,153 @@ export class CoverCalculator {
   }
 
   /**
-   * Set the target cover effect.
+   * Set the target cover from this viewer, and the target cover effect if effects are applied.
    * If cover is none, disables any cover effects.
    * @param {COVER.TYPE} type   Cover type. Default to calculating.
    */
   setTargetCoverEffect(type = this.targetCover()) {
+    return CoverCalculator.setCover(this.viewer, this.target, type);
+  }
+
+  /**
+   * Adjust cover for walls between viewer and target that override cover.
+   * Total cover walls always result in total cover.
+   * Walls limited to low cover cannot contribute more than low cover, but other objects may.
+   * Walls providing at least medium cover set a minimum.
+   * @param {COVER_TYPE} coverType    Cover calculated by the algorithm
+   * @param {string} algorithm        Algorithm used to calculate the cover
+   * @returns {COVER_TYPE}
+   */
+  _applyWallCoverOverrides(coverType, algorithm) {
+    if ( !this.config.wallsBlock ) return coverType;
     const COVER_TYPES = this.constructor.COVER_TYPES;
-    switch ( type ) {
-      case COVER_TYPES.NONE:
-      case COVER_TYPES.FULL:
-        CoverCalculator.disableAllCover(this.target.id);
-        break;
-      case COVER_TYPES.LOW:
-      case COVER_TYPES.MEDIUM:
-      case COVER_TYPES.HIGH:
-        CoverCalculator.enableCover(this.target.id, type);
+    const OVERRIDES = COVER.WALL_OVERRIDES;
+    const overrides = new Set(this._wallsBetween().map(w => w.coverOverride));
+    overrides.delete(OVERRIDES.NONE);
+    if ( this.details ) this.details.wallOverrides = overrides;
+    if ( overrides.has(OVERRIDES.TOTAL_SEE_THROUGH) ) return COVER_TYPES.TOTAL;
+
+    // Same approach as the dnd5e token rule: measure cover without the limited walls,
+    // and let the limited walls contribute at most low cover.
+    if ( overrides.has(OVERRIDES.MAX_LOW) && coverType > COVER_TYPES.LOW ) {
+      const config = duplicate(this.config);
+      config.wallOverrides = false;
+      config.takeCover = false;
+      config.callHooks = false;
+      config.excludedWallOverrides = [...this.config.excludedWallOverrides, OVERRIDES.MAX_LOW];
+      const coverCalc = new this.constructor(this.viewerPoint ?? this.viewer, this.target, config);
+      const coverTypeNoLimitedWalls = coverCalc.targetCover(algorithm);
+      coverType = Math.max(coverTypeNoLimitedWalls, COVER_TYPES.LOW);
+    }
+
+    if ( overrides.has(OVERRIDES.MIN_MEDIUM) ) coverType = Math.max(coverType, COVER_TYPES.MEDIUM);
+    return coverType;
+  }
+
+  /**
+   * Adjust cover for obscured volumes between the viewer center and the target center.
+   * A volume with a cover tier sets a minimum cover, whether or not it blocks sight.
+   * @param {COVER_TYPE} coverType    Cover calculated so far
+   * @returns {COVER_TYPE}
+   */
+  _applyObscurementCover(coverType) {
+    const targetCenter = new Point3d(this.target.center.x, this.target.center.y, this.targetAvgElevationZ);
+    for ( const region of regionsAlongSegment(this.viewerCenter, targetCenter) ) {
+      if ( !region.coverType ) continue;
+      if ( this.details ) this.details.obscurements.add(region.object);
+      coverType = Math.max(coverType, region.coverType);
     }
+    return coverType;
+  }
+
+  /**
+   * Pathfinder 2e Take Cover action: a target taking cover upgrades standard cover to greater cover.
+   * @param {COVER_TYPE} coverType    Cover calculated so far
+   * @returns {COVER_TYPE}
+   */
+  _applyTakeCover(coverType) {
+    if ( !this.target.isTakingCover ) return coverType;
+    if ( this.constructor.pf2eCoverLevel(coverType) !== COVER.PF2E.LEVELS.STANDARD ) return coverType;
+    if ( this.details ) this.details.takeCover = true;
+    return this.constructor.COVER_TYPES.HIGH;
+  }
+
+  /**
+   * Walls within the vision triangle between the viewer and the target.
+   * @returns {Set<Wall>}
+   */
+  _wallsBetween() {
+    return Area3d.filterSceneObjectsByVisionPolygon(this.viewerCenter, this.target, {
+      type: this.config.type,
+      filterTokens: false,
+      filterTiles: false,
+      filterTileBoxes: false }).walls;
   }
 
   _hasWallCollision(tokenPoint, targetPoint) {
-    if ( !this.config.wallsBlock ) return false;
-    const mode = "any";
-    const type = this.config.type;
-    return PointSourcePolygon.testCollision3d(tokenPoint, targetPoint, { type, mode });
+    return this._wallCollisions(tokenPoint, targetPoint, { mode: "any" });
   }
 
   _hasTileCollision(tokenPoint, targetPoint) {
-    if ( !this.config.tilesBlock ) return false;
+    return this._tileCollisions(tokenPoint, targetPoint, { mode: "any" });
+  }
+
+  _hasTokenCollision(tokenPoint, targetPoint) {
+    return this._tokenCollisions(tokenPoint, targetPoint, { mode: "any" });
+  }
+
+  _hasObscurementCollision(tokenPoint, targetPoint) {
+    return this._obscurementCollisions(tokenPoint, targetPoint, { mode: "any" });
+  }
+
+  /**
+   * Find the walls that block the ray between two points.
+   * @param {Point3d} tokenPoint
+   * @param {Point3d} targetPoint
+   * @param {object} [options]
+   * @param {string} [options.mode]   "any": return true if blocked; "all": return the blocking walls
+   * @returns {boolean|Wall[]}
+   */
+  _wallCollisions(tokenPoint, targetPoint, { mode = "all" } = {}) {
+    if ( !this.config.wallsBlock ) return mode === "any" ? false : [];
+    const type = this.config.type;
+    const excluded = this.config.excludedWallOverrides;
+    if ( mode === "any" && !excluded.length ) return PointSourcePolygon.testCollision3d(tokenPoint, targetPoint, { type, mode });
+
+    // Drop the excluded walls and then apply the "any" test:
+    // a normal wall blocks, as do two or more limited walls.
+    const collisions = PointSourcePolygon.testCollision3d(tokenPoint, targetPoint, { type, mode: "all" })
+      .filter(ix => !excluded.includes(ix.wall.coverOverride));
+    const blocked = collisions.some(ix => ix.type === CONST.WALL_SENSE_TYPES.NORMAL) || collisions.length > 1;
+    if ( mode === "any" ) return blocked;
+    return blocked ? collisions.map(ix => ix.wall) : [];
+  }
+
+  /**
+   * Find the tiles that block the ray between two points.
+   * Overhead tiles block as planes at their elevation; tiles with a top elevation block as boxes.
+   * @param {Point3d} tokenPoint
+   * @param {Point3d} targetPoint
+   * @param {object} [options]
+   * @param {string} [options.mode]   "any": return true if blocked; "all": return the blocking tiles
+   * @returns {boolean|Tile[]}
+   */
+  _tileCollisions(tokenPoint, targetPoint, { mode = "all" } = {}) {
+    const collisions = [];
+    const { tilesBlock, tileBoxesBlock } = this.config;
+    if ( !tilesBlock && !tileBoxesBlock ) return mode === "any" ? false : collisions;
     const ray = new Ray(tokenPoint, targetPoint);
 
-    // Ignore non-overhead tiles
-    const collisionTest = (o, _rect) => o.t.document.overhead;
+    // Boxes are solid, so any pass through the box blocks.
+    if ( tileBoxesBlock ) {
+      const boxes = tileBoxesAlongSegment(tokenPoint, targetPoint);
+      if ( mode === "any" && boxes.length ) return true;
+      collisions.push(...boxes);
+    }
+    if ( !tilesBlock ) return mode === "any" ? false : collisions;
+
+    // Ignore non-overhead tiles and boxes
+    const collisionTest = (o, _rect) => o.t.document.overhead && !o.t.isBox;
     const tiles = canvas.tiles.quadtree.getObjects(ray.bounds, { collisionTest });
 
     // Because tiles are parallel to the XY plane, we need not test ones obviously above or below.
@@ -540,17 +1112,63 @@ export class CoverCalculator {
       if ( t === null || t < zeroMin || t > oneMax ) continue;
       const ix = new Point3d();
       tokenPoint.add(rayVector.multiplyScalar(t, ix), ix);
-      if ( !tile.containsPixel(ix.x, ix.y, 0.99) ) continue; // Transparent, so no collision.
+      if ( !tile.containsPixel(ix.x, ix.y, TILE_ALPHA_THRESHOLD) ) continue; // Transparent, so no collision.
+      if ( this._tileHoleAt(ix, elevation) ) continue; // Drawing cuts a hole, so no collision.
 
-      return true;
+      if ( mode === "any" ) return true;
+      collisions.push(tile);
     }
 
+    return mode === "any" ? false : collisions;
+  }
+
+  /**
+   * Is there a drawing that cuts a hole in tiles at the given point and elevation?
+   * @param {Point} point
+   * @param {number} elevation    Tile elevation, in grid units
+   * @returns {boolean}
+   */
+  _tileHoleAt(point, elevation) {
+    const bounds = new PIXI.Rectangle(point.x - 1, point.y - 1, 2, 2);
+    const drawings = canvas.drawings.quadtree.getObjects(bounds);
+    for ( const drawing of drawings ) {
+      if ( !drawing.isHoleAtElevation(elevation) ) continue;
+      const shape = CONFIG.GeometryLib.utils.centeredPolygonFromDrawing(drawing);
+      if ( shape.contains(point.x, point.y) ) return true;
+    }
     return false;
   }
 
-  _hasTokenCollision(tokenPoint, targetPoint) {
+  /**
+   * Find the heavily obscured volumes and blocking templates that block the ray between two points.
+   * Obscured volumes only block if configured to, as for line-of-sight.
+   * @param {Point3d} tokenPoint
+   * @param {Point3d} targetPoint
+   * @param {object} [options]
+   * @param {string} [options.mode]   "any": return true if blocked; "all": return the blocking drawings and templates
+   * @returns {boolean|(Drawing|MeasuredTemplate)[]}
+   */
+  _obscurementCollisions(tokenPoint, targetPoint, { mode = "all" } = {}) {
+    const { obscurementBlocks, templatesBlock } = this.config;
+    if ( !obscurementBlocks && !templatesBlock ) return mode === "any" ? false : [];
+    const regions = regionsAlongSegment(tokenPoint, targetPoint, { sight: obscurementBlocks, cover: templatesBlock })
+      .filter(r => r.level === OBSCUREMENT.HEAVY);
+    if ( mode === "any" ) return regions.length > 0;
+    return regions.map(r => r.object);
+  }
+
+  /**
+   * Find the tokens that block the ray between two points.
+   * @param {Point3d} tokenPoint
+   * @param {Point3d} targetPoint
+   * @param {object} [options]
+   * @param {string} [options.mode]   "any": return true if blocked; "all": return the blocking tokens
+   * @returns {boolean|Token[]}
+   */
+  _tokenCollisions(tokenPoint, targetPoint, { mode = "all" } = {}) {
+    const collisions = [];
     const { liveTokensBlock, deadTokensBlock, rideableconnectedTokenBlock } = this.config;
-    if ( !(liveTokensBlock || deadTokensBlock) ) return false;
+    if ( !(liveTokensBlock || deadTokensBlock) ) return mode === "any" ? false : collisions;
 
     const ray = new Ray(tokenPoint, targetPoint);
     let tokens = canvas.tokens.quadtree.getObjects(ray.bounds);
@@ -558,11 +1176,12 @@ export class CoverCalculator {
     // Filter out the viewer and target token
     tokens.delete(this.viewer);
     tokens.delete(this.target);
+    if ( this.target._original ) tokens.delete(this.target._original); // Target is a preview of a token.
 
 	//RIDEABLE COMPATIBILITY
 	//-Filter out all mounts and riders of both this.viewer and this.target if  not rideableconnectedTokenBlock
 	if (!rideableconnectedTokenBlock && game.modules.get("Rideable").active) {
-		tokens = tokens.filter(token => !game.modules.get("Rideable")?.api?.RidingConnection(token, this.viewer) && !game.modules.get("Rideable")?.api?.RidingConnection(token, this.target))
+		tokens = tokens.filter(token => !(this.viewer && game.modules.get("Rideable")?.api?.RidingConnection(token, this.viewer)) && !game.modules.get("Rideable")?.api?.RidingConnection(token, this.target))
 	}
 	
     // Build full- or half-height tokenPoints3d from tokens
@@ -571,16 +1190,17 @@ export class CoverCalculator {
     // Set viewing position and test token sides for collisions
     for ( const pts of tokenPoints ) {
       const sides = pts._viewableFaces(tokenPoint);
-      for ( const side of sides ) {
-        if ( lineSegmentIntersectsQuadrilateral3d(tokenPoint, targetPoint,
-          side.points[0],
-          side.points[1],
-          side.points[2],
-          side.points[3]) ) return true;
-      }
+      const hit = sides.some(side => lineSegmentIntersectsQuadrilateral3d(tokenPoint, targetPoint,
+        side.points[0],
+        side.points[1],
+        side.points[2],
+        side.points[3]));
+      if ( !hit ) continue;
+      if ( mode === "any" ) return true;
+      collisions.push(pts.token);
     }
 
-    return false;
+    return mode === "any" ? false : collisions;
   }
 
   // ----- COVER ALGORITHM METHODS ----- //
@@ -592,7 +1212,11 @@ export class CoverCalculator {
   centerToCenter() {
     this.debug && console.log("Cover algorithm: Center-to-Center"); // eslint-disable-line no-unused-expressions
     const targetPoints = [new Point3d(this.target.center.x, this.target.center.y, this.targetAvgElevationZ)];
-    return this._testTokenTargetPoints([this.viewerCenter], [targetPoints]);
+    const coverType = this._testTokenTargetPoints([this.viewerCenter], [targetPoints]);
+    if ( coverType !== CoverCalculator.typeForPoints(1, 1) ) return coverType;
+
+    // A blocked center grants the cover tier chosen by the GM for center-to-center.
+    return CoverCalculator.centerTriggerType ?? coverType;
   }
 
   /**
@@ -615,7 +1239,7 @@ export class CoverCalculator {
    */
   cornerToTargetCorners() {
     this.debug && console.log("Cover algorithm: Corner-to-Corners"); // eslint-disable-line no-unused-expressions
-    const tokenCorners = this._getCorners(this.viewer.constrainedTokenBorder, this.viewer.topZ);
+    const tokenCorners = this._getCorners(this.viewer.constrainedTokenBorder, this.viewer.eyeZ);
     const targetPoints = this._getCorners(this.target.constrainedTokenBorder, this.targetAvgElevationZ);
     return this._testTokenTargetPoints(tokenCorners, [targetPoints]);
   }
@@ -643,7 +1267,7 @@ export class CoverCalculator {
    */
   cornerToTargetGridCorners() {
     this.debug && console.log("Cover algorithm: Center-to-Corners"); // eslint-disable-line no-unused-expressions
-    const tokenCorners = this._getCorners(this.viewer.constrainedTokenBorder, this.viewer.topZ);
+    const tokenCorners = this._getCorners(this.viewer.constrainedTokenBorder, this.viewer.eyeZ);
     const targetShapes = CoverCalculator.constrainedGridShapesUnderToken(this.target);
     const targetElevationZ = this.targetAvgElevationZ;
     const targetPointsArray = targetShapes.map(targetShape => this._getCorners(targetShape, targetElevationZ));
@@ -680,7 +1304,7 @@ export class CoverCalculator {
 
     if ( !this.targetHeight ) return this.centerToTargetCorners();
 
-    const tokenCorners = this._getCorners(this.viewer.constrainedTokenBorder, this.viewer.topZ);
+    const tokenCorners = this._getCorners(this.viewer.constrainedTokenBorder, this.viewer.eyeZ);
     const targetShape = this.target.constrainedTokenBorder;
     const targetPoints = [
       ...this._getCorners(targetShape, this.target.topZ),
@@ -697,40 +1321,61 @@ export class CoverCalculator {
     this.debug && console.log("Cover algorithm: Area"); // eslint-disable-line no-unused-expressions
 
     // dnd5e rule
-    if ( this.config.liveForceHalfCover ) return this._forceLowCover(Area2d);
+    if ( this.config.liveForceHalfCover ) {
+      return this._forceLowCover(config => 1 - this._percentVisible(Area2d, config));
+    }
 
     const percentCover = 1 - this._percentVisible(Area2d);
     this.debug && console.log(`Cover percentage ${percentCover}`); // eslint-disable-line no-unused-expressions
+    if ( this.details ) this.details.percentCover = percentCover;
 
     return CoverCalculator.typeForPercentage(percentCover);
   }
 
   /**
    * Dnd5e rule: tokens provide half cover but do not otherwise contribute to cover.
-   * Compare percent visible w/o tokens and w/ tokens only.
-   * @param {Area2d|Area3d} Area    Class to use to calculate percent visibility
+   * Compare cover w/o tokens and w/ tokens only.
+   * @param {function} coverForConfig       Takes a configuration and returns percent cover, or a cover type
+   * @param {object} [options]
+   * @param {boolean} [options.usesPercent]   If false, coverForConfig returns a cover type
    * @returns {COVER_TYPE}
    */
-  _forceLowCover(Area) {
+  _forceLowCover(coverForConfig, { usesPercent = true } = {}) {
     const COVER_TYPES = this.constructor.COVER_TYPES;
-    const config = duplicate(this.config);
-    config.deadTokensBlock = false;
-    config.liveTokensBlock = false;
+    const toCoverType = result => usesPercent ? CoverCalculator.typeForPercentage(result) : result;
+    const { noTokens, tokensOnly } = this._forceLowCoverConfigs();
 
     // If low (1/2) cover is exceeded even without tokens, we can use that cover.
-    const percentCoverNoTokens = 1 - this._percentVisible(Area, config);
-    const coverTypeNoTokens = CoverCalculator.typeForPercentage(percentCoverNoTokens);
+    const coverNoTokens = coverForConfig(noTokens);
+    const coverTypeNoTokens = toCoverType(coverNoTokens);
+    if ( this.details && usesPercent ) this.details.percentCover = coverNoTokens;
     if ( coverTypeNoTokens >= COVER_TYPES.LOW ) return coverTypeNoTokens;
 
     // If tokens provide at least low cover on their own, cover is low; otherwise no cover
-    config.deadTokensBlock = this.config.deadTokensBlock;
-    config.liveTokensBlock = true;
-    config.wallsBlock = false;
-    config.tilesBlock = false;
+    const coverTypeTokensOnly = toCoverType(coverForConfig(tokensOnly));
+    if ( coverTypeTokensOnly < COVER_TYPES.LOW ) return COVER_TYPES.NONE;
+    if ( this.details ) this.details.tokensForceLowCover = true;
+    return COVER_TYPES.LOW;
+  }
 
-    const percentCoverTokensOnly = 1 - this._percentVisible(Area, config);
-    const coverTypeTokensOnly = CoverCalculator.typeForPercentage(percentCoverTokensOnly);
-    return coverTypeTokensOnly >= COVER_TYPES.LOW ? COVER_TYPES.LOW : COVER_TYPES.NONE;
+  /**
+   * Configurations for the dnd5e rule that tokens provide only half cover.
+   * @returns {{noTokens: object, tokensOnly: object}}
+   *   noTokens: Cover from everything but tokens
+   *   tokensOnly: Cover from tokens only
+   */
+  _forceLowCoverConfigs() {
+    const noTokens = duplicate(this.config);
+    noTokens.deadTokensBlock = false;
+    noTokens.liveTokensBlock = false;
+
+    const tokensOnly = duplicate(this.config);
+    tokensOnly.liveTokensBlock = true;
+    tokensOnly.wallsBlock = false;
+    tokensOnly.tilesBlock = false;
+    tokensOnly.tileBoxesBlock = false;
+    tokensOnly.templatesBlock = false;
+    return { noTokens, tokensOnly };
   }
 
   /**
@@ -743,25 +1388,139 @@ export class CoverCalculator {
     this.debug && console.log("Cover algorithm: Area 3d"); // eslint-disable-line no-unused-expressions
 
     // dnd5e rule
-    if ( this.config.liveForceHalfCover ) return this._forceLowCover(Area3d);
+    if ( this.config.liveForceHalfCover ) {
+      return this._forceLowCover(config => 1 - this._percentVisible(Area3d, config));
+    }
 
     const percentCover = 1 - this._percentVisible(Area3d);
     this.debug && console.log(`Cover percentage ${percentCover}`); // eslint-disable-line no-unused-expressions
+    if ( this.details ) this.details.percentCover = percentCover;
 
     return CoverCalculator.typeForPercentage(percentCover);
   }
 
+  /**
+   * Test cover using an algorithm added by CoverCalculator.registerAlgorithm.
+   * @param {string} algorithm    Id of the registered algorithm
+   * @returns {COVER_TYPE}
+   */
+  registeredAlgorithm(algorithm) {
+    this.debug && console.log(`Cover algorithm: ${algorithm}`); // eslint-disable-line no-unused-expressions
+    const { fn, usesPercent } = COVER.ALGORITHMS.get(algorithm);
+    if ( this.details ) this.details.blockingObjects ??= this._blockingObjects();
+
+    // A result of true grants the center-to-center tier.
+    const coverForConfig = config => {
+      const result = fn(this, config);
+      if ( result === true ) return CoverCalculator.centerTriggerType ?? this.constructor.COVER_TYPES.LOW;
+      return result || 0; // No cover if false or undefined.
+    };
+
+    // Live tokens grant at most low cover, per the dnd5e rule.
+    if ( this.config.liveForceHalfCover ) return this._forceLowCover(coverForConfig, { usesPercent });
+
+    const result = coverForConfig(this.config);
+    if ( !usesPercent ) return result;
+    this.debug && console.log(`Cover percentage ${result}`); // eslint-disable-line no-unused-expressions
+    if ( this.details ) this.details.percentCover = result;
+    return CoverCalculator.typeForPercentage(result);
+  }
+
   /**
    * Determine the percent of the target top or bottom visible to the viewer.
    * @param {Area2d|Area3d} Area    Class to use to calculate percent visibility
    * @returns {number} Percentage seen, of the total target top or bottom area.
    */
   _percentVisible(Area, config = this.config) {
-    const area = new Area(this.viewer, this.target, config);
+    if ( Area === Area3d ) {
+      const precalculated = this.#workerPercents.get(this.#blockingConfigKey(config));
+      if ( typeof precalculated !== "undefined" ) return precalculated;
+    }
+
+    const area = new Area(this.viewerPoint ? this._pointVisionSource() : this.viewer, this.target, config);
     if ( this.debug ) area.debug = true;
+    if ( this.details ) this.details.blockingObjects ??= this._blockingObjects();
     return area.percentAreaVisible();
   }
 
+  /**
+   * Percent visible calculated by the Area3d worker, by blocking configuration.
+   * Filled by targetCoverAsync and used by _percentVisible.
+   * @type {Map<string, number>}
+   */
+  #workerPercents = new Map();
+
+  /**
+   * Key for the parts of a configuration that determine what blocks.
+   * @param {object} config
+   * @returns {string}
+   */
+  #blockingConfigKey(config) {
+    const { wallsBlock, tilesBlock, tileBoxesBlock, liveTokensBlock, deadTokensBlock } = config;
+    return [wallsBlock, tilesBlock, tileBoxesBlock, liveTokensBlock, deadTokensBlock].join("|");
+  }
+
+  /**
+   * Calculate cover based on the selected algorithm, as with targetCover.
+   * If the algorithm uses Area3d, the percent visible is calculated in the web worker, if enabled.
+   * @param {string} algorithm
+   * @returns {Promise<COVER_TYPE>}
+   */
+  async targetCoverAsync(algorithm = getSetting(SETTINGS.COVER.ALGORITHM)) {
+    const area3dAlgorithm = this.viewerPoint
+      ? (this.constructor.POINT_VIEWER_ALGORITHMS[algorithm] ?? algorithm) : algorithm;
+    if ( area3dAlgorithm !== SETTINGS.COVER.TYPES.AREA3D || this.debug || !Area3dWorker.enabled ) {
+      return this.targetCover(algorithm);
+    }
+
+    let configs = [this.config];
+    if ( this.config.liveForceHalfCover ) configs = Object.values(this._forceLowCoverConfigs());
+    const viewer = this.viewerPoint ? this._pointVisionSource() : this.viewer;
+    await Promise.all(configs.map(async config => {
+      const percent = await new Area3d(viewer, this.target, config).percentAreaVisibleAsync();
+      this.#workerPercents.set(this.#blockingConfigKey(config), percent);
+    }));
+
+    try {
+      return this.targetCover(algorithm);
+    } finally {
+      this.#workerPercents.clear();
+    }
+  }
+
+  /**
+   * Minimal stand-in for a vision source located at the viewer point, for use with Area3d.
+   * Sees in all directions.
+   * @returns {object}
+   */
+  _pointVisionSource() {
+    const { x, y, z } = this.viewerPoint;
+    return {
+      x,
+      y,
+      elevationZ: z,
+      object: undefined,
+      data: { x, y, angle: 360, rotation: 0 }
+    };
+  }
+
+  /**
+   * Find the walls, tiles, and tokens between the viewer and target that may block it.
+   * @returns {object} Object with walls, tokens, tiles, drawings as distinct sets.
+   */
+  _blockingObjects() {
+    const { type, wallsBlock, tilesBlock, tileBoxesBlock, liveTokensBlock, deadTokensBlock,
+      excludedWallOverrides } = this.config;
+    return Area3d.filterSceneObjectsByVisionPolygon(this.viewerCenter, this.target, {
+      type,
+      excludedWallOverrides,
+      filterWalls: wallsBlock,
+      filterTokens: liveTokensBlock || deadTokensBlock,
+      filterTiles: tilesBlock,
+      filterTileBoxes: tileBoxesBlock,
+      viewer: this.viewer });
+  }
+
   // ----- HELPER METHODS ----- //
 
   /**
@@ -770,11 +1529,32 @@ export class CoverCalculator {
    * @returns {COVER_TYPE}
    */
   static typeForPercentage(percentCover) {
-    const COVER_TYPES = this.COVER_TYPES;
-    if ( percentCover >= getSetting(SETTINGS.COVER.TRIGGER_PERCENT.HIGH) ) return COVER_TYPES.HIGH;
-    if ( percentCover >= getSetting(SETTINGS.COVER.TRIGGER_PERCENT.MEDIUM) ) return COVER_TYPES.MEDIUM;
-    if ( percentCover >= getSetting(SETTINGS.COVER.TRIGGER_PERCENT.LOW) ) return COVER_TYPES.LOW;
-    return COVER_TYPES.NONE;
+    // Tiers are ordered from least to most cover; the highest tier triggered wins.
+    const tiers = COVER.TIERS;
+    for ( let i = tiers.length - 1; i >= 0; i -= 1 ) {
+      if ( percentCover >= tiers[i].percentThreshold ) return i + 1;
+    }
+    return this.COVER_TYPES.NONE;
+  }
+
+  /**
+   * Get a cover type based on the number of blocked points.
+   * Tiers with a points threshold trigger when at least that many points are blocked.
+   * Tiers without one fall back on the percentage of blocked points.
+   * @param {number} numBlocked   Number of points blocked
+   * @param {number} numPoints    Number of points tested
+   * @returns {COVER_TYPE}
+   */
+  static typeForPoints(numBlocked, numPoints) {
+    const percentCover = numBlocked / numPoints;
+    const tiers = COVER.TIERS;
+    for ( let i = tiers.length - 1; i >= 0; i -= 1 ) {
+      const tier = tiers[i];
+      if ( tier.pointsThreshold > 0 ) {
+        if ( numBlocked >= tier.pointsThreshold ) return i + 1;
+      } else if ( percentCover >= tier.percentThreshold ) return i + 1;
+    }
+    return this.COVER_TYPES.NONE;
   }
 
   /**
@@ -902,28 +1682,60 @@ export class CoverCalculator {
    */
   _testPointToPoints(tokenPoint, targetPoints) {
     const liveForceHalfCover = this.config.liveForceHalfCover;
+    const details = this.details;
+    const rays = [];
 
     let numCornersBlocked = 0;
     let tokenBlocks = false;
     const ln = targetPoints.length;
     for ( let i = 0; i < ln; i += 1 ) {
       const targetPoint = targetPoints[i];
-      const tokenCollision = this._hasTokenCollision(tokenPoint, targetPoint);
-      const edgeCollision = this._hasWallCollision(tokenPoint, targetPoint)
-        || this._hasTileCollision(tokenPoint, targetPoint);
+      let tokenCollision;
+      let edgeCollision;
+      let ray;
+      if ( details ) {
+        // Record every blocking object instead of stopping at the first.
+        ray = {
+          viewerPoint: tokenPoint,
+          targetPoint,
+          walls: this._wallCollisions(tokenPoint, targetPoint),
+          tiles: this._tileCollisions(tokenPoint, targetPoint),
+          tokens: this._tokenCollisions(tokenPoint, targetPoint),
+          obscurements: this._obscurementCollisions(tokenPoint, targetPoint)
+        };
+        tokenCollision = ray.tokens.length > 0;
+        edgeCollision = ray.walls.length > 0 || ray.tiles.length > 0 || ray.obscurements.length > 0;
+        rays.push(ray);
+      } else {
+        tokenCollision = this._hasTokenCollision(tokenPoint, targetPoint);
+        edgeCollision = this._hasWallCollision(tokenPoint, targetPoint)
+          || this._hasTileCollision(tokenPoint, targetPoint)
+          || this._hasObscurementCollision(tokenPoint, targetPoint);
+      }
 
       tokenBlocks ||= tokenCollision;
 
       const collision = edgeCollision || (!liveForceHalfCover && tokenCollision);
       if ( collision ) numCornersBlocked += 1;
+      if ( ray ) ray.blocked = collision;
     }
 
     const percentCornersBlocked = numCornersBlocked / ln;
-    const coverType = CoverCalculator.typeForPercentage(percentCornersBlocked);
+    let coverType = CoverCalculator.typeForPoints(numCornersBlocked, ln);
+    const tokensForceLowCover = liveForceHalfCover && tokenBlocks
+      && coverType < this.constructor.COVER_TYPES.LOW;
+    if ( tokensForceLowCover ) coverType = this.constructor.COVER_TYPES.LOW;
+
+    if ( details ) details.tests.push({
+      viewerPoint: tokenPoint,
+      targetPoints,
+      percentCover: percentCornersBlocked,
+      tokensForceLowCover,
+      coverType,
+      rays
+    });
 
-    return ( liveForceHalfCover && tokenBlocks )
-      ? Math.max(coverType, this.constructor.COVER_TYPES.LOW)
-      : coverType;
+    return coverType;
   }
 
   /**
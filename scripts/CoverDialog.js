@@ -3,8 +3,8 @@ canvas,
 ChatMessage,
 CONFIG,
 Dialog,
-duplicate,
 game,
+MeasuredTemplate,
 Token
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
@@ -13,13 +13,17 @@ Token
 import { MODULE_ID, COVER } from "./const.js";
 import { CoverCalculator, SOCKETS } from "./CoverCalculator.js";
 import { Point3d } from "./geometry/3d/Point3d.js";
-import { SETTINGS, getSetting } from "./settings.js";
+import { SETTINGS, getSetting, coverCheckConfigurable } from "./settings.js";
+import { drawingObscurement } from "./obscurement.js";
 
 // Helper class to construct dialogs related to cover between token(s) and target(s).
 
 export class CoverDialog {
 
-  /** @type {Token} */
+  /**
+   * Token or template from which cover is measured.
+   * @type {Token|MeasuredTemplate}
+   */
   token;
 
   /** @type {Set<Token>} */
@@ -28,6 +32,9 @@ export class CoverDialog {
   /** @type {Map<Token, COVER_TYPE>} */
   #coverCalculations = new Map();
 
+  /** @type {Map<Token, CoverDetails>} */
+  #coverDetails = new Map();
+
   constructor(token, targets) {
     token ??= game.user._lastSelected;
     targets ??= game.user.targets;
@@ -38,22 +45,69 @@ export class CoverDialog {
     targets.forEach(t => this.targets.add(t));
 
     // Mostly for debugging
-    if ( !token || !(token instanceof Token) ) console.error("CoverDialog|no token provided.");
+    if ( !token || !(token instanceof Token || token instanceof MeasuredTemplate) ) console.error("CoverDialog|no token provided.");
     if ( this.targets.size < 1 ) console.warn("CoverDialog|no targets provided.");
   }
 
+  /**
+   * Viewer passed to the cover calculator: the token, or the template origin.
+   * @type {Token|Point3d}
+   */
+  get viewer() {
+    return this.token instanceof MeasuredTemplate ? this.token.coverOrigin : this.token;
+  }
+
+  /** @type {string} */
+  get viewerName() {
+    return this.token instanceof MeasuredTemplate
+      ? game.i18n.localize(`${MODULE_ID}.phrases.Template`) : this.token.name;
+  }
+
+  /**
+   * Point from which distances to the targets are measured.
+   * @type {Point3d}
+   */
+  get viewerCenter() {
+    const { viewer } = this;
+    return viewer instanceof Point3d ? viewer : new Point3d(viewer.center.x, viewer.center.y, viewer.eyeZ);
+  }
+
   /** @type {Map<Token, COVER_TYPE} */
   get coverCalculations() {
-    if ( this.#coverCalculations.size === this.targets.length ) return this.#coverCalculations;
-    CoverCalculator.coverCalculations(this.token, this.targets, this.#coverCalculations);
+    if ( this.#coverCalculations.size === this.targets.size ) return this.#coverCalculations;
+    CoverCalculator.coverCalculations(this.viewer, this.targets, this.#coverCalculations);
+    return this.#coverCalculations;
+  }
+
+  /**
+   * Calculate the cover for each target, using the Area3d web worker if enabled.
+   * Afterwards, coverCalculations returns the results without recalculating.
+   * @returns {Promise<Map<Token, COVER_TYPE>>}
+   */
+  async calculateCover() {
+    if ( this.#coverCalculations.size === this.targets.size ) return this.#coverCalculations;
+    await CoverCalculator.coverCalculationsAsync(this.viewer, this.targets, this.#coverCalculations);
     return this.#coverCalculations;
   }
 
+  /**
+   * Explanation of the cover calculation for each target.
+   * @type {Map<Token, CoverDetails>}
+   */
+  get coverDetails() {
+    if ( this.#coverDetails.size === this.targets.size ) return this.#coverDetails;
+    CoverCalculator.coverDetails(this.viewer, this.targets, this.#coverDetails);
+    return this.#coverDetails;
+  }
+
   copyTokenCoverCalculations() {
     return new Map(this.#coverCalculations);
   }
 
-  resetCoverCalculations() { this.#coverCalculations.clear(); }
+  resetCoverCalculations() {
+    this.#coverCalculations.clear();
+    this.#coverDetails.clear();
+  }
 
   /**
    * If the targets(s) are not present in the set, add them and refresh cover calculation.
@@ -79,7 +133,7 @@ export class CoverDialog {
   _targetCoversMatchCalculations(coverCalculations) {
     coverCalculations ??= this.coverCalculations;
     for ( const [target, cover] of coverCalculations ) {
-      if ( cover !== target.coverType ) return false;
+      if ( cover !== target.coverTypeFrom(this.token) ) return false;
     }
     return true;
   }
@@ -140,9 +194,11 @@ export class CoverDialog {
    * @returns {Map<Token, COVER_TYPE>|false}
    */
   async workflow(actionType) {
-    const coverCheckOption = getSetting(SETTINGS.COVER.MIDIQOL.COVERCHECK);
     const choices = SETTINGS.COVER.MIDIQOL.COVERCHECK_CHOICES;
+    const coverCheckOption = coverCheckConfigurable()
+      ? getSetting(SETTINGS.COVER.MIDIQOL.COVERCHECK) : choices.AUTO;
     let askGM = true;
+    if ( coverCheckOption !== choices.NONE ) await this.calculateCover();
     switch ( coverCheckOption ) {
       case choices.NONE: return undefined;
       case choices.AUTO: return this.coverCalculations;
@@ -187,14 +243,19 @@ export class CoverDialog {
 
   /**
    * Update targets' cover based on token --> target cover calculations.
+   * If a preApplyCover hook changes the cover for a target, the calculations are updated to match.
    * @param {Map<Token, COVER_TYPE>} [coverCalculations]
+   * @param {object} [options]    Options passed to CoverCalculator.setCover
    * @returns {Promise<>}
    */
-  async updateTargetsCover(coverCalculations) {
+  async updateTargetsCover(coverCalculations, options) {
     coverCalculations ??= this.coverCalculations;
     const promises = [];
-    coverCalculations.forEach((coverStatus, target) =>
-      promises.push(CoverCalculator.enableCover(target.id, coverStatus)));
+    coverCalculations.forEach((coverStatus, target) => {
+      const promise = CoverCalculator.setCover(this.token, target, coverStatus, options)
+        .then(applied => { if ( typeof applied !== "undefined" ) coverCalculations.set(target, applied); });
+      promises.push(promise);
+    });
     return Promise.all(promises);
   }
 
@@ -204,7 +265,7 @@ export class CoverDialog {
    */
   async showCoverResults(opts) {
     const coverAlgorithm = getSetting(SETTINGS.COVER.ALGORITHM);
-    const algorithmDescription = game.i18n.localize(`${MODULE_ID}.settings.${coverAlgorithm}`);
+    const algorithmDescription = CoverCalculator.algorithmLabel(coverAlgorithm);
     const html = this._htmlShowCover(opts);
     const content =
 `
@@ -243,12 +304,12 @@ ${html}
     const actionDescription = actionType ? `${CoverCalculator.attackNameForType(actionType)}.` : "";
 
     let html =
-    `<b>${token.name}</b>. ${actionDescription} ${ignoresCoverLabel}
+    `<b>${this.viewerName}</b>. ${actionDescription} ${ignoresCoverLabel}
     `;
 
     const include3dDistance = true;
     const imageWidth = 50;
-    const token_center = Point3d.fromToken(token).top; // Measure from token vision point.
+    const token_center = this.viewerCenter; // Measure from token vision point.
     const distHeader = include3dDistance ? '<th style="text-align: right"><b>Dist. (3d)</b></th>' : "";
     html +=
     `
@@ -264,8 +325,9 @@ ${html}
     <tbody>
     `;
 
-    const coverNames = duplicate(COVER_TYPES);
-    for ( const [key, value] of Object.entries(coverNames) ) coverNames[key] = CoverCalculator.coverNameForType(value);
+    // Option index matches the cover type: NONE, each cover tier, then omit (TOTAL).
+    const coverNames = [CoverCalculator.coverNameForType(COVER_TYPES.NONE)];
+    COVER.TIERS.forEach((_tier, i) => coverNames.push(CoverCalculator.coverNameForType(i + 1)));
 
     for ( const target of targets ) {
       const cover = coverCalculations.get(target);
@@ -280,10 +342,7 @@ ${html}
       const distContent = include3dDistance ? `<td style="text-align: right">${Math.round(CONFIG.GeometryLib.utils.pixelsToGridUnits(dist))} ${canvas.scene.grid.units}</td>` : "";
       const coverOptions =
       `
-      <option value="NONE" ${cover === COVER_TYPES.NONE ? "selected" : ""}>${coverNames.NONE}</option>
-      <option value="LOW" ${cover === COVER_TYPES.LOW ? "selected" : ""}>${coverNames.LOW}</option>
-      <option value="MEDIUM" ${cover === COVER_TYPES.MEDIUM ? "selected" : ""}>${coverNames.MEDIUM}</option>
-      <option value="HIGH" ${cover === COVER_TYPES.HIGH ? "selected" : ""}>${coverNames.HIGH}</option>
+      ${coverNames.map((name, type) => `<option value="${type}" ${cover === type ? "selected" : ""}>${name}</option>`).join("\n")}
       <option value="OMIT">Omit from attack</option>
       `;
       const coverSelector =
@@ -324,6 +383,7 @@ ${html}
    * @param {string} [opts.actionType]            "msak"|"mwak"|"rsak"|"rwak". Used to check if token ignores cover
    * @param {boolean} [opts.applied]              The cover is as-applied by user/GM versus calculated
    * @param {boolean} [opts.displayIgnored]       Display cover results for cover ignored by token
+   * @param {boolean} [opts.includeDetails]       Explain why each target has cover
    * @returns {string}    HTML string
    */
   _htmlShowCover({
@@ -333,12 +393,13 @@ ${html}
     coverCalculations,
     actionType,
     applied = false,
-    displayIgnored = true } = {}) {
+    displayIgnored = true,
+    includeDetails = false } = {}) {
 
     const { token, targets } = this;
     coverCalculations ??= this.coverCalculations;
     const COVER_TYPES = CoverCalculator.COVER_TYPES;
-    const token_center = new Point3d(token.center.x, token.center.y, token.topZ); // Measure from token vision point.
+    const token_center = this.viewerCenter; // Measure from token vision point.
 
     let html = "";
     let nCover = 0;
@@ -348,6 +409,9 @@ ${html}
     const coverAlign = include3dDistance ? "left" : "right";
     const coverLabel = applied ? "Applied Cover" : "Cover";
 
+    // Add the details column if requested.
+    const detailsHeader = includeDetails ? '<th style="text-align: left"><b>Details</b></th>' : "";
+
     // Build the table header
     let htmlTable =
     `
@@ -357,6 +421,7 @@ ${html}
         <th colspan="2" ><b>Target</b></th>
         <th style="text-align: ${coverAlign}"><b>${coverLabel}</b></th>
         ${distHeader}
+        ${detailsHeader}
       </tr>
     </thead>
     <tbody>
@@ -383,6 +448,10 @@ ${html}
         distContent = `<td style="text-align: right">${Math.round(CONFIG.GeometryLib.utils.pixelsToGridUnits(dist))} ${canvas.scene.grid.units}</td>`;
       }
 
+      // If needed, explain the cover calculation.
+      const detailsContent = includeDetails
+        ? `<td style="text-align: left"><small>${this._htmlCoverDetails(this.coverDetails.get(target))}</small></td>` : "";
+
       // Add the table row.
       htmlTable +=
       `
@@ -391,6 +460,7 @@ ${html}
       <td>${target.name}</td>
       <td>${CoverCalculator.coverNameForType(cover)}</td>
       ${distContent}
+      ${detailsContent}
       </tr>
       `;
     }
@@ -415,7 +485,7 @@ ${html}
 
     htmlTable =
     `
-    ${targetLabel} ${numCoverLabel} cover from <b>${token.name}</b>.
+    ${targetLabel} ${numCoverLabel} cover from <b>${this.viewerName}</b>.
     ${ignoresCoverLabel}
     ${htmlTable}
     `;
@@ -426,12 +496,64 @@ ${html}
     return html;
   }
 
+  /**
+   * Create html that explains why a target has the calculated cover.
+   * @param {CoverDetails} details    Details from CoverCalculator.prototype.targetCoverDetails
+   * @returns {string}
+   */
+  _htmlCoverDetails(details) {
+    if ( !details ) return "";
+    const lines = [];
+    if ( typeof details.percentCover !== "undefined" ) {
+      lines.push(`${Math.round(details.percentCover * 100)}% obscured`);
+    }
+    if ( details.tokensForceLowCover ) lines.push(`Tokens grant ${CoverCalculator.coverNameForType(COVER.TYPES.LOW)}`);
+
+    // Name the objects that blocked the rays or that lie between viewer and target.
+    const walls = new Set();
+    const tiles = new Set();
+    const tokens = new Set();
+    const obscurements = new Set();
+    const templates = new Set();
+    if ( details.leastCoverTest ) {
+      for ( const ray of details.leastCoverTest.rays ) {
+        ray.walls.forEach(w => walls.add(w));
+        ray.tiles.forEach(t => tiles.add(t));
+        ray.tokens.forEach(t => tokens.add(t));
+        ray.obscurements.forEach(o => (o instanceof MeasuredTemplate ? templates : obscurements).add(o));
+      }
+    } else if ( details.blockingObjects ) {
+      details.blockingObjects.walls.forEach(w => walls.add(w));
+      details.blockingObjects.tiles.forEach(t => tiles.add(t));
+      details.blockingObjects.tileBoxes.forEach(t => tiles.add(t));
+      details.blockingObjects.tokens.forEach(t => tokens.add(t));
+    }
+    const blockers = [];
+    if ( walls.size ) blockers.push(`${walls.size} wall${walls.size === 1 ? "" : "s"}`);
+    if ( tiles.size ) blockers.push(`${tiles.size} tile${tiles.size === 1 ? "" : "s"}`);
+    if ( obscurements.size ) blockers.push(`${obscurements.size} obscured area${obscurements.size === 1 ? "" : "s"}`);
+    if ( templates.size ) blockers.push(`${templates.size} template${templates.size === 1 ? "" : "s"}`);
+    tokens.forEach(t => blockers.push(t.name));
+    if ( blockers.length ) lines.push(`Blocked by: ${blockers.join(", ")}`);
+
+    for ( const override of details.wallOverrides ) {
+      lines.push(`Wall: ${game.i18n.localize(`${MODULE_ID}.WallConfiguration.coverOverride.${override}`)}`);
+    }
+    for ( const drawing of details.obscurements ) {
+      const cover = CoverCalculator.coverNameForType(drawingObscurement(drawing)?.coverType ?? COVER.TYPES.NONE);
+      lines.push(game.i18n.format(`${MODULE_ID}.phrases.ObscurementCover`, { cover }));
+    }
+    if ( details.takeCover ) lines.push(game.i18n.localize(`${MODULE_ID}.phrases.TakingCover`));
+    return lines.join("<br>");
+  }
+
   /**
    * Create html that describes how the token ignores cover.
    * @param {string|undefined} actionType   "msak"|"mwak"|"rsak"|"rwak". Used to check if token ignores cover
    */
   _htmlIgnoresCover(actionType) {
     const COVER_TYPES = CoverCalculator.COVER_TYPES;
+    if ( !(this.token instanceof Token) ) return ""; // Templates do not ignore cover.
     const ic = this.token.ignoresCoverType;
     const allCoverIgnored = ic.all;
     const typeCoverIgnored = ic[actionType] || COVER_TYPES.NONE;
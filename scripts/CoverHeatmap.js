@@ -0,0 +1,242 @@
+/* globals
+canvas,
+CONFIG,
+CONST,
+foundry,
+game
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS } from "./const.js";
+import { SETTINGS, getSetting } from "./settings.js";
+import { CoverCalculator } from "./CoverCalculator.js";
+import { CoverHeatmapLegend } from "./CoverHeatmapLegend.js";
+import { gridSpaceShape } from "./shapes_under_token.js";
+
+// Canvas overlay shading each grid space by the cover the controlled token would have there.
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Hook getSceneControlButtons
+ * Add a toggle for the cover heatmap to the token controls.
+ * @param {SceneControl[]} controls
+ */
+function getSceneControlButtons(controls) {
+  const tokenControls = controls.find(c => c.name === "token");
+  if ( !tokenControls ) return;
+  tokenControls.tools.push({
+    name: CoverHeatmap.LAYER,
+    title: `${MODULE_ID}.CoverHeatmap.Control`,
+    icon: "fas fa-shield-halved",
+    toggle: true,
+    active: CoverHeatmap.active,
+    onClick: toggled => CoverHeatmap.toggle(toggled)
+  });
+}
+
+/**
+ * Hook canvasReady and changes to tokens, targets, walls, tiles, drawings, and templates.
+ * Redraw the heatmap if it is shown.
+ */
+function refreshHeatmap() { if ( CoverHeatmap.active ) CoverHeatmap.debouncedRefresh(); }
+
+/**
+ * Hook updateToken
+ * Redraw the heatmap only if the token moved or changed size, or if flags of other modules, such as
+ * Wall Height, changed. Other flags of this module, such as the cover recorded on targets, are ignored.
+ * @param {Document} _tokenD    The existing Document which was updated
+ * @param {object} change       Differential data that was used to update the document
+ */
+function updateToken(_tokenD, change) {
+  if ( !CoverHeatmap.active ) return;
+  const moved = ["x", "y", "elevation", "width", "height"].some(key => Object.hasOwn(change, key));
+  const flags = change.flags ?? {};
+  const otherFlags = Object.keys(flags).some(scope => scope !== MODULE_ID);
+  const moduleFlags = flags[MODULE_ID] ?? {};
+  const heightFlags = Object.hasOwn(moduleFlags, FLAGS.TOKEN.HEIGHT)
+    || Object.hasOwn(moduleFlags, FLAGS.TOKEN.EYE_HEIGHT);
+  if ( moved || otherFlags || heightFlags ) CoverHeatmap.debouncedRefresh();
+}
+
+PATCHES.BASIC.HOOKS = {
+  getSceneControlButtons,
+  canvasReady: refreshHeatmap,
+  controlToken: refreshHeatmap,
+  targetToken: refreshHeatmap,
+  createToken: refreshHeatmap,
+  updateToken,
+  deleteToken: refreshHeatmap,
+  createWall: refreshHeatmap,
+  updateWall: refreshHeatmap,
+  deleteWall: refreshHeatmap,
+  createTile: refreshHeatmap,
+  updateTile: refreshHeatmap,
+  deleteTile: refreshHeatmap,
+  createDrawing: refreshHeatmap,
+  updateDrawing: refreshHeatmap,
+  deleteDrawing: refreshHeatmap,
+  createMeasuredTemplate: refreshHeatmap,
+  updateMeasuredTemplate: refreshHeatmap,
+  deleteMeasuredTemplate: refreshHeatmap
+};
+
+/**
+ * @typedef HeatmapSpace  Cover for the token placed in a single grid space.
+ * @type {object}
+ * @property {number} x                   Top left x coordinate of the grid space
+ * @property {number} y                   Top left y coordinate of the grid space
+ * @property {COVER_TYPE} coverType       Best or worst cover from the attackers
+ */
+
+export class CoverHeatmap {
+  /**
+   * Name of the grid highlight layer, also used for the scene control.
+   * @type {string}
+   */
+  static LAYER = `${MODULE_ID}-cover-heatmap`;
+
+  /**
+   * Whether the heatmap is shown.
+   * @type {boolean}
+   */
+  static active = false;
+
+  /** @type {CoverHeatmapLegend|undefined} */
+  static legend;
+
+  /**
+   * Refresh at most once for a burst of changes, such as a token moving along a path.
+   * @type {function}
+   */
+  static debouncedRefresh = foundry.utils.debounce(() => CoverHeatmap.refresh(), 100);
+
+  /**
+   * Show or hide the heatmap and its legend.
+   * @param {boolean} [active]    Defaults to toggling the current state
+   */
+  static toggle(active = !this.active) {
+    this.active = active;
+    if ( active ) return this.refresh();
+
+    canvas.grid.destroyHighlightLayer(this.LAYER);
+    this.legend?.close();
+    this.legend = undefined;
+  }
+
+  /**
+   * Redraw the heatmap for the controlled token and update the legend.
+   */
+  static refresh() {
+    if ( !canvas.ready ) return;
+    canvas.grid.addHighlightLayer(this.LAYER);
+    canvas.grid.clearHighlightLayer(this.LAYER);
+
+    const token = canvas.tokens.controlled.length === 1 ? canvas.tokens.controlled[0] : undefined;
+    const attackers = token ? this.attackersFor(token) : new Set();
+    const mode = getSetting(SETTINGS.COVER.HEATMAP.MODE);
+    if ( token && attackers.size ) {
+      const spaces = this.coverMap(token, attackers, { mode });
+      for ( const { x, y, coverType } of spaces ) {
+        canvas.grid.highlightPosition(this.LAYER, {
+          x,
+          y,
+          color: CoverHeatmapLegend.colorForType(coverType),
+          alpha: 0.4,
+          shape: gridSpaceShape(x, y)
+        });
+      }
+    }
+
+    this.legend ??= new CoverHeatmapLegend();
+    this.legend.heatmap = { token, attackers, mode };
+    this.legend.render(true);
+  }
+
+  /**
+   * Tokens that attack the given token.
+   * Uses the user's targets if any; otherwise the tokens hostile to the token.
+   * @param {Token} token
+   * @returns {Set<Token>}
+   */
+  static attackersFor(token) {
+    const targets = new Set(game.user.targets);
+    targets.delete(token);
+    if ( targets.size ) return targets;
+
+    const { FRIENDLY, HOSTILE } = CONST.TOKEN_DISPOSITIONS;
+    const disposition = token.document.disposition;
+    if ( disposition !== FRIENDLY && disposition !== HOSTILE ) return targets;
+    const hostile = -disposition;
+    return new Set(canvas.tokens.placeables.filter(t => t !== token && t.document.disposition === hostile));
+  }
+
+  /**
+   * Calculate the cover the token would have in each grid space within range, against the attackers.
+   * The token is virtually moved so that its top left corner is at each grid space.
+   * @param {Token} token                 Token that would take cover
+   * @param {Set<Token>|Token[]} attackers  Tokens attacking the token
+   * @param {object} [options]
+   * @param {number} [options.range]      Distance from the token, in grid units
+   * @param {string} [options.mode]       SETTINGS.COVER.HEATMAP.MODES; best or worst cover from any attacker
+   * @param {{x: number, y: number}[]} [options.spaces]   Grid spaces to test; defaults to those within range
+   * @returns {HeatmapSpace[]}
+   */
+  static coverMap(token, attackers, {
+    range = getSetting(SETTINGS.COVER.HEATMAP.RANGE),
+    mode = getSetting(SETTINGS.COVER.HEATMAP.MODE),
+    spaces } = {}) {
+
+    attackers = [...attackers];
+    const best = mode === SETTINGS.COVER.HEATMAP.MODES.BEST;
+    spaces ??= this.gridSpacesWithin(token.center, range);
+
+    // Preview of the token, moved into each space in turn.
+    const clone = token.clone();
+    clone._original = token;
+    try {
+      for ( const space of spaces ) {
+        clone.document.updateSource({ x: space.x, y: space.y });
+        clone.position.set(space.x, space.y);
+        const covers = attackers.map(attacker => new CoverCalculator(attacker, clone).targetCover());
+        space.coverType = best ? Math.max(...covers) : Math.min(...covers);
+      }
+    } finally {
+      clone.destroy({ children: true });
+    }
+
+    return spaces;
+  }
+
+  /**
+   * Grid spaces whose centers are within range of a point and within the scene.
+   * @param {Point} center    Center of the search
+   * @param {number} range    Distance, in grid units
+   * @returns {{x: number, y: number}[]} Top left coordinates of each grid space
+   */
+  static gridSpacesWithin(center, range) {
+    const grid = canvas.grid.grid;
+    const { width, height } = grid.getRect(1, 1);
+    const rangePx = CONFIG.GeometryLib.utils.gridUnitsToPixels(range);
+    const rangePx2 = rangePx * rangePx;
+    const n = Math.ceil(rangePx / Math.min(width, height)) + 1;
+    const [row0, col0] = grid.getGridPositionFromPixels(center.x, center.y);
+    const sceneRect = canvas.dimensions.sceneRect;
+
+    const spaces = [];
+    for ( let row = row0 - n; row <= row0 + n; row += 1 ) {
+      for ( let col = col0 - n; col <= col0 + n; col += 1 ) {
+        const [x, y] = grid.getPixelsFromGridPosition(row, col);
+        const cx = x + (width * 0.5);
+        const cy = y + (height * 0.5);
+        if ( !sceneRect.contains(cx, cy) ) continue;
+        if ( Math.pow(cx - center.x, 2) + Math.pow(cy - center.y, 2) > rangePx2 ) continue;
+        spaces.push({ x, y });
+      }
+    }
+    return spaces;
+  }
+}
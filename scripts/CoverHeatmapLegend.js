@@ -0,0 +1,64 @@
+/* globals
+Application,
+Color,
+foundry,
+game
+*/
+"use strict";
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+
+import { MODULE_ID, COVER } from "./const.js";
+import { getCoverName } from "./settings.js";
+
+/**
+ * Legend for the cover heatmap.
+ * Lists the color of each cover type, the token, its attackers, and whether best or worst cover is shown.
+ */
+export class CoverHeatmapLegend extends Application {
+
+  /**
+   * Token, attackers, and mode shown by the heatmap. Set by CoverHeatmap before rendering.
+   * @type {{token: Token|undefined, attackers: Set<Token>, mode: string}}
+   */
+  heatmap = { token: undefined, attackers: new Set(), mode: undefined };
+
+  /** @override */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${MODULE_ID}-cover-heatmap-legend`,
+      template: `modules/${MODULE_ID}/templates/cover-heatmap-legend.html`,
+      title: game.i18n.localize(`${MODULE_ID}.CoverHeatmap.Title`),
+      width: 260,
+      height: "auto",
+      minimizable: true
+    });
+  }
+
+  /** @override */
+  getData(options = {}) {
+    const { token, attackers, mode } = this.heatmap;
+    const types = [];
+    for ( let type = COVER.TYPES.NONE; type <= COVER.TYPES.TOTAL; type += 1 ) {
+      types.push({ name: getCoverName(type), color: this.constructor.colorForType(type).css });
+    }
+
+    return {
+      ...super.getData(options),
+      types,
+      token: token?.name,
+      attackers: [...attackers].map(a => a.name).join(", "),
+      mode: mode ? game.i18n.localize(`${MODULE_ID}.settings.${mode}`) : ""
+    };
+  }
+
+  /**
+   * Color for a cover type: red for no cover through green for the highest tier; blue for total cover.
+   * @param {COVER_TYPE} type
+   * @returns {Color}
+   */
+  static colorForType(type) {
+    if ( type === COVER.TYPES.TOTAL ) return Color.fromHSV([2 / 3, 0.8, 0.9]);
+    const nTiers = COVER.TIERS.length || 1;
+    return Color.fromHSV([(type / nTiers) / 3, 0.8, 0.9]);
+  }
+}
@@ -0,0 +1,167 @@
+/* globals
+FormApplication,
+foundry,
+game,
+ui
+*/
+"use strict";
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+
+import { MODULE_ID } from "./const.js";
+import { getCoverTiers, setCoverTiers, dFredsHasCover } from "./settings.js";
+import { CoverEffectConfig } from "./EnhancedEffectConfig.js";
+
+/**
+ * Settings menu to define the cover tiers.
+ * Each tier has a name, icon, percent trigger, point-count trigger, and status effect.
+ * Tiers are ordered from least to most cover.
+ */
+export class CoverTiersConfig extends FormApplication {
+
+  /**
+   * Working copy of the tiers, so rows can be added or removed before saving.
+   * @type {CoverTier[]}
+   */
+  tiers = getCoverTiers().map(tier => ({ ...tier }));
+
+  /** @override */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${MODULE_ID}-cover-tiers-config`,
+      template: `modules/${MODULE_ID}/templates/cover-tiers-config.html`,
+      title: game.i18n.localize(`${MODULE_ID}.CoverTiersConfig.Title`),
+      width: 680,
+      height: "auto",
+      closeOnSubmit: true,
+      submitOnChange: false
+    });
+  }
+
+  /** @override */
+  getData(options = {}) {
+    const skipEffects = game.system.id === "sfrpg";
+    return {
+      ...super.getData(options),
+      tiers: this.tiers.map((tier, i) => ({
+        ...tier,
+        index: i,
+        editEffect: !skipEffects && !dFredsHasCover(tier.id)
+      })),
+      canDelete: this.tiers.length > 1
+    };
+  }
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find("[data-action='add-tier']").click(this._onAddTier.bind(this));
+    html.find("[data-action='delete-tier']").click(this._onDeleteTier.bind(this));
+    html.find("[data-action='edit-effect']").click(this._onEditEffect.bind(this));
+  }
+
+  /**
+   * Add a tier at the end, providing the most cover.
+   * @param {Event} event
+   */
+  async _onAddTier(event) {
+    event.preventDefault();
+    this._syncTiers();
+    this.tiers.push({
+      id: foundry.utils.randomID(),
+      name: game.i18n.localize(`${MODULE_ID}.CoverTiersConfig.NewTier`),
+      icon: `modules/${MODULE_ID}/assets/shield_high_gray.svg`,
+      percentThreshold: 1,
+      pointsThreshold: 0
+    });
+    this.render();
+  }
+
+  /**
+   * Remove a tier. At least one tier must remain.
+   * @param {Event} event
+   */
+  async _onDeleteTier(event) {
+    event.preventDefault();
+    if ( this.tiers.length < 2 ) return;
+    this._syncTiers();
+    const idx = Number(event.currentTarget.dataset.index);
+    this.tiers.splice(idx, 1);
+    this.render();
+  }
+
+  /**
+   * Open the status effect configuration for a tier.
+   * Saves the tiers first so the effect is tied to an existing tier.
+   * @param {Event} event
+   */
+  async _onEditEffect(event) {
+    event.preventDefault();
+    this._syncTiers();
+    if ( !this.constructor._validTiers(this.tiers) ) {
+      ui.notifications.error(game.i18n.localize(`${MODULE_ID}.CoverTiersConfig.InvalidThresholds`));
+      return;
+    }
+    await setCoverTiers(this.tiers);
+    const tierId = event.currentTarget.dataset.tierId;
+    new CoverEffectConfig(tierId).render(true);
+  }
+
+  /**
+   * Copy the current form values into the working tiers.
+   */
+  _syncTiers() {
+    const data = foundry.utils.expandObject(this._getSubmitData());
+    this.tiers = this._tiersFromData(data);
+  }
+
+  /**
+   * Convert submitted form data into an array of tiers, sorted from least to most cover.
+   * @param {object} data   Expanded form data
+   * @returns {CoverTier[]}
+   */
+  _tiersFromData(data) {
+    const tiers = this.tiers.map((tier, i) => {
+      const d = data.tiers?.[i] ?? {};
+      return {
+        id: tier.id,
+        name: d.name || tier.name,
+        icon: d.icon || tier.icon,
+        percentThreshold: Math.clamped(Number(d.percentThreshold ?? tier.percentThreshold), 0, 1),
+        pointsThreshold: Math.max(0, Math.round(Number(d.pointsThreshold ?? tier.pointsThreshold)))
+      };
+    });
+    return tiers.sort((a, b) => a.percentThreshold - b.percentThreshold);
+  }
+
+  /**
+   * Confirm that each tier needs more cover than the one before it.
+   * Percent triggers must increase. Point-count triggers that are set must also increase.
+   * @param {CoverTier[]} tiers   Tiers sorted by percent trigger
+   * @returns {boolean}
+   */
+  static _validTiers(tiers) {
+    let prevPoints = 0;
+    return tiers.every((tier, i) => {
+      if ( i && tier.percentThreshold <= tiers[i - 1].percentThreshold ) return false;
+      if ( !tier.pointsThreshold ) return true;
+      if ( tier.pointsThreshold <= prevPoints ) return false;
+      prevPoints = tier.pointsThreshold;
+      return true;
+    });
+  }
+
+  /** @override */
+  async _updateObject(_event, formData) {
+    const data = foundry.utils.expandObject(formData);
+    const tiers = this._tiersFromData(data);
+    if ( !tiers.length ) {
+      ui.notifications.error(game.i18n.localize(`${MODULE_ID}.CoverTiersConfig.NeedsTier`));
+      return;
+    }
+    if ( !this.constructor._validTiers(tiers) ) {
+      ui.notifications.error(game.i18n.localize(`${MODULE_ID}.CoverTiersConfig.InvalidThresholds`));
+      return;
+    }
+    await setCoverTiers(tiers);
+  }
+}
@@ -5,9 +5,9 @@ Token
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
-import { DEBUG } from "./const.js";
-import { SETTINGS, getSetting } from "./settings.js";
-import { testLOSPoint, drawDebugPoint, testLOSCorners, testLOSArea, testLOSArea3d } from "./visibility_los.js";
+import { DEBUG, MODULE_ID, FLAGS } from "./const.js";
+import { SETTINGS, getSetting, detectionModeSettings } from "./settings.js";
+import { testLOS } from "./visibility_los.js";
 import { elevatePoints } from "./visibility_range.js";
 import { Draw } from "./geometry/Draw.js";
 
@@ -21,7 +21,7 @@ PATCHES.NO_LEVELS = {};
 
 /**
  * Wrap DetectionMode.prototype.testVisibility
- * Create extra points if necessary.
+ * Create extra points if necessary, using the range points for this detection mode.
  * Modify tests so LOS area algorithms can use only the center point
  * @param {VisionSource} visionSource           The vision source being tested
  * @param {TokenDetectionMode} mode             The detection mode configuration
@@ -30,7 +30,7 @@ PATCHES.NO_LEVELS = {};
  */
 function testVisibility(wrapped, visionSource, mode, {object, tests}={}) {
   if ( !(object instanceof Token) ) return wrapped(visionSource, mode, { object, tests });
-  tests = elevatePoints(tests, object);
+  tests = elevatePoints(tests, object, detectionModeSettings(this.id).rangeAlgorithm);
   return wrapped(visionSource, mode, { object, tests });
 }
 
@@ -41,6 +41,8 @@ PATCHES.NO_LEVELS.WRAPS = { testVisibility };
 /**
  * Mixed wrap DetectionMode.prototype._testLOS
  * Handle different types of LOS visibility tests.
+ * Uses the line-of-sight algorithm and percent area for this detection mode.
+ * A percent area set on the target token takes precedence over that of the detection mode.
  */
 function _testLOS(wrapped, visionSource, mode, target, test) {
   // Only apply this test to tokens
@@ -49,31 +51,15 @@ function _testLOS(wrapped, visionSource, mode, target, test) {
   // If not constrained by walls or no walls present, line-of-sight is guaranteed.
   if ( !this.walls || !canvas.walls.placeables.length ) return true;
 
-  // Check the cached value; return if there.
-  let hasLOS = test.los.get(visionSource);
-  if ( hasLOS === true || hasLOS === false ) return hasLOS;
+  const { losAlgorithm, percentArea, usesWorldLOS } = detectionModeSettings(this.id);
+  if ( usesWorldLOS ) return testLOS(losAlgorithm, visionSource, target, test);
 
-  const debug = DEBUG.los;
-  const algorithm = getSetting(SETTINGS.LOS.ALGORITHM);
-  const types = SETTINGS.LOS.TYPES;
-  switch ( algorithm ) {
-    case types.POINTS:
-      hasLOS = testLOSPoint(visionSource, target, test);
-      debug && drawDebugPoint(visionSource, test.point, hasLOS); // eslint-disable-line no-unused-expressions
-      break;
-    case types.CORNERS:
-      hasLOS = testLOSCorners(visionSource, target, test);
-      break;
-    case types.AREA:
-      hasLOS = testLOSArea(visionSource, target, test);
-      break;
-    case types.AREA3D:
-      hasLOS = testLOSArea3d(visionSource, target, test);
-      break;
-  }
-
-  test.los.set(visionSource, hasLOS);
-  return hasLOS;
+  // Results differ from those of the world settings, so cache them separately for this mode.
+  test.losByMode ??= new Map();
+  let cache = test.losByMode.get(this.id);
+  if ( !cache ) test.losByMode.set(this.id, cache = new Map());
+  const targetPercentArea = target.document.getFlag(MODULE_ID, FLAGS.TOKEN.LOS_PERCENT_AREA);
+  return testLOS(losAlgorithm, visionSource, target, test, { percentArea: targetPercentArea ?? percentArea, cache });
 }
 
 /**
@@ -99,7 +85,7 @@ function _testRange(wrapper, visionSource, mode, target, test) {
     const radius = visionSource.object.getLightRadius(mode.range);
     const dx = test.point.x - visionSource.x;
     const dy = test.point.y - visionSource.y;
-    const dz = test.point.z - visionSource.elevationZ;
+    const dz = test.point.z - visionSource.eyeZ;
     inRange = ((dx * dx) + (dy * dy) + (dz * dz)) <= (radius * radius);
   }
   debug && Draw.point(test.point,  // eslint-disable-line no-unused-expressions
@@ -0,0 +1,31 @@
+/* globals
+Token
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { targetIsLit } from "./visibility_light.js";
+
+// Patches for the DetectionModeLightPerception class
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+// ----- NOTE: Wraps ----- //
+
+/**
+ * Wrap DetectionModeLightPerception.prototype._testPoint
+ * If the light coverage requirement is enabled, a lit test point is not enough;
+ * enough of the target must be lit. Unlit test points fail without measuring the lit area.
+ * @param {VisionSource} visionSource           The vision source being tested
+ * @param {TokenDetectionMode} mode             The detection mode configuration
+ * @param {PlaceableObject} target              The target object being tested
+ * @param {CanvasVisibilityTest} test           The test case being evaluated
+ * @returns {boolean}
+ */
+function _testPoint(wrapped, visionSource, mode, target, test) {
+  if ( !wrapped(visionSource, mode, target, test) ) return false;
+  if ( !(target instanceof Token) ) return true;
+  return targetIsLit(target);
+}
+
+PATCHES.BASIC.WRAPS = { _testPoint };
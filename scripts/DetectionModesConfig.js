@@ -0,0 +1,78 @@
+/* globals
+CONFIG,
+FormApplication,
+foundry,
+game
+*/
+"use strict";
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+
+import { MODULE_ID, LOS_ALGORITHMS } from "./const.js";
+import { SETTINGS, getSetting, setSetting } from "./settings.js";
+
+/**
+ * Settings menu to set line-of-sight and range settings by detection mode.
+ * Each detection mode may use its own line-of-sight algorithm, percent area, and range points.
+ * Blank values use the world settings.
+ */
+export class DetectionModesConfig extends FormApplication {
+
+  /** @override */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${MODULE_ID}-detection-modes-config`,
+      template: `modules/${MODULE_ID}/templates/detection-modes-config.html`,
+      title: game.i18n.localize(`${MODULE_ID}.DetectionModesConfig.Title`),
+      width: 680,
+      height: "auto",
+      closeOnSubmit: true,
+      submitOnChange: false
+    });
+  }
+
+  /** @override */
+  getData(options = {}) {
+    const stored = getSetting(SETTINGS.DETECTION_MODES.CONFIG) ?? {};
+
+    const losChoices = {};
+    for ( const [id, algorithm] of LOS_ALGORITHMS ) losChoices[id] = game.i18n.localize(algorithm.label);
+
+    const rangeChoices = {};
+    for ( const type of Object.values(SETTINGS.RANGE.TYPES) ) {
+      rangeChoices[type] = game.i18n.localize(`${MODULE_ID}.settings.${type}`);
+    }
+
+    const modes = Object.values(CONFIG.Canvas.detectionModes).map(mode => {
+      const modeSettings = stored[mode.id] ?? {};
+      return {
+        id: mode.id,
+        label: game.i18n.localize(mode.label),
+        losAlgorithm: modeSettings.losAlgorithm ?? "",
+        percentArea: modeSettings.percentArea ?? "",
+        rangeAlgorithm: modeSettings.rangeAlgorithm ?? ""
+      };
+    });
+
+    return {
+      ...super.getData(options),
+      modes,
+      losChoices,
+      rangeChoices,
+      defaultPercentArea: getSetting(SETTINGS.LOS.PERCENT_AREA)
+    };
+  }
+
+  /** @override */
+  async _updateObject(_event, formData) {
+    const data = foundry.utils.expandObject(formData);
+    const stored = {};
+    for ( const [id, d] of Object.entries(data.modes ?? {}) ) {
+      const modeSettings = {};
+      if ( d.losAlgorithm ) modeSettings.losAlgorithm = d.losAlgorithm;
+      if ( Number.isFinite(d.percentArea) ) modeSettings.percentArea = Math.clamped(d.percentArea, 0, 1);
+      if ( d.rangeAlgorithm ) modeSettings.rangeAlgorithm = d.rangeAlgorithm;
+      if ( !foundry.utils.isEmpty(modeSettings) ) stored[id] = modeSettings;
+    }
+    await setSetting(SETTINGS.DETECTION_MODES.CONFIG, stored);
+  }
+}
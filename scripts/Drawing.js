@@ -0,0 +1,67 @@
+/* globals
+CONST
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS } from "./const.js";
+
+// Patches for the Drawing class
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+// Drawing shapes that can be holes in tiles.
+const HOLE_SHAPES = new Set([
+  CONST.DRAWING_TYPES.POLYGON,
+  CONST.DRAWING_TYPES.ELLIPSE,
+  CONST.DRAWING_TYPES.RECTANGLE
+]);
+
+// ----- NOTE: Getters ----- //
+
+/**
+ * New getter: Drawing.prototype.isTileHole
+ * Is this drawing flagged as a hole in tiles, with a shape that can be a hole?
+ * @type {boolean}
+ */
+function isTileHole() {
+  return Boolean(this.document.getFlag(MODULE_ID, FLAGS.DRAWING.IS_HOLE))
+    && HOLE_SHAPES.has(this.document.shape.type);
+}
+
+/**
+ * New getter: Drawing.prototype.holeElevation
+ * Elevation of the tiles this drawing cuts a hole in, in grid units.
+ * Undefined if not set, in which case the Levels range, if any, applies.
+ * @type {number|undefined}
+ */
+function holeElevation() {
+  const elevation = this.document.getFlag(MODULE_ID, FLAGS.DRAWING.HOLE_ELEVATION);
+  return (elevation == null || elevation === "") ? undefined : Number(elevation); // Intended to test null, undefined
+}
+
+PATCHES.BASIC.GETTERS = { isTileHole, holeElevation };
+
+// ----- NOTE: New methods ----- //
+
+/**
+ * New method: Drawing.prototype.isHoleAtElevation
+ * Does this drawing cut a hole in tiles at the given elevation?
+ * Uses the hole elevation if set, then the Levels range if set. Otherwise, cuts no tiles.
+ * @param {number} elevation    Tile elevation, in grid units
+ * @returns {boolean}
+ */
+function isHoleAtElevation(elevation) {
+  if ( !this.isTileHole ) return false;
+  const holeElevation = this.holeElevation;
+  if ( holeElevation !== undefined ) return elevation.almostEqual(holeElevation);
+
+  const minE = this.document.getFlag("levels", "rangeTop");
+  const maxE = this.document.getFlag("levels", "rangeBottom");
+  if ( minE == null && maxE == null ) return false; // Intended to test null, undefined
+  if ( minE == null ) return elevation === maxE;
+  if ( maxE == null ) return elevation === minE;
+  return elevation.between(minE, maxE);
+}
+
+PATCHES.BASIC.METHODS = { isHoleAtElevation };
@@ -5,7 +5,7 @@ renderTemplate
 "use strict";
 
 import { log } from "./util.js";
-import { MODULE_ID, FLAGS, MODULES_ACTIVE } from "./const.js";
+import { MODULE_ID, FLAGS, OBSCUREMENT, COVER } from "./const.js";
 
 // Patches for the DrawingConfig class
 export const PATCHES = {};
@@ -14,22 +14,39 @@ PATCHES.BASIC = {};
 // ----- NOTE: Hooks ----- //
 
 /**
- * Add controls to the measured template configuration.
  * Inject html to add controls to the drawing configuration.
- * If Levels module is active, allow the user to set drawings as holes for Area2d and Area3d.
+ * Allow the user to set drawings as lightly or heavily obscured volumes, optionally granting cover.
+ * Allow the user to set drawings as holes in tiles at an elevation.
  */
-async function renderDrawingConfig(app, html, data) {
-  log("tokenVisibilityRenderDrawingConfig data", data);
-  log(`enabled flag is ${app.object.getFlag(MODULE_ID, FLAGS.DRAWING.IS_HOLE)}`);
-  log("tokenVisibilityRenderDrawingConfig data after", data);
-
-  if ( !MODULES_ACTIVE.LEVELS ) return;
-
+async function renderDrawingConfig(app, html, _data) {
   const template = `modules/${MODULE_ID}/templates/token-visibility-drawing-config.html`;
-
-  const myHTML = await renderTemplate(template, data);
+  const doc = app.object;
+  log(`enabled flag is ${doc.getFlag(MODULE_ID, FLAGS.DRAWING.IS_HOLE)}`);
+
+  const obscurementChoices = {};
+  for ( const value of Object.values(OBSCUREMENT) ) {
+    obscurementChoices[value] = `${MODULE_ID}.DrawingConfiguration.obscurement.${value}`;
+  }
+
+  const coverChoices = { "": `${MODULE_ID}.DrawingConfiguration.obscurementCover.none` };
+  for ( const tier of COVER.TIERS ) coverChoices[tier.id] = tier.name;
+
+  const OBSCUREMENT_FLAGS = FLAGS.DRAWING.OBSCUREMENT;
+  const renderData = {
+    isHole: doc.getFlag(MODULE_ID, FLAGS.DRAWING.IS_HOLE),
+    holeElevation: doc.getFlag(MODULE_ID, FLAGS.DRAWING.HOLE_ELEVATION),
+    obscurementChoices,
+    obscurement: doc.getFlag(MODULE_ID, OBSCUREMENT_FLAGS.LEVEL) || OBSCUREMENT.NONE,
+    obscurementBottom: doc.getFlag(MODULE_ID, OBSCUREMENT_FLAGS.BOTTOM),
+    obscurementTop: doc.getFlag(MODULE_ID, OBSCUREMENT_FLAGS.TOP),
+    coverChoices,
+    obscurementCover: doc.getFlag(MODULE_ID, OBSCUREMENT_FLAGS.COVER) || ""
+  };
+
+  const myHTML = await renderTemplate(template, renderData);
   log("config rendered HTML", myHTML);
   html.find("div[data-tab='position']").find(".form-group").last().after(myHTML);
+  app.setPosition({ height: "auto" });
 }
 
-PATCHES.BASIC = { renderDrawingConfig };
+PATCHES.BASIC.HOOKS = { renderDrawingConfig };
@@ -5,7 +5,7 @@ game,
 ActiveEffect
 */
 
-import { getCoverEffect, setCoverEffect } from "./settings.js";
+import { getCoverEffect, setCoverEffect, getCoverTiers, setCoverTiers } from "./settings.js";
 
 // Adapted from https://github.com/death-save/combat-utility-belt/blob/master/modules/enhanced-conditions/enhanced-effect-config.js
 // @example
@@ -45,65 +45,34 @@ class EnhancedEffectConfig extends ActiveEffectConfig {
   }
 }
 
-export class LowCoverEffectConfig extends EnhancedEffectConfig {
+export class CoverEffectConfig extends EnhancedEffectConfig {
   /**
-   * Force the constructor to use the low cover setting.
+   * Force the constructor to use the cover setting for the given tier.
+   * @param {string} tierId   Id of the cover tier
+   * @param {object} [options]
    */
-  constructor() {
-    super();
+  constructor(tierId, options) {
+    super(undefined, options);
 
-    const data = getCoverEffect("LOW");
+    this.tierId = tierId;
+    const data = getCoverEffect(tierId);
     this.object = new ActiveEffect(data);
   }
 
   /**
-   * Override default submission behavior to save the low cover values.
+   * Override default submission behavior to save the cover values for the tier.
+   * The tier takes the name and icon of the effect.
    */
   async _onSubmit(...args) {
     await super._onSubmit(...args);
     const data = this.object.toJSON();
-    await setCoverEffect("LOW", data);
-  }
-}
-
-export class MediumCoverEffectConfig extends EnhancedEffectConfig {
-  /**
-   * Force the constructor to use the low cover setting.
-   */
-  constructor() {
-    super();
-
-    const data = getCoverEffect("MEDIUM");
-    this.object = new ActiveEffect(data);
-  }
+    await setCoverEffect(this.tierId, data);
 
-  /**
-   * Override default submission behavior to save the low cover values.
-   */
-  async _onSubmit(...args) {
-    await super._onSubmit(...args);
-    const data = this.object.toJSON();
-    await setCoverEffect("MEDIUM", data);
-  }
-}
-
-export class HighCoverEffectConfig extends EnhancedEffectConfig {
-  /**
-   * Force the constructor to use the low cover setting.
-   */
-  constructor() {
-    super();
-
-    const data = getCoverEffect("HIGH");
-    this.object = new ActiveEffect(data);
-  }
-
-  /**
-   * Override default submission behavior to save the low cover values.
-   */
-  async _onSubmit(...args) {
-    await super._onSubmit(...args);
-    const data = this.object.toJSON();
-    await setCoverEffect("HIGH", data);
+    const tiers = getCoverTiers();
+    const tier = tiers.find(t => t.id === this.tierId);
+    if ( !tier ) return;
+    tier.name = data.name ?? tier.name;
+    tier.icon = data.icon ?? tier.icon;
+    await setCoverTiers(tiers);
   }
 }
@@ -0,0 +1,59 @@
+/* globals
+FormApplication,
+foundry,
+game
+*/
+"use strict";
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+
+import { MODULE_ID } from "./const.js";
+import { SETTINGS, getSetting, setSetting } from "./settings.js";
+import { creatureTypeChoices } from "./util.js";
+
+/**
+ * Settings menu to set the viewer eye height by creature type.
+ * Lists the creature types of the system and any creature types already set.
+ * Blank values use the default eye height.
+ */
+export class EyeHeightConfig extends FormApplication {
+
+  /** @override */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${MODULE_ID}-eye-height-config`,
+      template: `modules/${MODULE_ID}/templates/eye-height-config.html`,
+      title: game.i18n.localize(`${MODULE_ID}.EyeHeightConfig.Title`),
+      width: 400,
+      height: "auto",
+      closeOnSubmit: true,
+      submitOnChange: false
+    });
+  }
+
+  /** @override */
+  getData(options = {}) {
+    const stored = getSetting(SETTINGS.EYE_HEIGHT.CREATURE_TYPES) ?? {};
+    const choices = creatureTypeChoices();
+    for ( const id of Object.keys(stored) ) choices[id] ??= id;
+
+    const types = Object.entries(choices).map(([id, label]) => {
+      return { id, label, eyeHeight: stored[id] ?? "" };
+    });
+
+    return {
+      ...super.getData(options),
+      types,
+      defaultEyeHeight: getSetting(SETTINGS.EYE_HEIGHT.DEFAULT)
+    };
+  }
+
+  /** @override */
+  async _updateObject(_event, formData) {
+    const data = foundry.utils.expandObject(formData);
+    const stored = {};
+    for ( const [id, d] of Object.entries(data.types ?? {}) ) {
+      if ( Number.isFinite(d.eyeHeight) ) stored[id] = Math.clamped(d.eyeHeight, 0, 1);
+    }
+    await setSetting(SETTINGS.EYE_HEIGHT.CREATURE_TYPES, stored);
+  }
+}
@@ -1,13 +1,16 @@
 /* globals
 canvas,
 ChatMessage,
-game
+game,
+ui
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
 import { MODULE_ID } from "./const.js";
 import { coverWorkflow } from "./cover.js";
+import { CoverCalculator } from "./CoverCalculator.js";
+import { SETTINGS, getSetting } from "./settings.js";
 
 // Patches for the dnd5e Item class
 export const PATCHES = {};
@@ -72,6 +75,9 @@ PATCHES.sfrpg.HOOKS = { preCreateItem, createItem };
 
 /**
  * Mixed wrap Item5e.prototype.rollAttack
+ * Attacks run the cover workflow before rolling.
+ * If cover effects are not applied, the roll is reduced by the AC bonus of the cover
+ * the target has from this attacker. Only for attacks against a single target.
  */
 async function rollAttack(wrapper, options = {}) {
   if ( !this.hasAttack ) return wrapper(options);
@@ -89,9 +95,47 @@ async function rollAttack(wrapper, options = {}) {
   const actionType = this.system?.actionType;
 
   // Construct dialogs, if applicable
-  if ( await coverWorkflow(token, targets, actionType) ) return wrapper(options);
-
   // If coverWorkflow returns false, user canceled or eliminated all targets; simply return.
+  if ( !(await coverWorkflow(token, targets, actionType, { item: this })) ) return;
+  if ( !coverAttackOptions(token, options) ) return;
+  return wrapper(options);
 }
 
 PATCHES.DND5E_NO_MIDI.MIXES = { rollAttack };
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Without cover effects, add the cover the targets have from the attacker to the attack roll options,
+ * as a penalty equal to the AC bonus of the cover.
+ * Attacks against a target whose cover prevents attacks, such as total cover, are canceled.
+ * A single roll cannot use a different penalty per target, so with several targets the least penalty
+ * is used and the user is told which targets have more cover.
+ * @param {Token} attacker
+ * @param {object} options    Options passed to the attack roll. Modified in place.
+ * @returns {object|false} The options, with the cover penalty added to the roll parts; false to cancel
+ */
+export function coverAttackOptions(attacker, options = {}) {
+  if ( getSetting(SETTINGS.COVER.APPLY_EFFECTS) ) return options;
+  const targets = [...game.user.targets];
+  if ( !targets.length ) return options;
+  const types = targets.map(target => target.coverTypeFrom(attacker));
+
+  const blocked = targets.filter((_target, i) => CoverCalculator.dnd5eCoverPreventsAttack(types[i]));
+  if ( blocked.length ) {
+    const names = blocked.map(target => target.name).join(", ");
+    ui.notifications.warn(game.i18n.format(`${MODULE_ID}.phrases.AttackPrevented`, { names }));
+    return false;
+  }
+
+  const bonuses = types.map(type => CoverCalculator.dnd5eCoverBonus(type));
+  const bonus = Math.min(...bonuses);
+  const moreCover = targets.filter((_target, i) => bonuses[i] > bonus);
+  if ( moreCover.length ) {
+    const names = moreCover.map(target => target.name).join(", ");
+    ui.notifications.warn(game.i18n.format(`${MODULE_ID}.phrases.AttackMoreCover`, { names, bonus }));
+  }
+  if ( !bonus ) return options;
+  options.parts = [...(options.parts ?? []), `${-bonus}`];
+  return options;
+}
@@ -5,9 +5,11 @@ Token
 "use strict";
 
 import { elevatePoints } from "./visibility_range.js";
+import { targetIsLit } from "./visibility_light.js";
 
 // Patches for the LightSource class
 export const PATCHES = {};
+PATCHES.LEVELS = {};
 PATCHES.NO_LEVELS = {};
 
 // ----- NOTE: Wraps ----- //
@@ -16,6 +18,8 @@ PATCHES.NO_LEVELS = {};
  * Wrap LightSource.prototype.testVisibility
  * Same as testVisibilityDetectionMode.
  * Create extra points if necessary; modify tests so LOS area algorithms can use only center point.
+ * For lights that provide vision, if the light coverage requirement is enabled,
+ * enough of the target must be lit by this light.
  * @param {object} config               The visibility test configuration
  * @param {CanvasVisibilityTest[]} config.tests  The sequence of tests to perform
  * @param {PlaceableObject} config.object        The target object being tested
@@ -24,7 +28,18 @@ PATCHES.NO_LEVELS = {};
 function testVisibility(wrapped, {tests, object}={}) {
   if ( !(object instanceof Token) ) return wrapped({ object, tests });
   tests = elevatePoints(tests, object);
-  return wrapped({ object, tests });
+  return wrapped({ object, tests }) && targetIsLit(object, [this]);
+}
+
+/**
+ * Wrap LightSource.prototype.testVisibility
+ * With Levels, which creates the test points, only apply the light coverage requirement.
+ * @param {object} config               The visibility test configuration
+ * @returns {boolean}                   Is the target object visible to this source?
+ */
+function testVisibilityLevels(wrapped, config = {}) {
+  return wrapped(config) && targetIsLit(config.object, [this]);
 }
 
 PATCHES.NO_LEVELS.WRAPS = { testVisibility };
+PATCHES.LEVELS.WRAPS = { testVisibility: testVisibilityLevels };
@@ -0,0 +1,78 @@
+/* globals
+canvas,
+CONFIG,
+game
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { SETTINGS, getSetting } from "./settings.js";
+import { coverWorkflow } from "./cover.js";
+import { clearCoverFromAttacker } from "./Token.js";
+import { Point3d } from "./geometry/3d/Point3d.js";
+
+// Patches for the MeasuredTemplate class
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Hook createMeasuredTemplate
+ * When a template is placed, measure cover from its origin to the tokens inside.
+ * @param {Document} templateD                    The new Document instance which has been created
+ * @param {DocumentModificationContext} options   Additional options which modified the creation request
+ * @param {string} userId                         The ID of the User who triggered the creation workflow
+ */
+async function createMeasuredTemplate(templateD, _options, userId) {
+  if ( userId !== game.userId ) return;
+  if ( getSetting(SETTINGS.COVER.TEMPLATES.WORKFLOW) !== SETTINGS.COVER.TEMPLATES.CHOICES.PLACE ) return;
+  const template = templateD.object;
+  if ( !template ) return;
+  const targets = template.tokensWithin;
+  if ( !targets.size ) return;
+  await coverWorkflow(template, targets, "all");
+}
+
+/**
+ * Hook deleteMeasuredTemplate
+ * Remove the cover the template recorded on tokens.
+ * @param {Document} templateD                    The existing Document which was deleted
+ * @param {DocumentModificationContext} options   Additional options which modified the deletion request
+ * @param {string} userId                         The ID of the User who triggered the deletion workflow
+ */
+function deleteMeasuredTemplate(templateD, _options, _userId) {
+  // Only one user needs to update the targets.
+  if ( game.users.activeGM?.isSelf ) clearCoverFromAttacker(templateD);
+}
+
+PATCHES.BASIC.HOOKS = { createMeasuredTemplate, deleteMeasuredTemplate };
+
+// ----- NOTE: Getters ----- //
+
+/**
+ * New getter: MeasuredTemplate.prototype.coverOrigin
+ * Point from which to measure cover for tokens within the template.
+ * Located at the template origin, raised by the template height setting above the template elevation.
+ * @type {Point3d}
+ */
+function coverOrigin() {
+  const { x, y } = this.document;
+  const elevation = this.document.flags?.levels?.elevation ?? 0; // Templates only have elevation with Levels.
+  const height = getSetting(SETTINGS.COVER.TEMPLATES.HEIGHT);
+  return new Point3d(x, y, CONFIG.GeometryLib.utils.gridUnitsToPixels(elevation + height));
+}
+
+/**
+ * New getter: MeasuredTemplate.prototype.tokensWithin
+ * Tokens whose center lies within the template shape.
+ * @type {Set<Token>}
+ */
+function tokensWithin() {
+  const shape = this.shape ?? this._computeShape();
+  const { x, y } = this.document;
+  const tokens = canvas.tokens.placeables.filter(t => shape.contains(t.center.x - x, t.center.y - y));
+  return new Set(tokens);
+}
+
+PATCHES.BASIC.GETTERS = { coverOrigin, tokensWithin };
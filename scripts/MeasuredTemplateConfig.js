@@ -0,0 +1,40 @@
+/* globals
+renderTemplate
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { log } from "./util.js";
+import { MODULE_ID, FLAGS, TEMPLATE_BLOCKS } from "./const.js";
+
+// Patches for the MeasuredTemplateConfig class
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Inject html to add controls to the measured template configuration.
+ * Allow the user to set the template as a volume that blocks sight, cover, or both.
+ */
+async function renderMeasuredTemplateConfig(app, html, _data) {
+  const template = `modules/${MODULE_ID}/templates/token-visibility-template-config.html`;
+  const doc = app.object;
+  const choices = {};
+  for ( const value of Object.values(TEMPLATE_BLOCKS) ) {
+    choices[value] = `${MODULE_ID}.TemplateConfiguration.blocks.${value}`;
+  }
+
+  const renderData = {
+    choices,
+    blocks: doc.getFlag(MODULE_ID, FLAGS.TEMPLATE.BLOCKS) || TEMPLATE_BLOCKS.NONE,
+    blockingHeight: doc.getFlag(MODULE_ID, FLAGS.TEMPLATE.HEIGHT)
+  };
+
+  const myHTML = await renderTemplate(template, renderData);
+  log("config rendered HTML", myHTML);
+  html.find(".form-group").last().after(myHTML);
+  app.setPosition({ height: "auto" });
+}
+
+PATCHES.BASIC.HOOKS = { renderMeasuredTemplateConfig };
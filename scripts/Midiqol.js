@@ -1,9 +1,13 @@
 /* globals
+canvas,
+ChatMessage
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 "use strict";
 
 import { coverWorkflow } from "./cover.js";
+import { coverAttackOptions } from "./Item.js";
+import { SETTINGS, getSetting } from "./settings.js";
 
 // Patches for midiqol
 export const PATCHES = {};
@@ -19,9 +23,58 @@ async function midiqolPreambleComplete(workflow) {
   const { token, targets, item } = workflow;
   if ( !targets?.size || !token ) return true;
 
+  // Area saves measure cover from the template instead, when the saves are rolled.
+  if ( templateForSaveWorkflow(workflow) ) return true;
+
   // Construct dialogs, if applicable
   const actionType = item?.system?.actionType;
-  return coverWorkflow(token, targets, actionType);
+  return coverWorkflow(token, targets, actionType, { item });
+}
+
+/**
+ * Hook event that fires before saving throws are checked.
+ * For area saves, measure cover from the template origin to the targets.
+ * Note: hook will be run by the user that executed the item triggering this.
+ */
+async function midiqolPreCheckSaves(workflow) {
+  const template = templateForSaveWorkflow(workflow);
+  if ( !template ) return true;
+  const targets = workflow.hitTargets?.size ? workflow.hitTargets : workflow.targets;
+  if ( !targets?.size ) return true;
+  return coverWorkflow(template, targets, "all", { item: workflow.item });
+}
+
+/**
+ * Hook event that fires before an attack is rolled, after midi-qol has run the cover workflow.
+ * If cover effects are not applied, reduce the roll by the AC bonus of the cover
+ * the targets have from this attacker. Cancel the roll if a target's cover prevents attacks.
+ * @param {Item5e} item           Item for which the roll is being performed
+ * @param {D20RollConfiguration} config   Configuration data for the pending roll
+ * @returns {boolean|void}        Explicitly return false to prevent the roll
+ */
+function dnd5ePreRollAttack(item, config) {
+  const tokenId = config.messageData?.speaker?.token ?? ChatMessage.getSpeaker({ actor: item.actor }).token;
+  const token = canvas.tokens.get(tokenId);
+  if ( !token ) return;
+  if ( !coverAttackOptions(token, config) ) return false;
 }
 
-PATCHES.DND5E_MIDI.HOOKS = { "midi-qol.preambleComplete": midiqolPreambleComplete };
+PATCHES.DND5E_MIDI.HOOKS = {
+  "midi-qol.preambleComplete": midiqolPreambleComplete,
+  "midi-qol.preCheckSaves": midiqolPreCheckSaves,
+  "dnd5e.preRollAttack": dnd5ePreRollAttack
+};
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Template for a workflow whose saves should measure cover from the template.
+ * @param {Workflow} workflow
+ * @returns {MeasuredTemplate|undefined}
+ */
+function templateForSaveWorkflow(workflow) {
+  if ( getSetting(SETTINGS.COVER.TEMPLATES.WORKFLOW) !== SETTINGS.COVER.TEMPLATES.CHOICES.SAVE ) return undefined;
+  const item = workflow.item;
+  if ( !item?.hasSave || item.hasAttack ) return undefined;
+  return workflow.template?.object ?? canvas.templates.get(workflow.templateId);
+}
@@ -0,0 +1,182 @@
+/* globals
+canvas,
+DetectionMode,
+PIXI
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS } from "./const.js";
+import { SETTINGS, getSetting, detectionModeSettings } from "./settings.js";
+import { Area2d } from "./Area2d.js";
+import { Area3d } from "./Area3d.js";
+
+// Draw tokens that are visible but only partly seen with reduced alpha, or clipped to the seen area.
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+/**
+ * Lowest alpha multiplier for a partly seen token, so that it remains noticeable.
+ * @type {number}
+ */
+const MIN_ALPHA = 0.25;
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Hook refreshToken
+ * When the token visibility is refreshed, measure how much of it the user's vision sources see.
+ * Reapply the alpha or mask whenever the token mesh is refreshed, as the refresh resets the alpha.
+ * @param {Token} token
+ * @param {object} flags    Render flags of the refresh
+ */
+function refreshToken(token, flags) {
+  if ( !(flags.refreshVisibility || flags.refreshState || flags.refreshMesh) || !token.mesh ) return;
+
+  // Foundry resets the mesh alpha when refreshing the token state or mesh.
+  if ( flags.refreshState || flags.refreshMesh || token._partialVisibilityAlpha === undefined ) {
+    token._partialVisibilityAlpha = token.mesh.alpha;
+  }
+
+  const mode = getSetting(SETTINGS.LOS.PARTIAL.MODE);
+  const { CHOICES } = SETTINGS.LOS.PARTIAL;
+  if ( mode === CHOICES.NONE || !token.visible || token.isOwner || !canvas.effects.visibility.tokenVision ) {
+    clearPartialVisibility(token);
+    return;
+  }
+
+  if ( flags.refreshVisibility || !token._partialVisibility ) {
+    token._partialVisibility = measurePartialVisibility(token, { polygons: mode === CHOICES.MASK });
+  }
+  const { percent, polygons } = token._partialVisibility;
+  if ( percent.almostEqual(1) || percent > 1 ) {
+    removeMask(token);
+    token.mesh.alpha = token._partialVisibilityAlpha;
+    return;
+  }
+
+  if ( mode === CHOICES.MASK && polygons?.length ) {
+    setMask(token, polygons);
+    token.mesh.alpha = token._partialVisibilityAlpha;
+    return;
+  }
+
+  // Fade the token, also when no polygons were measured for the mask.
+  removeMask(token);
+  token.mesh.alpha = token._partialVisibilityAlpha * Math.max(percent, MIN_ALPHA);
+}
+
+/**
+ * Hook destroyToken
+ * Remove the mask graphics.
+ * @param {Token} token
+ */
+function destroyToken(token) { removeMask(token); }
+
+PATCHES.BASIC.HOOKS = { refreshToken, destroyToken };
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * @typedef PartialVisibility
+ * @type {object}
+ * @property {number} percent                   Most of the token seen by any of the user's vision sources
+ * @property {PIXI.Polygon[]|undefined} polygons  Portions of the token seen by that source, if requested
+ */
+
+/**
+ * Measure how much of a token the user's vision sources see.
+ * Uses the line-of-sight settings of basic sight: Area3d if that is its algorithm; otherwise Area2d.
+ * The polygons seen can only be measured with Area2d.
+ * With an area algorithm, sources that see less of the token than the required percent are ignored.
+ * @param {Token} token
+ * @param {object} [options]
+ * @param {boolean} [options.polygons]    Also return the polygons seen
+ * @returns {PartialVisibility}
+ */
+export function measurePartialVisibility(token, { polygons = false } = {}) {
+  const { losAlgorithm, percentArea } = detectionModeSettings(DetectionMode.BASIC_MODE_ID);
+  const { AREA, AREA3D } = SETTINGS.LOS.TYPES;
+  const useArea3d = !polygons && losAlgorithm === AREA3D;
+  const minPercent = (losAlgorithm === AREA || losAlgorithm === AREA3D)
+    ? token.document.getFlag(MODULE_ID, FLAGS.TOKEN.LOS_PERCENT_AREA) ?? percentArea ?? token.losPercentArea : 0;
+  const config = { type: "sight", boundsScale: token.visibilityBoundsScale };
+  const out = { percent: 0, polygons: undefined };
+  for ( const visionSource of canvas.effects.visionSources ) {
+    if ( !visionSource.active || visionSource.object === token ) continue;
+
+    // Avoid errors when testing vision for tokens directly on top of one another
+    if ( visionSource.x === token.center.x && visionSource.y === token.center.y ) continue;
+
+    let percent;
+    let seen;
+    if ( useArea3d ) percent = new Area3d(visionSource, token, { ...config }).percentAreaVisible();
+    else {
+      const area2d = new Area2d(visionSource, token, { ...config });
+      const shadowLOS = area2d._buildShadowLOS();
+      percent = area2d.percentAreaVisible(shadowLOS);
+      if ( polygons && percent > out.percent ) seen = area2d.visiblePolygons(shadowLOS);
+    }
+    if ( percent <= out.percent ) continue;
+    if ( percent < minPercent && !percent.almostEqual(minPercent) ) continue;
+    out.percent = percent;
+    out.polygons = seen;
+    if ( percent.almostEqual(1) ) break;
+  }
+  return out;
+}
+
+/**
+ * Clip the token mesh to the polygons seen.
+ * @param {Token} token
+ * @param {PIXI.Polygon[]} polygons
+ */
+function setMask(token, polygons) {
+  let mask = token._partialVisibilityMask;
+  if ( !mask || mask.destroyed ) {
+    mask = token._partialVisibilityMask = new PIXI.Graphics();
+    canvas.primary.addChild(mask);
+  }
+  mask.clear();
+  mask.beginFill(0xFFFFFF);
+  for ( const poly of polygons ) {
+    if ( poly.isHole ) mask.beginHole();
+    mask.drawShape(poly);
+    if ( poly.isHole ) mask.endHole();
+  }
+  mask.endFill();
+  token.mesh.mask = mask;
+}
+
+/**
+ * Remove the mask from the token mesh and destroy it.
+ * @param {Token} token
+ */
+function removeMask(token) {
+  const mask = token._partialVisibilityMask;
+  if ( !mask ) return;
+  if ( token.mesh && token.mesh.mask === mask ) token.mesh.mask = null;
+  if ( !mask.destroyed ) mask.destroy();
+  token._partialVisibilityMask = undefined;
+}
+
+/**
+ * Remove any partial visibility drawing from the token and restore its alpha.
+ * @param {Token} token
+ */
+function clearPartialVisibility(token) {
+  removeMask(token);
+  if ( token._partialVisibility && token._partialVisibilityAlpha !== undefined ) {
+    token.mesh.alpha = token._partialVisibilityAlpha;
+  }
+  token._partialVisibility = undefined;
+}
+
+/**
+ * Redraw all tokens, such as when the partial visibility setting changes.
+ */
+export function refreshPartialVisibility() {
+  if ( !canvas.ready ) return;
+  const flags = { refreshVisibility: true, refreshState: true, refreshMesh: true };
+  canvas.tokens.placeables.forEach(t => t.renderFlags.set(flags));
+}
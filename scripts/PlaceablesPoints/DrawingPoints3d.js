@@ -20,12 +20,13 @@ export class DrawingPoints3d extends HorizontalPoints3d {
   /**
    * @param {Drawing}
    * @param {object} [options]
-   * @param {number} [elevation]    Elevation of the drawing; defaults to current drawing elevation.
+   * @param {number} [elevation]    Elevation of the drawing; defaults to the hole elevation, if set,
+   *                                or else the current drawing elevation.
    */
   constructor(object, { elevation } = {}) {
     const shape = CONFIG.GeometryLib.utils.centeredPolygonFromDrawing(object);
 
-    elevation ??= object.document?.elevation ?? 0;
+    elevation ??= object.holeElevation ?? object.document?.elevation ?? 0;
     const elevationZ = CONFIG.GeometryLib.utils.gridUnitsToPixels(elevation);
     const shapePoints = shape.points;
     const ln = shapePoints.length;
@@ -0,0 +1,21 @@
+/* globals
+*/
+"use strict";
+
+import { TokenPoints3d } from "./TokenPoints3d.js";
+
+// Represent an obscured volume as a prism: the drawing shape, extended from the volume bottom to top.
+// Shares the faces of a token, so that Area3d can project it like a blocking token.
+// Constructed from an ObscurementRegion in place of the token; the region must have finite bottomZ and topZ.
+export class ObscurementPoints3d extends TokenPoints3d {
+  /** @type {ObscurementRegion} */
+  get region() { return this.token; }
+
+  /**
+   * Use the drawing shape for the border.
+   * @override
+   */
+  _setTokenBorder() {
+    this.borderPolygon = this.token.shape;
+  }
+}
@@ -0,0 +1,26 @@
+/* globals
+*/
+"use strict";
+
+import { TokenPoints3d } from "./TokenPoints3d.js";
+
+// Represent a tile with a top elevation as a box: the tile rectangle, extended from the box bottom to top.
+// Shares the faces of a token, so that Area3d can project it like a blocking token.
+export class TileBoxPoints3d extends TokenPoints3d {
+  /** @type {Tile} */
+  get tile() { return this.token; }
+
+  /**
+   * Use the tile rectangle for the border.
+   * @override
+   */
+  _setTokenBorder() {
+    this.borderPolygon = this.token.boxShape;
+  }
+
+  /** @type {number} */
+  get bottomZ() { return this.token.boxBottomZ; }
+
+  /** @type {number} */
+  get topZ() { return this.token.boxTopZ; }
+}
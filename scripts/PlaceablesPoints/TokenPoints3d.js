@@ -18,7 +18,8 @@ export class TokenPoints3d {
   /** @type {object} */
   config = {
     type: "sight",  /** @type {string} */
-    pad: 0        /** @type {number} */
+    pad: 0,       /** @type {number} */
+    boundsScale: 1 /** @type {number} */
   };
 
   /* @type {boolean} */
@@ -46,11 +47,14 @@ export class TokenPoints3d {
    *                                        constrained token shape
    * @param {number} [options.pad]          How many pixels to add to (or subtract from)
    *                                        the token shape. See issue #49.
+   * @param {number} [options.boundsScale]  Scale of the token shape about its center.
+   *                                        See Token.prototype.visibilityBoundsScale.
    */
-  constructor(token, { type = "sight", pad = 0 } = {}) {
+  constructor(token, { type = "sight", pad = 0, boundsScale = 1 } = {}) {
     this.token = token;
     this.config.type = type;
     this.config.pad = pad;
+    this.config.boundsScale = boundsScale;
 
     this._setTokenBorder();
     this._setTopBottomPoints();
@@ -60,7 +64,8 @@ export class TokenPoints3d {
    * Determine the polygon representation of the token border.
    */
   _setTokenBorder() {
-    const constrainedTokenBorder = ConstrainedTokenBorder.get(this.token, this.config.type).constrainedBorder();
+    const { boundsScale } = this.config;
+    const constrainedTokenBorder = ConstrainedTokenBorder.get(this.token, { boundsScale }).constrainedBorder();
     this.borderPolygon = constrainedTokenBorder instanceof PIXI.Rectangle
       ? constrainedTokenBorder.toPolygon() : constrainedTokenBorder;
 
@@ -0,0 +1,187 @@
+/* globals
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+
+// Cache of line-of-sight and cover results, reused across perception updates.
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Hook canvasInit and changes to this module's settings.
+ * Invalidate all cached results.
+ */
+function invalidateAll() {
+  ResultCache.geometryVersion += 1;
+  ResultCache.tokenVersion += 1;
+}
+
+/**
+ * Hook changes to walls, including doors, tiles, drawings, and templates.
+ * Invalidate cached results that depend on the scene geometry.
+ */
+function invalidateGeometry() { ResultCache.geometryVersion += 1; }
+
+/**
+ * Hook changes to tokens and to the actor data that determines whether they are dead or prone.
+ * Invalidate cached results that depend on tokens blocking.
+ */
+function invalidateTokens() { ResultCache.tokenVersion += 1; }
+
+/**
+ * Hook updateSetting
+ * Changes to this module's settings may change any result.
+ * @param {Setting} document
+ */
+function updateSetting(document) {
+  if ( document.key.split(".")[0] === MODULE_ID ) invalidateAll();
+}
+
+PATCHES.BASIC.HOOKS = {
+  canvasInit: invalidateAll,
+  updateSetting,
+
+  createWall: invalidateGeometry,
+  updateWall: invalidateGeometry,
+  deleteWall: invalidateGeometry,
+  createTile: invalidateGeometry,
+  updateTile: invalidateGeometry,
+  deleteTile: invalidateGeometry,
+  createDrawing: invalidateGeometry,
+  updateDrawing: invalidateGeometry,
+  deleteDrawing: invalidateGeometry,
+  createMeasuredTemplate: invalidateGeometry,
+  updateMeasuredTemplate: invalidateGeometry,
+  deleteMeasuredTemplate: invalidateGeometry,
+
+  createToken: invalidateTokens,
+  updateToken: invalidateTokens,
+  deleteToken: invalidateTokens,
+  updateActor: invalidateTokens,
+  createActiveEffect: invalidateTokens,
+  updateActiveEffect: invalidateTokens,
+  deleteActiveEffect: invalidateTokens
+};
+
+/**
+ * Results keyed by the positions of the viewer and target.
+ * Each cache is emptied when the scene geometry changes. A cache for results that
+ * depend on tokens blocking, such as cover, is also emptied when any token changes.
+ */
+export class ResultCache {
+  /**
+   * Incremented when walls, doors, tiles, or drawings change.
+   * @type {number}
+   */
+  static geometryVersion = 0;
+
+  /**
+   * Incremented when tokens, or the actor data that makes them block, change.
+   * @type {number}
+   */
+  static tokenVersion = 0;
+
+  /**
+   * Empty a cache that grows past this size, as tokens moving add new keys.
+   * @type {number}
+   */
+  static MAX_ENTRIES = 10000;
+
+  /** @type {Map<string, *>} */
+  #results = new Map();
+
+  /** @type {number} */
+  #geometryVersion = ResultCache.geometryVersion;
+
+  /** @type {number} */
+  #tokenVersion = ResultCache.tokenVersion;
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.tokensBlock=false]   Results depend on tokens other than the viewer and target
+   */
+  constructor({ tokensBlock = false } = {}) {
+    this.tokensBlock = tokensBlock;
+  }
+
+  /** @type {number} */
+  get size() { return this.#results.size; }
+
+  /**
+   * @param {string} key
+   * @returns {*} The cached result, or undefined
+   */
+  get(key) {
+    this.#validate();
+    return this.#results.get(key);
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value
+   */
+  set(key, value) {
+    this.#validate();
+    if ( this.#results.size >= ResultCache.MAX_ENTRIES ) this.#results.clear();
+    this.#results.set(key, value);
+  }
+
+  /**
+   * Remove all results.
+   */
+  clear() { this.#results.clear(); }
+
+  /**
+   * Empty the cache if the scene has changed since the results were stored.
+   */
+  #validate() {
+    const geometryChanged = this.#geometryVersion !== ResultCache.geometryVersion;
+    const tokensChanged = this.tokensBlock && this.#tokenVersion !== ResultCache.tokenVersion;
+    if ( !(geometryChanged || tokensChanged) ) return;
+    this.#results.clear();
+    this.#geometryVersion = ResultCache.geometryVersion;
+    this.#tokenVersion = ResultCache.tokenVersion;
+  }
+
+  /**
+   * Key for a token's position, elevation, and size.
+   * Uses the center, which follows the token as it animates.
+   * @param {Token} token
+   * @returns {string}
+   */
+  static tokenKey(token) {
+    const { x, y } = token.center;
+    return `${token.id}_${x}_${y}_${token.bottomZ}_${token.topZ}_${token.w}_${token.h}`;
+  }
+
+  /**
+   * Key for a vision source's position, elevation, and vision angle.
+   * @param {VisionSource} visionSource
+   * @returns {string}
+   */
+  static visionSourceKey(visionSource) {
+    const { angle, rotation } = visionSource.data;
+    return `${visionSource.object?.id}_${visionSource.x}_${visionSource.y}_${visionSource.eyeZ}_${angle}_${rotation}`;
+  }
+
+  /**
+   * Key for a light source's position, elevation, radius, and angle.
+   * @param {LightSource} lightSource
+   * @returns {string}
+   */
+  static lightSourceKey(lightSource) {
+    const { angle, rotation } = lightSource.data;
+    return `${lightSource.object?.id}_${lightSource.x}_${lightSource.y}_${lightSource.elevationZ}_${lightSource.radius}_${angle}_${rotation}`;
+  }
+
+  /**
+   * Key for a point.
+   * @param {Point3d} point
+   * @returns {string}
+   */
+  static pointKey(point) { return `${point.x}_${point.y}_${point.z}`; }
+}
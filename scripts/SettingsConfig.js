@@ -5,6 +5,7 @@
 
 import { MODULE_ID } from "./const.js";
 import { SETTINGS, getSetting } from "./settings.js";
+import { CoverCalculator } from "./CoverCalculator.js";
 import { log } from "./util.js";
 
 // Patches for the VisionSource class
@@ -35,23 +36,11 @@ export function renderSettingsConfig(app, html, _data) {
   const divLOSArea = inputLOSArea.parent().parent();
   divLOSArea[0].style.display = displayArea;
 
-  const [displayCoverTriggers, displayCenterCoverTrigger] = coverAlgorithm === SETTINGS.COVER.TYPES.CENTER_CENTER
-    ? ["none", "block"] : ["block", "none"];
-
+  // Cover tier triggers are set in the cover tiers menu; only the center trigger is shown here.
+  const displayCenterCoverTrigger = CoverCalculator.usesCenterTrigger(coverAlgorithm) ? "block" : "none";
   const inputCenter = tvSettings.find(`select[name="${MODULE_ID}.${SETTINGS.COVER.TRIGGER_CENTER}"]`);
-  const inputLow = tvSettings.find(`input[name="${MODULE_ID}.${SETTINGS.COVER.TRIGGER_PERCENT.LOW}"]`);
-  const inputMedium = tvSettings.find(`input[name="${MODULE_ID}.${SETTINGS.COVER.TRIGGER_PERCENT.MEDIUM}"]`);
-  const inputHigh = tvSettings.find(`input[name="${MODULE_ID}.${SETTINGS.COVER.TRIGGER_PERCENT.HIGH}"]`);
-
   const divInputCenter = inputCenter.parent().parent();
-  const divInputLow = inputLow.parent().parent();
-  const divInputMedium = inputMedium.parent().parent();
-  const divInputHigh = inputHigh.parent().parent();
-
   if ( divInputCenter.length ) divInputCenter[0].style.display = displayCenterCoverTrigger;
-  if ( divInputLow.length ) divInputLow[0].style.display = displayCoverTriggers;
-  if ( divInputMedium.length ) divInputMedium[0].style.display = displayCoverTriggers;
-  if ( divInputHigh.length ) divInputHigh[0].style.display = displayCoverTriggers;
 }
 
 PATCHES.BASIC.HOOKS = { renderSettingsConfig };
@@ -79,21 +68,8 @@ function coverAlgorithmChanged(event) {
   const coverAlgorithm = event.target.value;
   log(`cover algorithm changed to ${coverAlgorithm}`, event, this);
 
-  const [displayCoverTriggers, displayCenterCoverTrigger] = coverAlgorithm === SETTINGS.COVER.TYPES.CENTER_CENTER
-    ? ["none", "block"] : ["block", "none"];
-
+  const displayCenterCoverTrigger = CoverCalculator.usesCenterTrigger(coverAlgorithm) ? "block" : "none";
   const inputCenter = document.getElementsByName(`${MODULE_ID}.${SETTINGS.COVER.TRIGGER_CENTER}`);
-  const inputLow = document.getElementsByName(`${MODULE_ID}.${SETTINGS.COVER.TRIGGER_PERCENT.LOW}`);
-  const inputMedium = document.getElementsByName(`${MODULE_ID}.${SETTINGS.COVER.TRIGGER_PERCENT.MEDIUM}`);
-  const inputHigh = document.getElementsByName(`${MODULE_ID}.${SETTINGS.COVER.TRIGGER_PERCENT.HIGH}`);
-
   const divInputCenter = inputCenter[0].parentElement.parentElement;
-  const divInputLow = inputLow[0].parentElement.parentElement;
-  const divInputMedium = inputMedium[0].parentElement.parentElement;
-  const divInputHigh = inputHigh[0].parentElement.parentElement;
-
   divInputCenter.style.display = displayCenterCoverTrigger;
-  divInputLow.style.display = displayCoverTriggers;
-  divInputMedium.style.display = displayCoverTriggers;
-  divInputHigh.style.display = displayCoverTriggers;
 }
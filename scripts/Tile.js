@@ -0,0 +1,56 @@
+/* globals
+CONFIG,
+PIXI
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS } from "./const.js";
+
+// Patches for the Tile class
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+// ----- NOTE: Getters ----- //
+
+/**
+ * New getter: Tile.prototype.boxBottomZ
+ * Bottom of the tile as a box, in pixel units. Defaults to the tile elevation.
+ * @type {number}
+ */
+function boxBottomZ() {
+  const bottom = this.document.getFlag(MODULE_ID, FLAGS.TILE.BOTTOM);
+  const elevation = (bottom == null || bottom === "") ? this.document.elevation : Number(bottom); // Intended to test null, undefined
+  return CONFIG.GeometryLib.utils.gridUnitsToPixels(elevation);
+}
+
+/**
+ * New getter: Tile.prototype.boxTopZ
+ * Top of the tile as a box, in pixel units. Equal to the bottom if the tile is flat.
+ * @type {number}
+ */
+function boxTopZ() {
+  const top = this.document.getFlag(MODULE_ID, FLAGS.TILE.TOP);
+  if ( top == null || top === "" ) return this.boxBottomZ; // Intended to test null, undefined
+  return CONFIG.GeometryLib.utils.gridUnitsToPixels(Number(top));
+}
+
+/**
+ * New getter: Tile.prototype.isBox
+ * Does the tile have a top elevation above its bottom, so that it blocks as a 3d box?
+ * @type {boolean}
+ */
+function isBox() { return this.boxTopZ > this.boxBottomZ; }
+
+/**
+ * New getter: Tile.prototype.boxShape
+ * Footprint of the tile as a box, oriented clockwise.
+ * Like tiles tested as planes, ignores tile rotation.
+ * @type {PIXI.Polygon}
+ */
+function boxShape() {
+  const { x, y, width, height } = this.document;
+  return new PIXI.Rectangle(x, y, width, height).toPolygon();
+}
+
+PATCHES.BASIC.GETTERS = { boxBottomZ, boxTopZ, isBox, boxShape };
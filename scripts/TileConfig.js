@@ -0,0 +1,34 @@
+/* globals
+renderTemplate
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { log } from "./util.js";
+import { MODULE_ID, FLAGS } from "./const.js";
+
+// Patches for the TileConfig class
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Inject html to add controls to the tile configuration.
+ * Allow the user to set a bottom and top elevation so that the tile blocks as a 3d box.
+ */
+async function renderTileConfig(app, html, _data) {
+  const template = `modules/${MODULE_ID}/templates/token-visibility-tile-config.html`;
+  const doc = app.object;
+  const renderData = {
+    boxBottom: doc.getFlag(MODULE_ID, FLAGS.TILE.BOTTOM),
+    boxTop: doc.getFlag(MODULE_ID, FLAGS.TILE.TOP)
+  };
+
+  const myHTML = await renderTemplate(template, renderData);
+  log("config rendered HTML", myHTML);
+  html.find("div[data-tab='basic']").find(".form-group").last().after(myHTML);
+  app.setPosition({ height: "auto" });
+}
+
+PATCHES.BASIC.HOOKS = { renderTileConfig };
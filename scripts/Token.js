@@ -1,6 +1,7 @@
 /* globals
 canvas,
 CONFIG,
+foundry,
 game,
 PIXI
 */
@@ -9,15 +10,17 @@ PIXI
 // Patches for the Token class
 
 import { ConstrainedTokenBorder } from "./ConstrainedTokenBorder.js";
-import { MODULE_ID, MODULES_ACTIVE, DEBUG, COVER, IGNORES_COVER_HANDLER } from "./const.js";
+import { MODULE_ID, FLAGS, DEBUG, COVER, IGNORES_COVER_HANDLER } from "./const.js";
 import { Draw } from "./geometry/Draw.js";
 import { CoverCalculator } from "./CoverCalculator.js";
 import { SETTINGS, getSetting } from "./settings.js";
+import { actorCreatureType } from "./util.js";
 
 export const PATCHES = {};
 PATCHES.BASIC = {};
 PATCHES.sfrpg = {};
-PATCHES.NOT_PF2E = {};
+PATCHES.pf2e = {};
+PATCHES.NO_WALL_HEIGHT = {};
 
 // ----- NOTE: Hooks ----- //
 
@@ -41,6 +44,7 @@ async function targetToken(user, target, targeted) {
   if ( !isUserCombatTurn(user) ) return;
 
   if ( !targeted ) {
+    if ( !getSetting(SETTINGS.COVER.APPLY_EFFECTS) ) return;
     return await CoverCalculator.disableAllCover(target.id);
   }
 
@@ -68,10 +72,27 @@ function applyTokenStatusEffect(token, statusId, active) {
     : CoverCalculator.disableAllCover(token);
 }
 
+/**
+ * Hook: preUpdateToken
+ * If the token moves, the cover recorded from each attacker no longer applies; remove it.
+ * @param {Document} tokenD                         The Document instance being updated
+ * @param {object} changes                          Differential data that will be used to update the document
+ * @param {DocumentModificationContext} options     Additional options which modify the update request
+ * @param {string} userId                           The ID of the requesting user, always game.user.id
+ */
+function preUpdateToken(tokenD, changes, _options, _userId) {
+  if ( !(Object.hasOwn(changes, "x")
+    || Object.hasOwn(changes, "y")
+    || Object.hasOwn(changes, "elevation")) ) return;
+  if ( !tokenD.getFlag(MODULE_ID, FLAGS.COVER.FROM) ) return;
+  foundry.utils.setProperty(changes, `flags.${MODULE_ID}.-=${FLAGS.COVER.FROM}`, null);
+}
+
 /**
  * Hook: updateToken
  * If the token width/height changes, invalidate the tokenShape.
  * If the token moves, clear all debug drawings.
+ * If the token moves, the cover recorded against it as an attacker no longer applies; remove it.
  * @param {Document} tokenD                         The existing Document which was updated
  * @param {object} change                           Differential data that was used to update the document
  * @param {DocumentModificationContext} options     Additional options which modified the update request
@@ -88,6 +109,9 @@ function updateToken(tokenD, change, _options, _userId) {
     || Object.hasOwn(change, "y")
     || Object.hasOwn(change, "elevation") ) {
 
+    // Only one user needs to update the targets.
+    if ( game.users.activeGM?.isSelf ) clearCoverFromAttacker(tokenD);
+
     if ( DEBUG.once || DEBUG.range || DEBUG.area || DEBUG.cover || DEBUG.los ) {
       Draw.clearDrawings();
 
@@ -102,9 +126,8 @@ function updateToken(tokenD, change, _options, _userId) {
   }
 }
 
-PATCHES.BASIC.HOOKS = { updateToken };
+PATCHES.BASIC.HOOKS = { preUpdateToken, updateToken, targetToken };
 PATCHES.sfrpg.HOOKS = { applyTokenStatusEffect };
-PATCHES.NOT_PF2E.HOOKS = { targetToken };
 
 // ----- NOTE: Wraps ----- //
 
@@ -132,6 +155,19 @@ PATCHES.BASIC.WRAPS = {
   updateSource
 };
 
+// ----- NOTE: Mixes ----- //
+
+/**
+ * Mixed wrap Token.prototype.topZ
+ * Without Wall Height, the token top is its bottom plus its height.
+ * @type {number}
+ */
+function topZ(_wrapped) {
+  return this.bottomZ + CONFIG.GeometryLib.utils.gridUnitsToPixels(this.visibilityHeight);
+}
+
+PATCHES.NO_WALL_HEIGHT.MIXES = { topZ };
+
 // ----- NOTE: Getters ----- //
 
 /**
@@ -161,13 +197,23 @@ function tokenShape() { return this._tokenShape || (this._tokenShape = calculate
  * @type {COVER_TYPES}
  */
 function coverType() {
+  // Pathfinder 2e cover is an effect item, flagged with the cover type.
+  if ( game.system.id === "pf2e" ) {
+    const effects = this.actor?.itemTypes?.effect ?? [];
+    return effects.reduce((acc, i) => Math.max(acc, i.getFlag(MODULE_ID, "cover") ?? COVER.TYPES.NONE), COVER.TYPES.NONE);
+  }
+
   const statuses = this.actor?.statuses;
   if ( !statuses ) return COVER.TYPES.NONE;
-  const coverModule = MODULES_ACTIVE.DFREDS_CE ? "dfreds-convenient-effects" : "tokenvisibility";
-  return statuses.has(COVER.CATEGORIES.HIGH[coverModule]) ? COVER.TYPES.HIGH
-    : statuses.has(COVER.CATEGORIES.MEDIUM[coverModule]) ? COVER.TYPES.MEDIUM
-      : statuses.has(COVER.CATEGORIES.LOW[coverModule]) ? COVER.TYPES.LOW
-        : COVER.TYPES.NONE;
+  // Highest cover tier among the statuses, whether applied by ATV or by DFred's.
+  let type = COVER.TYPES.NONE;
+  for ( const status of statuses ) {
+    const statusType = COVER.TYPES_FOR_ID[MODULE_ID][status]
+      ?? COVER.TYPES_FOR_ID["dfreds-convenient-effects"][status]
+      ?? COVER.TYPES.NONE;
+    type = Math.max(type, statusType);
+  }
+  return type;
 }
 
 /**
@@ -179,16 +225,154 @@ function ignoresCoverType() {
   return this._ignoresCoverType || (this._ignoresCoverType = new IGNORES_COVER_HANDLER(this));
 }
 
+/**
+ * New getter: Token.prototype.isTakingCover
+ * Pathfinder 2e: the token has the system cover effect from the Take Cover action.
+ * Cover effects applied by this module do not count.
+ * @type {boolean}
+ */
+function isTakingCover() {
+  const effects = this.actor?.itemTypes?.effect ?? [];
+  return effects.some(i => i.slug === COVER.PF2E.EFFECT_SLUG && !i.getFlag(MODULE_ID, "cover"));
+}
+
+/**
+ * New getter: Token.prototype.losPercentArea
+ * Percent of this token, between 0 and 1, that must be visible for a viewer to have line-of-sight.
+ * Set in the token configuration; otherwise the world setting.
+ * @type {number}
+ */
+function losPercentArea() {
+  return this.document.getFlag(MODULE_ID, FLAGS.TOKEN.LOS_PERCENT_AREA) ?? getSetting(SETTINGS.LOS.PERCENT_AREA);
+}
+
+/**
+ * New getter: Token.prototype.visibilityBoundsScale
+ * Scale of this token's border, about its center, when testing whether it is visible.
+ * Set in the token configuration; otherwise 1.
+ * @type {number}
+ */
+function visibilityBoundsScale() {
+  const scale = this.document.getFlag(MODULE_ID, FLAGS.TOKEN.BOUNDS_SCALE);
+  return scale > 0 ? scale : 1;
+}
+
+/**
+ * New getter: Token.prototype.constrainedVisibilityBorder
+ * Constrained border of this token, scaled by its visibility bounds scale.
+ * @returns {ConstrainedTokenShape|PIXI.Rectangle|PIXI.Polygon}
+ */
+function constrainedVisibilityBorder() {
+  return ConstrainedTokenBorder.get(this, { boundsScale: this.visibilityBoundsScale }).constrainedBorder();
+}
+
+/**
+ * New getter: Token.prototype.eyeHeight
+ * Height of this token's eyes, as a percent of the token height between 0 and 1.
+ * Set in the token configuration; otherwise the world setting for its creature type or the default eye height.
+ * @type {number}
+ */
+function eyeHeight() {
+  const height = this.document.getFlag(MODULE_ID, FLAGS.TOKEN.EYE_HEIGHT);
+  return Number.isFinite(height) ? Math.clamped(height, 0, 1) : defaultEyeHeight(this.document);
+}
+
+/**
+ * New getter: Token.prototype.eyeZ
+ * Elevation of this token's eyes, in pixel units.
+ * Line-of-sight, cover, and distances from this token are measured from its eyes.
+ * A token without height sees from just above its elevation.
+ * @type {number}
+ */
+function eyeZ() {
+  const { topZ, bottomZ } = this;
+  const height = topZ - bottomZ;
+  return height ? bottomZ + (height * this.eyeHeight) : topZ + 1;
+}
+
 PATCHES.BASIC.GETTERS = {
   constrainedTokenBorder,
+  constrainedVisibilityBorder,
   tokenBorder,
   tokenShape,
   coverType,
-  ignoresCoverType
+  ignoresCoverType,
+  losPercentArea,
+  visibilityBoundsScale,
+  eyeHeight,
+  eyeZ
 };
 
+PATCHES.pf2e.GETTERS = { isTakingCover };
+
+/**
+ * New getter: Token.prototype.visibilityHeight
+ * Height of this token, in grid units.
+ * Set in the token configuration; otherwise the world setting for the token size.
+ * @type {number}
+ */
+function visibilityHeight() {
+  const height = this.document.getFlag(MODULE_ID, FLAGS.TOKEN.HEIGHT);
+  if ( height == null || height === "" || height < 0 ) return defaultTokenHeight(this.document); // Intended to test null, undefined
+  return Number(height);
+}
+
+PATCHES.NO_WALL_HEIGHT.GETTERS = { visibilityHeight };
+
+// ----- NOTE: New methods ----- //
+
+/**
+ * New method: Token.prototype.coverTypeFrom
+ * Cover this token has from a given attacker, as last recorded by the cover workflow.
+ * Cleared when this token moves.
+ * @param {Token|MeasuredTemplate|string} attacker    Attacker or its id
+ * @returns {COVER_TYPES}
+ */
+function coverTypeFrom(attacker) {
+  const id = attacker?.id ?? attacker;
+  const coverFrom = this.document.getFlag(MODULE_ID, FLAGS.COVER.FROM) ?? {};
+  return coverFrom[id] ?? COVER.TYPES.NONE;
+}
+
+PATCHES.BASIC.METHODS = { coverTypeFrom };
+
 
 // ----- NOTE: Helper functions ----- //
+
+/** @type {object<string, string>} Actor size, as used by dnd5e and pf2e, to the key of SETTINGS.TOKEN_HEIGHT. */
+const ACTOR_SIZES = { tiny: "TINY", sm: "SMALL", med: "MEDIUM", lg: "LARGE", huge: "HUGE", grg: "GARGANTUAN" };
+
+/**
+ * Default height of a token, in grid units, from the world setting for its size.
+ * Uses the actor size if the system defines one; otherwise the token width and height in grid spaces.
+ * @param {TokenDocument|PrototypeToken} tokenD
+ * @returns {number}
+ */
+export function defaultTokenHeight(tokenD) {
+  const actorSize = tokenD.actor?.system?.traits?.size;
+  let size = ACTOR_SIZES[actorSize?.value ?? actorSize];
+  if ( !size ) {
+    const spaces = Math.max(tokenD.width, tokenD.height);
+    size = spaces < 1 ? "TINY"
+      : spaces < 2 ? "MEDIUM"
+        : spaces < 3 ? "LARGE"
+          : spaces < 4 ? "HUGE" : "GARGANTUAN";
+  }
+  return getSetting(SETTINGS.TOKEN_HEIGHT[size]);
+}
+
+/**
+ * Default eye height of a token, as a percent of its height.
+ * Uses the world setting for the actor's creature type, if any; otherwise the default eye height.
+ * @param {TokenDocument|PrototypeToken} tokenD
+ * @returns {number}
+ */
+export function defaultEyeHeight(tokenD) {
+  const byType = getSetting(SETTINGS.EYE_HEIGHT.CREATURE_TYPES) ?? {};
+  const height = byType[actorCreatureType(tokenD.actor)];
+  return Number.isFinite(height) ? height : getSetting(SETTINGS.EYE_HEIGHT.DEFAULT);
+}
+
 /**
  * Theoretical token shape at 0,0 origin.
  * @returns {PIXI.Polygon|PIXI.Rectangle}
@@ -206,6 +390,23 @@ function calculateTokenShape(token) {
   return shape || new PIXI.Rectangle(0, 0, token.w, token.h);
 }
 
+/**
+ * Remove the cover recorded from an attacker on the targets in its scene.
+ * @param {TokenDocument|MeasuredTemplateDocument} attackerD    Attacking token or template
+ * @returns {Promise<TokenDocument[]>|undefined}
+ */
+export function clearCoverFromAttacker(attackerD) {
+  const scene = attackerD.parent;
+  if ( !scene ) return;
+  const updates = [];
+  for ( const tokenD of scene.tokens ) {
+    const coverFrom = tokenD.getFlag(MODULE_ID, FLAGS.COVER.FROM);
+    if ( !coverFrom || !Object.hasOwn(coverFrom, attackerD.id) ) continue;
+    updates.push({ _id: tokenD.id, [`flags.${MODULE_ID}.${FLAGS.COVER.FROM}.-=${attackerD.id}`]: null });
+  }
+  if ( updates.length ) return scene.updateEmbeddedDocuments("Token", updates);
+}
+
 /**
  * Determine if the user's token is the current combatant in the active tracker.
  * @param {User} user
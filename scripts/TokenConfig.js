@@ -0,0 +1,51 @@
+/* globals
+foundry,
+game,
+renderTemplate
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { log } from "./util.js";
+import { MODULE_ID, MODULES_ACTIVE, FLAGS } from "./const.js";
+import { SETTINGS, getSetting } from "./settings.js";
+import { defaultTokenHeight, defaultEyeHeight } from "./Token.js";
+
+// Patches for the TokenConfig class
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Inject a tab into the token configuration.
+ * Allow the user to set the minimum percent of the token visible for line-of-sight
+ * and to scale the token's bounds when testing its visibility.
+ * Also allow the user to set the height of the token's eyes and, without Wall Height, the token height.
+ * Also used for the prototype token configuration.
+ */
+async function renderTokenConfig(app, html, _data) {
+  const template = `modules/${MODULE_ID}/templates/token-visibility-token-config.html`;
+  const flags = foundry.utils.getProperty(app.token, `flags.${MODULE_ID}`) ?? {};
+  const renderData = {
+    losPercentArea: flags[FLAGS.TOKEN.LOS_PERCENT_AREA],
+    boundsScale: flags[FLAGS.TOKEN.BOUNDS_SCALE],
+    defaultPercentArea: getSetting(SETTINGS.LOS.PERCENT_AREA),
+    heightField: !MODULES_ACTIVE.WALL_HEIGHT,
+    height: flags[FLAGS.TOKEN.HEIGHT],
+    defaultHeight: MODULES_ACTIVE.WALL_HEIGHT ? undefined : defaultTokenHeight(app.token),
+    eyeHeight: flags[FLAGS.TOKEN.EYE_HEIGHT],
+    defaultEyeHeight: defaultEyeHeight(app.token)
+  };
+
+  const myHTML = await renderTemplate(template, renderData);
+  log("config rendered HTML", myHTML);
+
+  const tabLabel = game.i18n.localize(`${MODULE_ID}.TokenConfiguration.TabTitle`);
+  html.find("nav.sheet-tabs[data-group='main']")
+    .append(`<a class="item" data-tab="${MODULE_ID}"><i class="fas fa-eye"></i> ${tabLabel}</a>`);
+  html.find("div.tab[data-group='main']").last().after(myHTML);
+  app.setPosition({ height: "auto" });
+}
+
+PATCHES.BASIC.HOOKS = { renderTokenConfig };
@@ -0,0 +1,243 @@
+/* globals
+Application,
+canvas,
+foundry,
+game,
+saveDataToFile
+*/
+"use strict";
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+
+import { MODULE_ID } from "./const.js";
+import { visibilityMatrix, coverMatrix } from "./visibility_matrix.js";
+
+// GM report of line-of-sight and cover between every pair of tokens on the scene.
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Hook getSceneControlButtons
+ * Add a button for the GM to open the visibility matrix.
+ * @param {SceneControl[]} controls
+ */
+function getSceneControlButtons(controls) {
+  const tokenControls = controls.find(c => c.name === "token");
+  if ( !tokenControls ) return;
+  tokenControls.tools.push({
+    name: `${MODULE_ID}-visibility-matrix`,
+    title: `${MODULE_ID}.VisibilityMatrix.Control`,
+    icon: "fas fa-table-cells",
+    button: true,
+    visible: game.user.isGM,
+    onClick: () => VisibilityMatrixApp.show()
+  });
+}
+
+PATCHES.BASIC.HOOKS = { getSceneControlButtons };
+
+/**
+ * @typedef VisibilityMatrixRow  Line-of-sight and cover for one viewer and target.
+ * @type {object}
+ * @property {string} viewer                    Viewer name
+ * @property {string} target                    Target name
+ * @property {string} viewerId
+ * @property {string} targetId
+ * @property {number|undefined} percentVisible  Undefined if the viewer has no sight
+ * @property {boolean|undefined} hasLOS         Undefined if the viewer has no sight
+ * @property {number} distance                  In grid units
+ * @property {COVER_TYPE} coverType
+ * @property {string} coverName
+ */
+
+/**
+ * Sortable table of line-of-sight and cover for every viewer and target on the scene.
+ * Built from visibilityMatrix and coverMatrix. Can be exported to JSON or CSV.
+ */
+export class VisibilityMatrixApp extends Application {
+  /** @type {VisibilityMatrixApp|undefined} */
+  static #app;
+
+  /**
+   * Columns of the table, in order. Also the keys of each row used for sorting and export.
+   * @type {string[]}
+   */
+  static COLUMNS = ["viewer", "target", "percentVisible", "hasLOS", "distance", "coverName"];
+
+  /**
+   * Rows of the table, calculated when first rendered and on refresh.
+   * @type {VisibilityMatrixRow[]|undefined}
+   */
+  rows;
+
+  /** @type {string} */
+  sortKey = "viewer";
+
+  /** @type {boolean} */
+  sortDescending = false;
+
+  /**
+   * Open the matrix, or bring it to the front if already open.
+   */
+  static show() {
+    this.#app ??= new this();
+    if ( !this.#app.rendered ) this.#app.rows = undefined; // Recalculate if reopened.
+    this.#app.render(true);
+  }
+
+  /** @override */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${MODULE_ID}-visibility-matrix`,
+      template: `modules/${MODULE_ID}/templates/visibility-matrix.html`,
+      title: game.i18n.localize(`${MODULE_ID}.VisibilityMatrix.Title`),
+      width: 720,
+      height: 600,
+      resizable: true,
+      minimizable: true
+    });
+  }
+
+  /**
+   * Calculate line-of-sight and cover for every viewer and target on the scene.
+   * Cover is keyed by the sort value so that it sorts from no cover to total cover.
+   * @returns {VisibilityMatrixRow[]}
+   */
+  calculateRows() {
+    const rows = new Map();
+    for ( const entry of coverMatrix() ) {
+      const { viewer, target, coverType, coverName, distance } = entry;
+      rows.set(`${viewer.id}.${target.id}`, {
+        viewer: viewer.name,
+        target: target.name,
+        viewerId: viewer.id,
+        targetId: target.id,
+        percentVisible: undefined,
+        hasLOS: undefined,
+        distance,
+        coverType,
+        coverName
+      });
+    }
+
+    for ( const { viewer, target, percentVisible, hasLOS } of visibilityMatrix() ) {
+      const row = rows.get(`${viewer.id}.${target.id}`);
+      if ( !row ) continue;
+      row.percentVisible = percentVisible;
+      row.hasLOS = hasLOS;
+    }
+    return [...rows.values()];
+  }
+
+  /** @override */
+  getData(options = {}) {
+    if ( canvas.ready ) this.rows ??= this.calculateRows();
+    const rows = this.sortedRows().map(row => ({
+      ...row,
+      percentVisible: typeof row.percentVisible === "undefined" ? "—" : `${Math.round(row.percentVisible * 100)}%`,
+      losIcon: typeof row.hasLOS === "undefined" ? "" : row.hasLOS ? "fa-check" : "fa-xmark",
+      distance: `${Math.round(row.distance * 10) / 10} ${canvas.scene?.grid.units ?? ""}`
+    }));
+
+    const columns = this.constructor.COLUMNS.map(key => ({
+      key,
+      label: game.i18n.localize(`${MODULE_ID}.VisibilityMatrix.${key}`),
+      sorted: key === this.sortKey,
+      descending: this.sortDescending
+    }));
+
+    return { ...super.getData(options), columns, rows };
+  }
+
+  /**
+   * Rows sorted by the current sort column.
+   * @returns {VisibilityMatrixRow[]}
+   */
+  sortedRows() {
+    const key = this.sortKey === "coverName" ? "coverType" : this.sortKey;
+    const dir = this.sortDescending ? -1 : 1;
+    const value = v => (typeof v === "boolean" ? Number(v) : v) ?? -1;
+    return [...(this.rows ?? [])].sort((a, b) => {
+      const va = value(a[key]);
+      const vb = value(b[key]);
+      if ( typeof va === "string" || typeof vb === "string" ) return dir * String(va).localeCompare(String(vb));
+      return dir * (va - vb);
+    });
+  }
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find("th[data-sort]").click(this._onClickSort.bind(this));
+    html.find("button[data-action]").click(this._onClickButton.bind(this));
+  }
+
+  /**
+   * Sort by the clicked column, or reverse the sort if already sorted by it.
+   * @param {Event} event
+   */
+  _onClickSort(event) {
+    const key = event.currentTarget.dataset.sort;
+    if ( key === this.sortKey ) this.sortDescending = !this.sortDescending;
+    else {
+      this.sortKey = key;
+      this.sortDescending = false;
+    }
+    this.render();
+  }
+
+  /**
+   * Refresh or export the matrix.
+   * @param {Event} event
+   */
+  _onClickButton(event) {
+    event.preventDefault();
+    switch ( event.currentTarget.dataset.action ) {
+      case "refresh":
+        this.rows = undefined;
+        this.render();
+        break;
+      case "json":
+        this.exportJSON();
+        break;
+      case "csv":
+        this.exportCSV();
+        break;
+    }
+  }
+
+  /**
+   * Save the rows, in the current sort order, to a JSON file.
+   */
+  exportJSON() {
+    const data = {
+      scene: canvas.scene?.name,
+      rows: this.sortedRows()
+    };
+    saveDataToFile(JSON.stringify(data, null, 2), "application/json", `${this.#filename()}.json`);
+  }
+
+  /**
+   * Save the rows, in the current sort order, to a CSV file.
+   */
+  exportCSV() {
+    const keys = ["viewer", "viewerId", "target", "targetId", "percentVisible", "hasLOS", "distance", "coverType", "coverName"];
+    const escape = value => {
+      const str = String(value ?? "");
+      return /[",\n]/.test(str) ? `"${str.replaceAll("\"", "\"\"")}"` : str;
+    };
+    const lines = [keys.join(",")];
+    for ( const row of this.sortedRows() ) lines.push(keys.map(key => escape(row[key])).join(","));
+    saveDataToFile(lines.join("\n"), "text/csv", `${this.#filename()}.csv`);
+  }
+
+  /**
+   * Name for exported files, from the scene name.
+   * @returns {string}
+   */
+  #filename() {
+    const scene = (canvas.scene?.name ?? "scene").slugify();
+    return `${MODULE_ID}-matrix-${scene}`;
+  }
+}
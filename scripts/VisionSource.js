@@ -46,3 +46,15 @@ function _createPolygon(config) {
 }
 
 PATCHES.BASIC.OVERRIDES = { _createPolygon };
+
+// ----- Getters ----- //
+
+/**
+ * New getter: VisionSource.prototype.eyeZ
+ * Elevation from which this source sees, in pixel units.
+ * The eyes of the source token; otherwise the source elevation.
+ * @type {number}
+ */
+function eyeZ() { return this.object?.eyeZ ?? this.elevationZ; }
+
+PATCHES.BASIC.GETTERS = { eyeZ };
@@ -0,0 +1,51 @@
+/* globals
+CONFIG
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS, COVER } from "./const.js";
+
+// Patches for the Wall class
+export const PATCHES = {};
+PATCHES.BASIC = {};
+PATCHES.NO_WALL_HEIGHT = {};
+
+// ----- NOTE: Getters ----- //
+
+/**
+ * New getter: Wall.prototype.coverOverride
+ * Determine how this wall modifies the cover calculation, if at all.
+ * @type {string} One of COVER.WALL_OVERRIDES
+ */
+function coverOverride() {
+  return this.document.getFlag(MODULE_ID, FLAGS.WALL.COVER_OVERRIDE) || COVER.WALL_OVERRIDES.NONE;
+}
+
+PATCHES.BASIC.GETTERS = { coverOverride };
+
+// ----- NOTE: Wraps ----- //
+
+/**
+ * Wrap Wall.prototype.bottomZ
+ * Without Wall Height, use the bottom elevation set in the wall configuration, if any.
+ * @type {number}
+ */
+function bottomZ(wrapped) {
+  const bottom = this.document.getFlag(MODULE_ID, FLAGS.WALL.BOTTOM);
+  if ( bottom == null || bottom === "" ) return wrapped(); // Intended to test null, undefined
+  return CONFIG.GeometryLib.utils.gridUnitsToPixels(Number(bottom));
+}
+
+/**
+ * Wrap Wall.prototype.topZ
+ * Without Wall Height, use the top elevation set in the wall configuration, if any.
+ * @type {number}
+ */
+function topZ(wrapped) {
+  const top = this.document.getFlag(MODULE_ID, FLAGS.WALL.TOP);
+  if ( top == null || top === "" ) return wrapped(); // Intended to test null, undefined
+  return CONFIG.GeometryLib.utils.gridUnitsToPixels(Number(top));
+}
+
+PATCHES.NO_WALL_HEIGHT.WRAPS = { bottomZ, topZ };
@@ -0,0 +1,42 @@
+/* globals
+renderTemplate
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { log } from "./util.js";
+import { MODULE_ID, MODULES_ACTIVE, FLAGS, COVER } from "./const.js";
+
+// Patches for the WallConfig class
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Inject html to add controls to the wall configuration.
+ * Allow the user to override how the wall is treated when calculating cover.
+ * Without Wall Height, also allow the user to set the wall bottom and top elevations.
+ */
+async function renderWallConfig(app, html, _data) {
+  const template = `modules/${MODULE_ID}/templates/token-visibility-wall-config.html`;
+  const choices = {};
+  for ( const value of Object.values(COVER.WALL_OVERRIDES) ) {
+    choices[value] = `${MODULE_ID}.WallConfiguration.coverOverride.${value}`;
+  }
+
+  const renderData = {
+    choices,
+    coverOverride: app.object.getFlag(MODULE_ID, FLAGS.WALL.COVER_OVERRIDE) || COVER.WALL_OVERRIDES.NONE,
+    elevationFields: !MODULES_ACTIVE.WALL_HEIGHT,
+    wallBottom: app.object.getFlag(MODULE_ID, FLAGS.WALL.BOTTOM),
+    wallTop: app.object.getFlag(MODULE_ID, FLAGS.WALL.TOP)
+  };
+
+  const myHTML = await renderTemplate(template, renderData);
+  log("config rendered HTML", myHTML);
+  html.find(".form-group").last().after(myHTML);
+  app.setPosition({ height: "auto" });
+}
+
+PATCHES.BASIC.HOOKS = { renderWallConfig };
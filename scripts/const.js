@@ -12,7 +12,35 @@ export const MODULE_ID = "tokenvisibility";
 export const EPSILON = 1e-08;
 
 export const FLAGS = {
-  DRAWING: { IS_HOLE: "isHole" },
+  DRAWING: {
+    IS_HOLE: "isHole",
+    HOLE_ELEVATION: "holeElevation", // Elevation of the tiles the hole cuts, in grid units. All tiles if not set.
+    OBSCUREMENT: {
+      LEVEL: "obscurement", // OBSCUREMENT level of the volume defined by the drawing.
+      BOTTOM: "obscurementBottom", // Bottom elevation of the volume, in grid units. Unlimited if not set.
+      TOP: "obscurementTop", // Top elevation of the volume, in grid units. Unlimited if not set.
+      COVER: "obscurementCover" // Id of the cover tier for targets seen through the volume.
+    }
+  },
+  WALL: {
+    COVER_OVERRIDE: "coverOverride",
+    BOTTOM: "wallBottom", // Bottom elevation of the wall, in grid units. Used when Wall Height is not active.
+    TOP: "wallTop" // Top elevation of the wall, in grid units. Used when Wall Height is not active.
+  },
+  TILE: {
+    BOTTOM: "boxBottom", // Bottom elevation of the tile as a box, in grid units. Defaults to the tile elevation.
+    TOP: "boxTop" // Top elevation of the tile as a box, in grid units. Tile is flat if not set.
+  },
+  TEMPLATE: {
+    BLOCKS: "blocks", // TEMPLATE_BLOCKS: what the volume defined by the template blocks.
+    HEIGHT: "blockingHeight" // Height of the volume above the template elevation, in grid units. Unlimited if not set.
+  },
+  TOKEN: {
+    LOS_PERCENT_AREA: "losPercentArea", // Minimum percent of this token visible for line-of-sight.
+    BOUNDS_SCALE: "boundsScale", // Scale of this token's border when testing its visibility.
+    HEIGHT: "height", // Height of this token, in grid units. Used when Wall Height is not active.
+    EYE_HEIGHT: "eyeHeight" // Height of this token's eyes, as a percent of the token height.
+  },
   COVER: {
     IGNORE: {
       ALL: "ignoreCoverAll",
@@ -22,14 +50,34 @@ export const FLAGS = {
       RSAK: "ignoreCoverRSAK"
     },
 
+    FROM: "coverFrom", // Cover type by attacker id, stored on the target token.
     IGNORE_DND5E: "helpersIgnoreCover",
     SPELLSNIPER: "spellSniper",
     SHARPSHOOTER: "sharpShooter"
   }
 };
 
+// Drawings can define volumes that obscure sight, such as fog, darkness, or dense foliage.
+export const OBSCUREMENT = {
+  NONE: "none",
+  LIGHT: "light", // Reduces the percent of the target seen through the volume.
+  HEAVY: "heavy" // Blocks sight through the volume.
+};
+
+// Measured templates can define volumes that block sight, cover, or both, such as a wall of fire.
+export const TEMPLATE_BLOCKS = {
+  NONE: "none",
+  SIGHT: "sight", // Heavily obscures sight, like an obscured drawing.
+  COVER: "cover", // Blocks cover calculations.
+  BOTH: "both"
+};
+
 export const COVER = {};
 
+// Cover types are numbered by cover tier: NONE is 0, each tier is its index + 1,
+// and TOTAL is one more than the last tier.
+// LOW, MEDIUM, and HIGH refer to the first, second, and last tiers, respectively.
+// Rebuilt from the GM-defined tiers by updateCoverTypes.
 COVER.TYPES = {
   NONE: 0,
   LOW: 1,
@@ -38,6 +86,41 @@ COVER.TYPES = {
   TOTAL: 4
 };
 
+/**
+ * @typedef CoverTier
+ * @type {object}
+ * @property {string} id                  Unique id. Status effect id is `${MODULE_ID}.cover.${id}`
+ * @property {string} name                Name or localization key
+ * @property {string} icon                Path to the status icon
+ * @property {number} percentThreshold    Percent of the target obscured to trigger this tier, between 0 and 1
+ * @property {number} pointsThreshold     Number of blocked points to trigger this tier, for points algorithms.
+ *                                        If 0, points algorithms use percentThreshold.
+ */
+
+/** @type {CoverTier[]} Cover tiers, ordered from least to most cover. */
+COVER.TIERS = [];
+
+/**
+ * @typedef CoverAlgorithm  Cover algorithm added by CoverCalculator.registerAlgorithm.
+ * @type {object}
+ * @property {string} label           Name or localization key, shown in the cover algorithm setting
+ * @property {function} fn            (coverCalculator, config) => percent cover or cover type
+ * @property {boolean} usesPercent    If true, fn returns percent cover, converted using the tier percent triggers.
+ *                                    Otherwise, fn returns a cover type, or true for the center-to-center tier.
+ */
+
+/** @type {Map<string, CoverAlgorithm>} Cover algorithms registered by other modules or macros, by id. */
+COVER.ALGORITHMS = new Map();
+
+// Per-wall overrides of the cover calculation, set in the wall configuration.
+COVER.WALL_OVERRIDES = {
+  NONE: "none",                       // Wall is treated normally.
+  MAX_LOW: "maxLow",                  // Wall provides at most low (half) cover.
+  MIN_MEDIUM: "minMedium",            // Wall provides at least medium (three-quarters) cover.
+  IGNORE: "ignore",                   // Wall never counts as cover.
+  TOTAL_SEE_THROUGH: "totalSeeThrough" // Wall always provides total cover. Set sight to none to see through.
+};
+
 // Names of the SFRPG Cover items
 COVER.SFRPG = {
   1: "Partial Cover",
@@ -46,8 +129,25 @@ COVER.SFRPG = {
   4: "Total Cover"
 };
 
+// Pathfinder 2e cover effect, which offers lesser, standard, and greater cover.
+COVER.PF2E = {
+  EFFECT_UUID: "Compendium.pf2e.other-effects.Item.I9lfZUiCwMiGogVi",
+  EFFECT_SLUG: "effect-cover",
+  LEVELS: {
+    LESSER: "lesser",
+    STANDARD: "standard",
+    GREATER: "greater"
+  },
+  BONUS: {
+    lesser: 1,
+    standard: 2,
+    greater: 4
+  }
+};
+
 COVER.IDS = {};
 
+// Rebuilt from the GM-defined tiers by updateCoverTypes.
 COVER.IDS[MODULE_ID] = new Set([
   `${MODULE_ID}.cover.LOW`,
   `${MODULE_ID}.cover.MEDIUM`,
@@ -108,6 +208,60 @@ COVER.TYPES_FOR_ID = {
 COVER.MIN = Math.min(...Object.values(COVER.TYPES));
 COVER.MAX = Math.max(...Object.values(COVER.TYPES));
 
+/**
+ * Rebuild the cover types, categories, and status ids from the cover tiers.
+ * @param {CoverTier[]} tiers   Tiers ordered from least to most cover
+ */
+export function updateCoverTypes(tiers) {
+  const nTiers = tiers.length;
+  COVER.TIERS = tiers;
+
+  // Keep the same object so references to COVER.TYPES remain valid.
+  COVER.TYPES.NONE = 0;
+  COVER.TYPES.LOW = Math.min(1, nTiers);
+  COVER.TYPES.MEDIUM = Math.min(2, nTiers);
+  COVER.TYPES.HIGH = nTiers;
+  COVER.TYPES.TOTAL = nTiers + 1;
+
+  const dFredsIds = {
+    LOW: "Convenient Effect: Cover (Half)",
+    MEDIUM: "Convenient Effect: Cover (Three-Quarters)",
+    HIGH: "Convenient Effect: Cover (Total)"
+  };
+
+  COVER.CATEGORIES = {};
+  COVER.TYPES_FOR_ID[MODULE_ID] = {};
+  COVER.TYPES_FOR_ID["dfreds-convenient-effects"] = {};
+  tiers.forEach((tier, i) => {
+    const type = i + 1;
+    const statusId = `${MODULE_ID}.cover.${tier.id}`;
+    const dFredsId = dFredsIds[tier.id];
+    COVER.CATEGORIES[tier.id] = { [MODULE_ID]: statusId };
+    COVER.TYPES_FOR_ID[MODULE_ID][statusId] = type;
+    COVER.TYPES_FOR_ID[MODULE_ID][statusId.toLowerCase()] = type; // Sometimes the id is all lowercase.
+    if ( !dFredsId ) return;
+    COVER.CATEGORIES[tier.id]["dfreds-convenient-effects"] = dFredsId;
+    COVER.TYPES_FOR_ID["dfreds-convenient-effects"][dFredsId] = type;
+  });
+
+  COVER.IDS[MODULE_ID] = new Set(tiers.map(tier => `${MODULE_ID}.cover.${tier.id}`));
+  COVER.IDS.ALL = COVER.IDS[MODULE_ID].union(COVER.IDS["dfreds-convenient-effects"]);
+  COVER.MIN = COVER.TYPES.NONE;
+  COVER.MAX = COVER.TYPES.TOTAL;
+}
+
+/**
+ * @typedef LOSAlgorithm  Line-of-sight test, selectable in the LOS algorithm setting.
+ * @type {object}
+ * @property {string} label               Name or localization key
+ * @property {function} fn                (visionSource, target, test) => boolean
+ * @property {boolean} centerPointOnly    If true, only the target center point is tested.
+ *                                        Other test points of the target do not have line-of-sight.
+ */
+
+/** @type {Map<string, LOSAlgorithm>} Line-of-sight algorithms by id, including the built-in algorithms. */
+export const LOS_ALGORITHMS = new Map();
+
 export const MODULES_ACTIVE = {
   WALL_HEIGHT: false,
   PERFECT_VISION: false,
@@ -1,6 +1,7 @@
 /* globals
 canvas,
 ChatMessage,
+CONFIG,
 game,
 */
 "use strict";
@@ -50,17 +51,20 @@ import { COVER, MODULE_ID } from "./const.js";
 import { getSetting, SETTINGS } from "./settings.js";
 import { CoverCalculator } from "./CoverCalculator.js";
 import { CoverDialog } from "./CoverDialog.js";
+import { CoverHeatmap } from "./CoverHeatmap.js";
 
 
 /**
  * Workflow to process cover for given token and targets.
- * Used by midi-qol and dnd5e functions.
- * @param {Token} token
+ * Used by midi-qol, dnd5e, and pf2e functions, and by templates.
+ * @param {Token|MeasuredTemplate} token    Templates measure cover from the template origin
  * @param {Set<Token>} targets    Targeted token set. May be modified by user choices.
  * @param {string} actionType
+ * @param {object} [options]
+ * @param {Item} [options.item]   Item used for the attack, passed to the cover hooks
  * @returns {boolean} True if attack should continue; false otherwise.
  */
-export async function coverWorkflow(token, targets, actionType) {
+export async function coverWorkflow(token, targets, actionType, { item } = {}) {
   // Construct dialogs, if applicable
   // tokenCoverCalculations will be:
   // - false if user canceled
@@ -81,7 +85,7 @@ export async function coverWorkflow(token, targets, actionType) {
 
   // Update targets' cover if some targets are present
   if ( coverCalculations && coverCalculations.size ) {
-    await coverDialog.updateTargetsCover(coverCalculations);
+    await coverDialog.updateTargetsCover(coverCalculations, { actionType, item });
   }
 
   // Display in chat if requested.
@@ -102,6 +106,53 @@ export async function coverWorkflow(token, targets, actionType) {
   return true;
 }
 
+/**
+ * @typedef CoverPosition  Candidate position for a token to take cover.
+ * @type {object}
+ * @property {number} x                 Top left x coordinate of the token at this position
+ * @property {number} y                 Top left y coordinate of the token at this position
+ * @property {Point} center             Center of the token at this position
+ * @property {COVER_TYPE} coverType     Least cover the token would have from any threat
+ * @property {number} distance          Straight-line distance from the token, in grid units
+ */
+
+/**
+ * Find grid positions within movement range where the token has at least the given cover from every threat.
+ * A position is skipped if a wall blocks movement in a straight line from the token or another token occupies it.
+ * Positions are ranked by cover, most first, and then by distance, nearest first.
+ * @param {Token} token                       Token that would move
+ * @param {Set<Token>|Token[]} threats        Tokens the token would take cover from
+ * @param {object} [options]
+ * @param {number} [options.maxDistance=30]   Farthest the token can move, in grid units
+ * @param {COVER_TYPE} [options.minCover]     Least acceptable cover; defaults to the lowest cover tier
+ * @returns {CoverPosition[]}
+ */
+export function findCoverPositions(token, threats, { maxDistance = 30, minCover = COVER.TYPES.NONE + 1 } = {}) {
+  threats = [...threats].filter(t => t !== token);
+  if ( !threats.length ) return [];
+
+  const origin = token.center;
+  const halfW = token.w * 0.5;
+  const halfH = token.h * 0.5;
+  const spaces = CoverHeatmap.gridSpacesWithin(origin, maxDistance).filter(({ x, y }) => {
+    const center = { x: x + halfW, y: y + halfH };
+    if ( token.checkCollision(center, { origin, type: "move", mode: "any" }) ) return false;
+    return !canvas.tokens.placeables.some(t => t !== token && t.bounds.contains(center.x, center.y));
+  });
+
+  const coverMap = CoverHeatmap.coverMap(token, threats, { spaces, mode: SETTINGS.COVER.HEATMAP.MODES.WORST });
+  const positions = [];
+  for ( const { x, y, coverType } of coverMap ) {
+    if ( coverType < minCover ) continue;
+    const center = { x: x + halfW, y: y + halfH };
+    const distance = CONFIG.GeometryLib.utils.pixelsToGridUnits(Math.hypot(center.x - origin.x, center.y - origin.y));
+    positions.push({ x, y, center, coverType, distance });
+  }
+
+  positions.sort((a, b) => (b.coverType - a.coverType) || (a.distance - b.distance));
+  return positions;
+}
+
 /* Options for determining cover.
 1. Any player can run the Cover macro to determine cover for each token--> target combo.
 
@@ -12,7 +12,7 @@ import { initializePatching, PATCHER } from "./patching.js";
 import {
   SETTINGS,
   registerSettings,
-  updateConfigStatusEffects,
+  updateCoverTiers,
   getSetting,
   setSetting } from "./settings.js";
 
@@ -32,11 +32,17 @@ import { Area3d } from "./Area3d.js";
 import { Area2d } from "./Area2d.js";
 import { CoverCalculator, SOCKETS } from "./CoverCalculator.js";
 import { ConstrainedTokenBorder } from "./ConstrainedTokenBorder.js";
+import { ResultCache } from "./ResultCache.js";
 import { CoverDialog } from "./CoverDialog.js";
+import { CoverHeatmap } from "./CoverHeatmap.js";
+import { coverWorkflow, findCoverPositions } from "./cover.js";
 
 import { Area3dPopout, area3dPopoutData } from "./Area3dPopout.js";
 
 import * as los from "./visibility_los.js";
+import { percentLit } from "./visibility_light.js";
+import { visibilityMatrix, coverMatrix } from "./visibility_matrix.js";
+import { VisibilityMatrixApp } from "./VisibilityMatrixApp.js";
 
 // Ignores Cover
 import {
@@ -61,8 +67,18 @@ Hooks.once("init", function() {
     util,
     CoverCalculator,
     CoverDialog,
+    CoverHeatmap,
+    coverWorkflow,
+    findCoverPositions,
+    registerCoverAlgorithm: (id, options) => CoverCalculator.registerAlgorithm(id, options),
+    registerLOSAlgorithm: los.registerLOSAlgorithm,
+    percentLit,
+    visibilityMatrix,
+    coverMatrix,
+    VisibilityMatrixApp,
     COVER,
     ConstrainedTokenBorder,
+    ResultCache,
     los,
     PlanePoints3d,
     TokenPoints3d,
@@ -97,7 +113,7 @@ Hooks.once("init", function() {
 
 Hooks.once("setup", function() {
   registerSettings();
-  updateConfigStatusEffects();
+  updateCoverTiers();
 });
 
 Hooks.on('createActiveEffect', refreshVisionOnActiveEffect);
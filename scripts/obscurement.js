@@ -0,0 +1,325 @@
+/* globals
+canvas,
+CONFIG,
+CONST,
+foundry,
+PIXI
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS, COVER, OBSCUREMENT, TEMPLATE_BLOCKS } from "./const.js";
+import { ResultCache } from "./ResultCache.js";
+import { ClipperPaths } from "./geometry/ClipperPaths.js";
+
+// Volumes defined by drawings that lightly or heavily obscure sight,
+// and by measured templates that block sight, cover, or both.
+
+/**
+ * @typedef ObscurementRegion  Drawing or template flagged as an obscured or blocking volume.
+ * @type {object}
+ * @property {Drawing|MeasuredTemplate} object
+ * @property {string} level               OBSCUREMENT.LIGHT or OBSCUREMENT.HEAVY
+ * @property {PIXI.Polygon} shape         Shape in canvas coordinates, oriented clockwise
+ * @property {number} bottomZ             Bottom of the volume, in pixel units; -Infinity if unlimited
+ * @property {number} topZ                Top of the volume, in pixel units; Infinity if unlimited
+ * @property {COVER_TYPE} coverType       Cover for targets seen through the volume; NONE if not set
+ * @property {boolean} blocksSight        Obscures sight, for line-of-sight
+ * @property {boolean} blocksCover        Blocks, for cover calculations
+ */
+
+/**
+ * Regions by drawing or template, with the geometry version used to build each.
+ * @type {WeakMap<Drawing|MeasuredTemplate, {version: number, region: ObscurementRegion|undefined}>}
+ */
+const regionCache = new WeakMap();
+
+/**
+ * Drawing shapes that can define a region.
+ * @type {Set<string>}
+ */
+const REGION_SHAPES = new Set([
+  CONST.DRAWING_TYPES.POLYGON,
+  CONST.DRAWING_TYPES.ELLIPSE,
+  CONST.DRAWING_TYPES.RECTANGLE
+]);
+
+/**
+ * Obscured volume defined by a drawing, if the drawing is flagged as obscuring.
+ * @param {Drawing} drawing
+ * @returns {ObscurementRegion|undefined}
+ */
+export function drawingObscurement(drawing) {
+  const cached = regionCache.get(drawing);
+  if ( cached?.version === ResultCache.geometryVersion ) return cached.region;
+
+  const region = buildDrawingRegion(drawing);
+  regionCache.set(drawing, { version: ResultCache.geometryVersion, region });
+  return region;
+}
+
+/**
+ * Blocking volume defined by a measured template, if the template is flagged as blocking.
+ * @param {MeasuredTemplate} template
+ * @returns {ObscurementRegion|undefined}
+ */
+export function templateObscurement(template) {
+  const cached = regionCache.get(template);
+  if ( cached?.version === ResultCache.geometryVersion ) return cached.region;
+
+  const region = buildTemplateRegion(template);
+  regionCache.set(template, { version: ResultCache.geometryVersion, region });
+  return region;
+}
+
+/**
+ * Build the region for a drawing from its flags.
+ * @param {Drawing} drawing
+ * @returns {ObscurementRegion|undefined}
+ */
+function buildDrawingRegion(drawing) {
+  const doc = drawing.document;
+  const level = doc.getFlag(MODULE_ID, FLAGS.DRAWING.OBSCUREMENT.LEVEL);
+  if ( level !== OBSCUREMENT.LIGHT && level !== OBSCUREMENT.HEAVY ) return undefined;
+  if ( !REGION_SHAPES.has(doc.shape.type) ) return undefined;
+
+  const shape = CONFIG.GeometryLib.utils.centeredPolygonFromDrawing(drawing).toPolygon();
+  if ( !shape.isPositive ) shape.reverseOrientation();
+
+  const toZ = (value, unlimited) => (value == null || value === "") // Intended to test null, undefined
+    ? unlimited : CONFIG.GeometryLib.utils.gridUnitsToPixels(Number(value));
+  const bottomZ = toZ(doc.getFlag(MODULE_ID, FLAGS.DRAWING.OBSCUREMENT.BOTTOM), Number.NEGATIVE_INFINITY);
+  const topZ = toZ(doc.getFlag(MODULE_ID, FLAGS.DRAWING.OBSCUREMENT.TOP), Number.POSITIVE_INFINITY);
+
+  // Cover types are the tier index + 1, so a missing tier is no cover.
+  const coverTier = doc.getFlag(MODULE_ID, FLAGS.DRAWING.OBSCUREMENT.COVER);
+  const coverType = coverTier ? COVER.TIERS.findIndex(tier => tier.id === coverTier) + 1 : COVER.TYPES.NONE;
+
+  return { object: drawing, level, shape, bottomZ, topZ, coverType, blocksSight: true, blocksCover: false };
+}
+
+/**
+ * Build the region for a measured template from its flags.
+ * The volume extends up from the template elevation by the blocking height.
+ * @param {MeasuredTemplate} template
+ * @returns {ObscurementRegion|undefined}
+ */
+function buildTemplateRegion(template) {
+  const doc = template.document;
+  const blocks = doc.getFlag(MODULE_ID, FLAGS.TEMPLATE.BLOCKS);
+  if ( !blocks || blocks === TEMPLATE_BLOCKS.NONE ) return undefined;
+
+  // Template shapes are relative to the template origin.
+  let shape = template.shape ?? template._computeShape();
+  if ( !(shape instanceof PIXI.Polygon) ) shape = shape.toPolygon();
+  const { x, y } = doc;
+  shape = new PIXI.Polygon(shape.points.map((coord, i) => coord + (i % 2 ? y : x)));
+  if ( !shape.isPositive ) shape.reverseOrientation();
+
+  const elevation = doc.flags?.levels?.elevation ?? 0; // Templates only have elevation with Levels.
+  const bottomZ = CONFIG.GeometryLib.utils.gridUnitsToPixels(elevation);
+  const height = doc.getFlag(MODULE_ID, FLAGS.TEMPLATE.HEIGHT);
+  const topZ = (height == null || height === "") // Intended to test null, undefined
+    ? Number.POSITIVE_INFINITY : bottomZ + CONFIG.GeometryLib.utils.gridUnitsToPixels(Number(height));
+
+  return {
+    object: template,
+    level: OBSCUREMENT.HEAVY,
+    shape,
+    bottomZ,
+    topZ,
+    coverType: COVER.TYPES.NONE,
+    blocksSight: blocks === TEMPLATE_BLOCKS.SIGHT || blocks === TEMPLATE_BLOCKS.BOTH,
+    blocksCover: blocks === TEMPLATE_BLOCKS.COVER || blocks === TEMPLATE_BLOCKS.BOTH
+  };
+}
+
+/**
+ * Obscured and blocking volumes in the scene, optionally limited to an area and range of elevations.
+ * @param {object} [options]
+ * @param {PIXI.Rectangle} [options.bounds]   Only regions that overlap these bounds
+ * @param {number} [options.minZ]             Only regions whose top is above this elevation, in pixel units
+ * @param {number} [options.maxZ]             Only regions whose bottom is below this elevation, in pixel units
+ * @param {boolean} [options.sight]           Include regions that obscure sight
+ * @param {boolean} [options.cover]           Include regions that block cover
+ * @returns {ObscurementRegion[]}
+ */
+export function obscurementRegions({
+  bounds,
+  minZ = Number.NEGATIVE_INFINITY,
+  maxZ = Number.POSITIVE_INFINITY,
+  sight = true,
+  cover = false } = {}) {
+
+  const regions = [];
+  const addRegion = region => {
+    if ( !region || region.topZ < minZ || region.bottomZ > maxZ ) return;
+    if ( (sight && region.blocksSight) || (cover && region.blocksCover) ) regions.push(region);
+  };
+
+  if ( sight ) {
+    const drawings = bounds ? canvas.drawings.quadtree.getObjects(bounds) : canvas.drawings.placeables;
+    drawings.forEach(drawing => addRegion(drawingObscurement(drawing)));
+  }
+
+  for ( const template of canvas.templates.placeables ) {
+    const region = templateObscurement(template);
+    if ( bounds && region && !region.shape.getBounds().intersects(bounds) ) continue;
+    addRegion(region);
+  }
+  return regions;
+}
+
+/**
+ * Does the region contain the 3d point?
+ * @param {ObscurementRegion} region
+ * @param {Point3d} point
+ * @returns {boolean}
+ */
+export function regionContainsPoint(region, point) {
+  return (point.z ?? 0).between(region.bottomZ, region.topZ) && region.shape.contains(point.x, point.y);
+}
+
+/**
+ * Does the segment between two 3d points pass through the region?
+ * @param {ObscurementRegion} region
+ * @param {Point3d} a
+ * @param {Point3d} b
+ * @returns {boolean}
+ */
+export function regionIntersectsSegment(region, a, b) {
+  if ( regionContainsPoint(region, a) || regionContainsPoint(region, b) ) return true;
+  const { shape, bottomZ, topZ } = region;
+  const az = a.z ?? 0;
+  const dz = (b.z ?? 0) - az;
+
+  // Sides: where the segment crosses the region border, test the elevation of the crossing.
+  for ( const edge of shape.iterateEdges() ) {
+    const ix = foundry.utils.lineSegmentIntersection(a, b, edge.A, edge.B);
+    if ( ix && (az + (ix.t0 * dz)).between(bottomZ, topZ) ) return true;
+  }
+
+  // Top and bottom: where the segment crosses the elevation, test whether the crossing is in the shape.
+  if ( !dz ) return false;
+  for ( const z of [bottomZ, topZ] ) {
+    const t = (z - az) / dz;
+    if ( !Number.isFinite(t) || t < 0 || t > 1 ) continue;
+    if ( shape.contains(a.x + (t * (b.x - a.x)), a.y + (t * (b.y - a.y))) ) return true;
+  }
+  return false;
+}
+
+/**
+ * Regions that the segment between two 3d points passes through.
+ * @param {Point3d} a
+ * @param {Point3d} b
+ * @param {object} [options]
+ * @param {ObscurementRegion[]} [options.regions]   Regions to test; defaults to those near the segment
+ * @param {boolean} [options.sight]     If regions are not provided, include regions that obscure sight
+ * @param {boolean} [options.cover]     If regions are not provided, include regions that block cover
+ * @returns {ObscurementRegion[]}
+ */
+export function regionsAlongSegment(a, b, { regions, sight = true, cover = false } = {}) {
+  regions ??= obscurementRegions({
+    bounds: segmentBounds(a, b),
+    minZ: Math.min(a.z ?? 0, b.z ?? 0),
+    maxZ: Math.max(a.z ?? 0, b.z ?? 0),
+    sight,
+    cover
+  });
+  return regions.filter(region => regionIntersectsSegment(region, a, b));
+}
+
+/**
+ * Bounds of the segment between two points, padded so that a horizontal or vertical segment
+ * still has an area. PIXI.Rectangle.prototype.intersects is false for rectangles without area.
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {PIXI.Rectangle}
+ */
+function segmentBounds(a, b) {
+  return new PIXI.Rectangle(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y)).pad(1);
+}
+
+/**
+ * Tiles with a top elevation, as boxes, that the segment between two 3d points passes through.
+ * @param {Point3d} a
+ * @param {Point3d} b
+ * @returns {Tile[]}
+ */
+export function tileBoxesAlongSegment(a, b) {
+  const tiles = canvas.tiles.quadtree.getObjects(segmentBounds(a, b), { collisionTest: (o, _rect) => o.t.isBox });
+  return [...tiles].filter(tile => {
+    const box = { shape: tile.boxShape, bottomZ: tile.boxBottomZ, topZ: tile.boxTopZ };
+    return regionIntersectsSegment(box, a, b);
+  });
+}
+
+/**
+ * Strongest obscurement of sight along the segment between two 3d points.
+ * @param {Point3d} a
+ * @param {Point3d} b
+ * @param {ObscurementRegion[]} [regions]   Regions to test; defaults to those near the segment that obscure sight
+ * @returns {string} OBSCUREMENT level
+ */
+export function segmentObscurement(a, b, regions) {
+  let level = OBSCUREMENT.NONE;
+  for ( const region of regionsAlongSegment(a, b, { regions }) ) {
+    if ( region.level === OBSCUREMENT.HEAVY ) return OBSCUREMENT.HEAVY;
+    level = OBSCUREMENT.LIGHT;
+  }
+  return level;
+}
+
+/**
+ * Area hidden from a viewing point by one or more regions, treating each region as a full-height wall.
+ * Each region hides itself and the area behind it. A region containing the viewing point hides the scene.
+ * @param {Point} origin                  Viewing point
+ * @param {ObscurementRegion[]} regions
+ * @param {object} [options]
+ * @param {number} [options.scalingFactor]  Scaling factor for Clipper
+ * @returns {ClipperPaths|undefined}  Undefined if there are no regions
+ */
+export function obscurementShadow(origin, regions, { scalingFactor = 1 } = {}) {
+  if ( !regions.length ) return undefined;
+  const maxR = canvas.dimensions.maxR;
+  const polys = [];
+  for ( const { shape } of regions ) {
+    if ( shape.contains(origin.x, origin.y) ) {
+      polys.push(canvas.dimensions.rect.toPolygon());
+      continue;
+    }
+
+    // Project each edge of the shape away from the origin.
+    polys.push(shape);
+    for ( const { A, B } of shape.iterateEdges() ) {
+      const A1 = projectAway(origin, A, maxR);
+      const B1 = projectAway(origin, B, maxR);
+      if ( !A1 || !B1 ) continue;
+      const quad = new PIXI.Polygon(A.x, A.y, B.x, B.y, B1.x, B1.y, A1.x, A1.y);
+      if ( !quad.isPositive ) quad.reverseOrientation();
+      polys.push(quad);
+    }
+  }
+
+  const paths = ClipperPaths.fromPolygons(polys, { scalingFactor });
+  const combined = paths.combine();
+  combined.clean();
+  return combined;
+}
+
+/**
+ * Point moved away from the origin by a distance.
+ * @param {Point} origin
+ * @param {Point} pt
+ * @param {number} dist
+ * @returns {PIXI.Point|undefined} Undefined if the point is at the origin
+ */
+function projectAway(origin, pt, dist) {
+  const dx = pt.x - origin.x;
+  const dy = pt.y - origin.y;
+  const len = Math.hypot(dx, dy);
+  if ( !len ) return undefined;
+  const mult = dist / len;
+  return new PIXI.Point(pt.x + (dx * mult), pt.y + (dy * mult));
+}
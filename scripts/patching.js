@@ -11,15 +11,28 @@ import { PATCHES as PATCHES_ActiveEffect } from "./ActiveEffect.js";
 import { PATCHES as PATCHES_CanvasVisibility } from "./CanvasVisibility.js";
 import { PATCHES as PATCHES_Combat } from "./Combat.js";
 import { PATCHES as PATCHES_ConstrainedTokenBorder } from "./ConstrainedTokenBorder.js";
+import { PATCHES as PATCHES_CoverHeatmap } from "./CoverHeatmap.js";
 import { PATCHES as PATCHES_DetectionMode } from "./DetectionMode.js";
+import { PATCHES as PATCHES_DetectionModeLightPerception } from "./DetectionModeLightPerception.js";
+import { PATCHES as PATCHES_Drawing } from "./Drawing.js";
 import { PATCHES as PATCHES_DrawingConfig} from "./DrawingConfig.js";
 import { PATCHES as PATCHES_Item } from "./Item.js";
 import { PATCHES as PATCHES_LightSource } from "./LightSource.js";
+import { PATCHES as PATCHES_MeasuredTemplate } from "./MeasuredTemplate.js";
+import { PATCHES as PATCHES_MeasuredTemplateConfig } from "./MeasuredTemplateConfig.js";
+import { PATCHES as PATCHES_PartialVisibility } from "./PartialVisibility.js";
 import { PATCHES as PATCHES_PointSourcePolygon } from "./PointSourcePolygon.js";
+import { PATCHES as PATCHES_ResultCache } from "./ResultCache.js";
 import { PATCHES as PATCHES_Setting } from "./Setting.js";
 import { PATCHES as PATCHES_SettingsConfig } from "./SettingsConfig.js";
+import { PATCHES as PATCHES_Tile } from "./Tile.js";
+import { PATCHES as PATCHES_TileConfig } from "./TileConfig.js";
 import { PATCHES as PATCHES_Token } from "./Token.js";
+import { PATCHES as PATCHES_TokenConfig } from "./TokenConfig.js";
+import { PATCHES as PATCHES_VisibilityMatrixApp } from "./VisibilityMatrixApp.js";
 import { PATCHES as PATCHES_VisionSource } from "./VisionSource.js";
+import { PATCHES as PATCHES_Wall } from "./Wall.js";
+import { PATCHES as PATCHES_WallConfig } from "./WallConfig.js";
 
 // Levels
 import { PATCHES as PATCHES_Levels_SightHandler } from "./Levels_SightHandler.js";
@@ -27,22 +40,39 @@ import { PATCHES as PATCHES_Levels_SightHandler } from "./Levels_SightHandler.js
 // Midiqol
 import { PATCHES as PATCHES_Midiqol } from "./Midiqol.js";
 
+// Pathfinder 2e
+import { PATCHES as PATCHES_CheckPF2e } from "./CheckPF2e.js";
+
 const PATCHES = {
   ActiveEffect: PATCHES_ActiveEffect,
   CanvasVisibility: PATCHES_CanvasVisibility,
   Combat: PATCHES_Combat,
   ConstrainedTokenBorder: PATCHES_ConstrainedTokenBorder,
+  CoverHeatmap: PATCHES_CoverHeatmap,
   DetectionMode: PATCHES_DetectionMode,
+  DetectionModeLightPerception: PATCHES_DetectionModeLightPerception,
+  Drawing: PATCHES_Drawing,
   DrawingConfig: PATCHES_DrawingConfig,
   Item: PATCHES_Item,
   LightSource: PATCHES_LightSource,
+  MeasuredTemplate: PATCHES_MeasuredTemplate,
+  MeasuredTemplateConfig: PATCHES_MeasuredTemplateConfig,
+  PartialVisibility: PATCHES_PartialVisibility,
   PointSourcePolygon: PATCHES_PointSourcePolygon,
+  ResultCache: PATCHES_ResultCache,
   Setting: PATCHES_Setting,
   SettingsConfig: PATCHES_SettingsConfig,
+  Tile: PATCHES_Tile,
+  TileConfig: PATCHES_TileConfig,
   Token: PATCHES_Token,
+  TokenConfig: PATCHES_TokenConfig,
+  VisibilityMatrixApp: PATCHES_VisibilityMatrixApp,
   VisionSource: PATCHES_VisionSource,
+  Wall: PATCHES_Wall,
+  WallConfig: PATCHES_WallConfig,
   "CONFIG.Levels.handlers.SightHandler": PATCHES_Levels_SightHandler,
-  Midiqol: PATCHES_Midiqol
+  Midiqol: PATCHES_Midiqol,
+  "game.pf2e.Check": PATCHES_CheckPF2e
 };
 
 export const PATCHER = new Patcher(PATCHES);
@@ -54,6 +84,8 @@ export function initializePatching() {
   if ( MODULES_ACTIVE.LEVELS ) PATCHER.registerGroup("LEVELS");
   else PATCHER.registerGroup("NO_LEVELS");
 
+  if ( !MODULES_ACTIVE.WALL_HEIGHT ) PATCHER.registerGroup("NO_WALL_HEIGHT");
+
   if ( game.system.id === "dnd5e" ) {
     if ( MODULES_ACTIVE.MIDI_QOL ) PATCHER.registerGroup("DND5E_MIDI")
     else PATCHER.registerGroup("DND5E_NO_MIDI");
@@ -61,5 +93,5 @@ export function initializePatching() {
 
   if ( game.system.id === "sfrpg" ) PATCHER.registerGroup("sfrpg");
 
-  if ( game.system.id !== "pf2e" ) PATCHER.registerGroup("NOT_PF2E");
+  if ( game.system.id === "pf2e" ) PATCHER.registerGroup("pf2e");
 }
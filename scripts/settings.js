@@ -7,12 +7,12 @@ CONFIG
 "use strict";
 
 import { log } from "./util.js";
-import { MODULE_ID, MODULES_ACTIVE, COVER } from "./const.js";
+import { MODULE_ID, MODULES_ACTIVE, COVER, LOS_ALGORITHMS, updateCoverTypes } from "./const.js";
 import { STATUS_EFFECTS } from "./status_effects.js";
-import {
-  LowCoverEffectConfig,
-  MediumCoverEffectConfig,
-  HighCoverEffectConfig } from "./EnhancedEffectConfig.js";
+import { CoverTiersConfig } from "./CoverTiersConfig.js";
+import { DetectionModesConfig } from "./DetectionModesConfig.js";
+import { EyeHeightConfig } from "./EyeHeightConfig.js";
+import { refreshPartialVisibility } from "./PartialVisibility.js";
 
 // Non-caching alt:
 // export function getSetting(settingName) {
@@ -55,6 +55,7 @@ export async function setSetting(settingName, value) {
 
 export const SETTINGS = {
   AREA3D_USE_SHADOWS: "area3d-use-shadows", // For benchmarking and debugging for now.
+  AREA3D_USE_WORKER: "area3d-use-worker",
 
   RANGE: {
     ALGORITHM: "range-algorithm",
@@ -76,7 +77,45 @@ export const SETTINGS = {
       AREA3D: "los-area-3d"
     },
 
-    PERCENT_AREA: "los-percent-area"
+    PERCENT_AREA: "los-percent-area",
+
+    LIGHT_OBSCUREMENT: "los-light-obscurement", // Fraction of the area behind light obscurement that is seen.
+
+    PARTIAL: {
+      MODE: "los-partial-visibility",
+      CHOICES: {
+        NONE: "los-partial-visibility-none",
+        ALPHA: "los-partial-visibility-alpha",
+        MASK: "los-partial-visibility-mask"
+      }
+    }
+  },
+
+  LIGHTING: {
+    REQUIRE_LIT: "lighting-require-lit",
+    PERCENT_LIT: "lighting-percent-lit"
+  },
+
+  // Default token height by size, in grid units. Used when Wall Height is not active.
+  TOKEN_HEIGHT: {
+    TINY: "token-height-tiny",
+    SMALL: "token-height-small",
+    MEDIUM: "token-height-medium",
+    LARGE: "token-height-large",
+    HUGE: "token-height-huge",
+    GARGANTUAN: "token-height-gargantuan"
+  },
+
+  // Height of the viewer's eyes, as a percent of the token height.
+  EYE_HEIGHT: {
+    DEFAULT: "eye-height",
+    CREATURE_TYPES: "eye-height-creature-types", // Eye height by creature type id.
+    MENU: "menu-eye-height"
+  },
+
+  DETECTION_MODES: {
+    CONFIG: "detection-modes", // LOS algorithm, percent area, and range points by detection mode id.
+    MENU: "menu-detection-modes"
   },
 
   COVER: {
@@ -93,10 +132,10 @@ export const SETTINGS = {
 
     EFFECTS: "cover-effects",
 
+    TIERS: "cover-tiers",
+
     MENU: {
-      LOW: "menu-cover-effects-low",
-      MEDIUM: "menu-cover-effects-medium",
-      HIGH: "menu-cover-effects-high"
+      TIERS: "menu-cover-tiers"
     },
 
     TRIGGER_CENTER: "cover-trigger-center",
@@ -121,6 +160,26 @@ export const SETTINGS = {
 
     COMBAT_AUTO: "cover-combat-auto",
     CHAT: "cover-chat-message",
+    APPLY_EFFECTS: "cover-apply-effects",
+
+    TEMPLATES: {
+      WORKFLOW: "cover-template-workflow",
+      HEIGHT: "cover-template-height",
+      CHOICES: {
+        NONE: "cover-template-workflow-none",
+        PLACE: "cover-template-workflow-place",
+        SAVE: "cover-template-workflow-save"
+      }
+    },
+
+    HEATMAP: {
+      RANGE: "cover-heatmap-range",
+      MODE: "cover-heatmap-mode",
+      MODES: {
+        BEST: "cover-heatmap-mode-best",
+        WORST: "cover-heatmap-mode-worst"
+      }
+    },
 
     DEAD_TOKENS: {
       ALGORITHM: "cover-token-dead",
@@ -169,7 +228,7 @@ For 3d, test points in 3 dimensions.
 3. Area -- Use token area.
 
 For area, provide a slider for 0–100% of token area.
-Each token should have a setting for bounds scale for vision.
+Each token has a setting for bounds scale for vision, in the token configuration.
 
 For 3d points, don't test los contains for extra 3d Foundry points. (They would obv. be the same. )
 For 3d points, do test wall collisions for non-infinite walls.
@@ -197,7 +256,8 @@ full trigger: % area
 
 
 Other settings:
-GM can provide the name of an active effect to apply when covered. Applies to the token with cover.
+GM defines the cover tiers, each with a name, icon, triggers, and active effect to apply when covered.
+Applies to the token with cover. Defaults to three tiers:
 - low active effect
 - medium active effect
 - high active effect
@@ -213,9 +273,7 @@ export function registerSettings() {
   log("Registering token visibility settings.");
 
   const RTYPES = SETTINGS.RANGE.TYPES;
-  const LTYPES = SETTINGS.LOS.TYPES;
   const CTYPES = SETTINGS.COVER.TYPES;
-  const coverNames = getCoverNames();
 
   game.settings.register(MODULE_ID, SETTINGS.RANGE.ALGORITHM, {
     name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.RANGE.ALGORITHM}.Name`),
@@ -249,19 +307,18 @@ export function registerSettings() {
     default: true
   });
 
+  // Built-in and registered line-of-sight algorithms.
+  const losAlgorithmChoices = {};
+  for ( const [id, algorithm] of LOS_ALGORITHMS ) losAlgorithmChoices[id] = game.i18n.localize(algorithm.label);
+
   game.settings.register(MODULE_ID, SETTINGS.LOS.ALGORITHM, {
     name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.LOS.ALGORITHM}.Name`),
     hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.LOS.ALGORITHM}.Hint`),
     scope: "world",
     config: true,
     type: String,
-    choices: {
-      [LTYPES.POINTS]: game.i18n.localize(`${MODULE_ID}.settings.${LTYPES.POINTS}`),
-      [LTYPES.CORNERS]: game.i18n.localize(`${MODULE_ID}.settings.${LTYPES.CORNERS}`),
-      [LTYPES.AREA]: game.i18n.localize(`${MODULE_ID}.settings.${LTYPES.AREA}`),
-      [LTYPES.AREA3D]: game.i18n.localize(`${MODULE_ID}.settings.${LTYPES.AREA3D}`)
-    },
-    default: LTYPES.POINTS
+    choices: losAlgorithmChoices,
+    default: SETTINGS.LOS.TYPES.POINTS
   });
 
   game.settings.register(MODULE_ID, SETTINGS.LOS.PERCENT_AREA, {
@@ -278,38 +335,158 @@ export function registerSettings() {
     type: Number
   });
 
-  game.settings.register(MODULE_ID, SETTINGS.COVER.ALGORITHM, {
-    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.ALGORITHM}.Name`),
-    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.ALGORITHM}.Hint`),
+  game.settings.register(MODULE_ID, SETTINGS.LOS.LIGHT_OBSCUREMENT, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.LOS.LIGHT_OBSCUREMENT}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.LOS.LIGHT_OBSCUREMENT}.Hint`),
+    range: {
+      max: 1,
+      min: 0,
+      step: 0.05
+    },
     scope: "world",
     config: true,
+    default: 0.5,
+    type: Number
+  });
+
+  const PARTIALCHOICES = SETTINGS.LOS.PARTIAL.CHOICES;
+  game.settings.register(MODULE_ID, SETTINGS.LOS.PARTIAL.MODE, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.LOS.PARTIAL.MODE}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.LOS.PARTIAL.MODE}.Hint`),
+    scope: "client",
+    config: true,
     type: String,
     choices: {
-      [CTYPES.CENTER_CENTER]: game.i18n.localize(`${MODULE_ID}.settings.${CTYPES.CENTER_CENTER}`),
-      [CTYPES.CENTER_CORNERS_TARGET]: game.i18n.localize(`${MODULE_ID}.settings.${CTYPES.CENTER_CORNERS_TARGET}`),
-      [CTYPES.CORNER_CORNERS_TARGET]: game.i18n.localize(`${MODULE_ID}.settings.${CTYPES.CORNER_CORNERS_TARGET}`),
-      [CTYPES.CENTER_CORNERS_GRID]: game.i18n.localize(`${MODULE_ID}.settings.${CTYPES.CENTER_CORNERS_GRID}`),
-      [CTYPES.CORNER_CORNERS_GRID]: game.i18n.localize(`${MODULE_ID}.settings.${CTYPES.CORNER_CORNERS_GRID}`),
-      [CTYPES.AREA]: game.i18n.localize(`${MODULE_ID}.settings.${CTYPES.AREA}`),
-      [CTYPES.AREA3D]: game.i18n.localize(`${MODULE_ID}.settings.${CTYPES.AREA3D}`)
+      [PARTIALCHOICES.NONE]: game.i18n.localize(`${MODULE_ID}.settings.${PARTIALCHOICES.NONE}`),
+      [PARTIALCHOICES.ALPHA]: game.i18n.localize(`${MODULE_ID}.settings.${PARTIALCHOICES.ALPHA}`),
+      [PARTIALCHOICES.MASK]: game.i18n.localize(`${MODULE_ID}.settings.${PARTIALCHOICES.MASK}`)
     },
-    default: game.system.id === "pf2e" ? CTYPES.CENTER_CENTER : CTYPES.CORNER_CORNERS_TARGET
+    default: PARTIALCHOICES.NONE,
+    onChange: _value => {
+      settingsCache.delete(SETTINGS.LOS.PARTIAL.MODE);
+      refreshPartialVisibility();
+    }
   });
 
-  game.settings.register(MODULE_ID, SETTINGS.COVER.TRIGGER_CENTER, {
-    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.TRIGGER_CENTER}.Name`),
-    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.TRIGGER_CENTER}.Hint`),
+  game.settings.register(MODULE_ID, SETTINGS.AREA3D_USE_WORKER, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.AREA3D_USE_WORKER}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.AREA3D_USE_WORKER}.Hint`),
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: true,
+    onChange: _value => settingsCache.delete(SETTINGS.AREA3D_USE_WORKER)
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.LIGHTING.REQUIRE_LIT, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.LIGHTING.REQUIRE_LIT}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.LIGHTING.REQUIRE_LIT}.Hint`),
     scope: "world",
-    config: true, // () => getSetting(SETTINGS.COVER.ALGORITHM) === CTYPES.CENTER_CENTER,
-    default: coverNames.MEDIUM,
-    type: String,
-    choices: {
-      LOW: coverNames.LOW,
-      MEDIUM: coverNames.MEDIUM,
-      HIGH: coverNames.HIGH
+    config: true,
+    default: false,
+    type: Boolean
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.LIGHTING.PERCENT_LIT, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.LIGHTING.PERCENT_LIT}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.LIGHTING.PERCENT_LIT}.Hint`),
+    range: {
+      max: 1,
+      min: 0,
+      step: 0.05
+    },
+    scope: "world",
+    config: true,
+    default: 0.5,
+    type: Number
+  });
+
+  // Wall Height sets its own token heights.
+  const TOKEN_HEIGHT_DEFAULTS = { TINY: 2.5, SMALL: 5, MEDIUM: 5, LARGE: 10, HUGE: 15, GARGANTUAN: 20 };
+  for ( const [size, settingName] of Object.entries(SETTINGS.TOKEN_HEIGHT) ) {
+    game.settings.register(MODULE_ID, settingName, {
+      name: game.i18n.localize(`${MODULE_ID}.settings.${settingName}.Name`),
+      hint: game.i18n.localize(`${MODULE_ID}.settings.${settingName}.Hint`),
+      scope: "world",
+      config: !MODULES_ACTIVE.WALL_HEIGHT,
+      default: TOKEN_HEIGHT_DEFAULTS[size],
+      type: Number
+    });
+  }
+
+  game.settings.register(MODULE_ID, SETTINGS.EYE_HEIGHT.DEFAULT, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.EYE_HEIGHT.DEFAULT}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.EYE_HEIGHT.DEFAULT}.Hint`),
+    range: {
+      max: 1,
+      min: 0,
+      step: 0.05
+    },
+    scope: "world",
+    config: true,
+    default: 0.9,
+    type: Number
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.EYE_HEIGHT.CREATURE_TYPES, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {
+      beast: 0.75,
+      animal: 0.75,
+      dragon: 0.75,
+      monstrosity: 0.75,
+      ooze: 0.5
     }
   });
 
+  game.settings.registerMenu(MODULE_ID, SETTINGS.EYE_HEIGHT.MENU, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.EYE_HEIGHT.MENU}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.EYE_HEIGHT.MENU}.Hint`),
+    label: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.EYE_HEIGHT.MENU}.Label`),
+    icon: "fas fa-ruler-vertical",
+    type: EyeHeightConfig,
+    restricted: true
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.DETECTION_MODES.CONFIG, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {} // Empty: every detection mode uses the world settings.
+  });
+
+  game.settings.registerMenu(MODULE_ID, SETTINGS.DETECTION_MODES.MENU, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.DETECTION_MODES.MENU}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.DETECTION_MODES.MENU}.Hint`),
+    label: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.DETECTION_MODES.MENU}.Label`),
+    icon: "fas fa-eye",
+    type: DetectionModesConfig,
+    restricted: true
+  });
+
+  const coverAlgorithmChoices = {
+    [CTYPES.CENTER_CENTER]: game.i18n.localize(`${MODULE_ID}.settings.${CTYPES.CENTER_CENTER}`),
+    [CTYPES.CENTER_CORNERS_TARGET]: game.i18n.localize(`${MODULE_ID}.settings.${CTYPES.CENTER_CORNERS_TARGET}`),
+    [CTYPES.CORNER_CORNERS_TARGET]: game.i18n.localize(`${MODULE_ID}.settings.${CTYPES.CORNER_CORNERS_TARGET}`),
+    [CTYPES.CENTER_CORNERS_GRID]: game.i18n.localize(`${MODULE_ID}.settings.${CTYPES.CENTER_CORNERS_GRID}`),
+    [CTYPES.CORNER_CORNERS_GRID]: game.i18n.localize(`${MODULE_ID}.settings.${CTYPES.CORNER_CORNERS_GRID}`),
+    [CTYPES.AREA]: game.i18n.localize(`${MODULE_ID}.settings.${CTYPES.AREA}`),
+    [CTYPES.AREA3D]: game.i18n.localize(`${MODULE_ID}.settings.${CTYPES.AREA3D}`)
+  };
+  for ( const [id, algorithm] of COVER.ALGORITHMS ) coverAlgorithmChoices[id] = game.i18n.localize(algorithm.label);
+
+  game.settings.register(MODULE_ID, SETTINGS.COVER.ALGORITHM, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.ALGORITHM}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.ALGORITHM}.Hint`),
+    scope: "world",
+    config: true,
+    type: String,
+    choices: coverAlgorithmChoices,
+    default: game.system.id === "pf2e" ? CTYPES.CENTER_CENTER : CTYPES.CORNER_CORNERS_TARGET
+  });
+
   game.settings.register(MODULE_ID, SETTINGS.COVER.TRIGGER_PERCENT.LOW, {
     name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.TRIGGER_PERCENT.LOW}.Name`),
     hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.TRIGGER_PERCENT.LOW}.Hint`),
@@ -319,7 +496,7 @@ export function registerSettings() {
       step: 0.05
     },
     scope: "world",
-    config: true,
+    config: false, // Superseded by the cover tiers; used for the default tiers.
     default: .5,
     type: Number
   });
@@ -333,7 +510,7 @@ export function registerSettings() {
       step: 0.05
     },
     scope: "world",
-    config: true,
+    config: false, // Superseded by the cover tiers; used for the default tiers.
     default: .75,
     type: Number
   });
@@ -347,47 +524,49 @@ export function registerSettings() {
       step: 0.05
     },
     scope: "world",
-    config: true,
+    config: false, // Superseded by the cover tiers; used for the default tiers.
     default: 1,
     type: Number
   });
 
 
-  const skipCoverMenus = game.system.id === "sfrpg";
-  const skipLowMenu = skipCoverMenus || dFredsHasCover("LOW");
-  const skipMediumMenu = skipCoverMenus || dFredsHasCover("MEDIUM");
-  const skipHighMenu = skipCoverMenus || dFredsHasCover("HIGH");
+  game.settings.register(MODULE_ID, SETTINGS.COVER.EFFECTS, {
+    scope: "world",
+    config: false,
+    default: STATUS_EFFECTS
+  });
 
-  if ( !skipLowMenu ) {
-    game.settings.registerMenu(MODULE_ID, SETTINGS.COVER.MENU.LOW, {
-      name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.MENU.LOW}.Name`),
-      label: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.MENU.LOW}.Label`),
-      icon: "fas fa-shield-halved",
-      type: LowCoverEffectConfig,
-      restricted: true
-    });
-  }
+  game.settings.register(MODULE_ID, SETTINGS.COVER.TIERS, {
+    scope: "world",
+    config: false,
+    type: Array,
+    default: [], // Empty: use the default tiers.
+    onChange: _value => {
+      settingsCache.delete(SETTINGS.COVER.TIERS);
+      updateCoverTiers();
+    }
+  });
 
-  if ( !skipMediumMenu ) {
-    game.settings.registerMenu(MODULE_ID, SETTINGS.COVER.MENU.MEDIUM, {
-      name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.MENU.MEDIUM}.Name`),
-      label: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.MENU.MEDIUM}.Label`),
-      icon: "fas fa-shield-heart",
-      type: MediumCoverEffectConfig,
-      restricted: true
-    });
-  }
+  game.settings.registerMenu(MODULE_ID, SETTINGS.COVER.MENU.TIERS, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.MENU.TIERS}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.MENU.TIERS}.Hint`),
+    label: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.MENU.TIERS}.Label`),
+    icon: "fas fa-shield-halved",
+    type: CoverTiersConfig,
+    restricted: true
+  });
 
-  if ( !skipHighMenu ) {
-    game.settings.registerMenu(MODULE_ID, SETTINGS.COVER.MENU.HIGH, {
-      name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.MENU.HIGH}.Name`),
-      hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.MENU.HIGH}.Hint`),
-      label: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.MENU.HIGH}.Label`),
-      icon: "fas fa-shield",
-      type: HighCoverEffectConfig,
-      restricted: true
-    });
-  }
+  const coverTiers = getCoverTiers();
+  const centerChoices = centerTriggerChoices(coverTiers);
+  game.settings.register(MODULE_ID, SETTINGS.COVER.TRIGGER_CENTER, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.TRIGGER_CENTER}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.TRIGGER_CENTER}.Hint`),
+    scope: "world",
+    config: true, // () => getSetting(SETTINGS.COVER.ALGORITHM) === CTYPES.CENTER_CENTER,
+    default: Object.hasOwn(centerChoices, "MEDIUM") ? "MEDIUM" : coverTiers[0].id,
+    type: String,
+    choices: centerChoices
+  });
 
   game.settings.register(MODULE_ID, SETTINGS.COVER.COMBAT_AUTO, {
     name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.COMBAT_AUTO}.Name`),
@@ -398,6 +577,15 @@ export function registerSettings() {
     default: true
   });
 
+  game.settings.register(MODULE_ID, SETTINGS.COVER.APPLY_EFFECTS, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.APPLY_EFFECTS}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.APPLY_EFFECTS}.Hint`),
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
   game.settings.register(MODULE_ID, SETTINGS.COVER.CHAT, {
     name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.CHAT}.Name`),
     hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.CHAT}.Hint`),
@@ -408,7 +596,7 @@ export function registerSettings() {
   });
 
   const MIDICHOICES = SETTINGS.COVER.MIDIQOL.COVERCHECK_CHOICES;
-  const useCoverCheck = game.system.id === "dnd5e" || MODULES_ACTIVE.MIDI_QOL;
+  const useCoverCheck = coverCheckConfigurable();
   game.settings.register(MODULE_ID, SETTINGS.COVER.MIDIQOL.COVERCHECK, {
     name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.MIDIQOL.COVERCHECK}.Name`),
     hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.MIDIQOL.COVERCHECK}.Hint`),
@@ -434,6 +622,56 @@ export function registerSettings() {
     default: false
   });
 
+  const TEMPLATECHOICES = SETTINGS.COVER.TEMPLATES.CHOICES;
+  const templateChoices = {
+    [TEMPLATECHOICES.NONE]: game.i18n.localize(`${MODULE_ID}.settings.${TEMPLATECHOICES.NONE}`),
+    [TEMPLATECHOICES.PLACE]: game.i18n.localize(`${MODULE_ID}.settings.${TEMPLATECHOICES.PLACE}`)
+  };
+  if ( MODULES_ACTIVE.MIDI_QOL ) {
+    templateChoices[TEMPLATECHOICES.SAVE] = game.i18n.localize(`${MODULE_ID}.settings.${TEMPLATECHOICES.SAVE}`);
+  }
+  game.settings.register(MODULE_ID, SETTINGS.COVER.TEMPLATES.WORKFLOW, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.TEMPLATES.WORKFLOW}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.TEMPLATES.WORKFLOW}.Hint`),
+    scope: "world",
+    config: true,
+    type: String,
+    choices: templateChoices,
+    default: TEMPLATECHOICES.NONE
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.COVER.TEMPLATES.HEIGHT, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.TEMPLATES.HEIGHT}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.TEMPLATES.HEIGHT}.Hint`),
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 0
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.COVER.HEATMAP.RANGE, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.HEATMAP.RANGE}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.HEATMAP.RANGE}.Hint`),
+    scope: "client",
+    config: true,
+    type: Number,
+    default: 30
+  });
+
+  const HEATMAPMODES = SETTINGS.COVER.HEATMAP.MODES;
+  game.settings.register(MODULE_ID, SETTINGS.COVER.HEATMAP.MODE, {
+    name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.HEATMAP.MODE}.Name`),
+    hint: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.HEATMAP.MODE}.Hint`),
+    scope: "client",
+    config: true,
+    type: String,
+    choices: {
+      [HEATMAPMODES.WORST]: game.i18n.localize(`${MODULE_ID}.settings.${HEATMAPMODES.WORST}`),
+      [HEATMAPMODES.BEST]: game.i18n.localize(`${MODULE_ID}.settings.${HEATMAPMODES.BEST}`)
+    },
+    default: HEATMAPMODES.WORST
+  });
+
   const LIVECHOICES = SETTINGS.COVER.LIVE_TOKENS.TYPES;
   game.settings.register(MODULE_ID, SETTINGS.COVER.LIVE_TOKENS.ALGORITHM, {
     name: game.i18n.localize(`${MODULE_ID}.settings.${SETTINGS.COVER.LIVE_TOKENS.ALGORITHM}.Name`),
@@ -446,7 +684,7 @@ export function registerSettings() {
       [LIVECHOICES.FULL]: game.i18n.localize(`${MODULE_ID}.settings.${LIVECHOICES.FULL}`),
       [LIVECHOICES.HALF]: game.i18n.localize(`${MODULE_ID}.settings.${LIVECHOICES.HALF}`)
     },
-    default: LIVECHOICES.FULL
+    default: game.system.id === "pf2e" ? LIVECHOICES.HALF : LIVECHOICES.FULL // PF2e creatures grant lesser cover.
   });
 
   game.settings.register(MODULE_ID, SETTINGS.COVER.DEAD_TOKENS.ALGORITHM, {
@@ -496,12 +734,6 @@ export function registerSettings() {
   });
 
   // ----- HIDDEN SETTINGS ----- //
-  game.settings.register(MODULE_ID, SETTINGS.COVER.EFFECTS, {
-    scope: "world",
-    config: false,
-    default: STATUS_EFFECTS
-  });
-
   game.settings.register(MODULE_ID, SETTINGS.AREA3D_USE_SHADOWS, {
     scope: "world",
     config: false,
@@ -533,19 +765,126 @@ export function registerSettings() {
   log("Done registering settings.");
 }
 
-function getCoverNames() {
-  const statusEffects = STATUS_EFFECTS[game.system.id] || STATUS_EFFECTS.generic;
+/* Cover tiers
+Stored in SETTINGS.COVER.TIERS, ordered from least to most cover.
+If not yet defined by the GM, defaults to LOW, MEDIUM, HIGH, using the names and icons of
+the status effects and the cover percent triggers.
+*/
 
+/**
+ * Retrieve the cover tiers defined by the GM, or the default tiers.
+ * @returns {CoverTier[]}
+ */
+export function getCoverTiers() {
+  const tiers = getSetting(SETTINGS.COVER.TIERS);
+  return tiers?.length ? tiers : defaultCoverTiers();
+}
+
+/**
+ * Construct the default cover tiers: LOW, MEDIUM, HIGH.
+ * @returns {CoverTier[]}
+ */
+export function defaultCoverTiers() {
+  return ["LOW", "MEDIUM", "HIGH"].map(id => {
+    const effect = getCoverEffect(id);
+    return {
+      id,
+      name: effect.name ?? effect.label,
+      icon: effect.icon,
+      percentThreshold: getSetting(SETTINGS.COVER.TRIGGER_PERCENT[id]),
+      pointsThreshold: 0
+    };
+  });
+}
+
+/**
+ * Store the cover tiers.
+ * @param {CoverTier[]} tiers   Tiers ordered from least to most cover
+ */
+export async function setCoverTiers(tiers) {
+  return setSetting(SETTINGS.COVER.TIERS, tiers);
+}
+
+/* Detection modes
+Stored in SETTINGS.DETECTION_MODES.CONFIG, by detection mode id.
+Each detection mode may set its own line-of-sight algorithm, percent area, and range points.
+Values left unset use the world settings.
+*/
+
+/**
+ * @typedef DetectionModeSettings
+ * @type {object}
+ * @property {string} losAlgorithm          Line-of-sight algorithm id
+ * @property {number|undefined} percentArea Percent of the target that must be visible; undefined to use the
+ *                                          target's minimum visible percent (see Token.prototype.losPercentArea)
+ * @property {string} rangeAlgorithm        Range points, one of SETTINGS.RANGE.TYPES
+ * @property {boolean} usesWorldLOS         True if the mode's line-of-sight settings are the world settings
+ */
+
+/**
+ * Line-of-sight and range settings for a detection mode.
+ * @param {string} modeId     Id of the detection mode, such as "basicSight"
+ * @returns {DetectionModeSettings}
+ */
+export function detectionModeSettings(modeId) {
+  const modeSettings = getSetting(SETTINGS.DETECTION_MODES.CONFIG)?.[modeId] ?? {};
+  const percentArea = Number.isFinite(modeSettings.percentArea) ? modeSettings.percentArea : undefined;
   return {
-    LOW: statusEffects.LOW.label,
-    MEDIUM: statusEffects.MEDIUM.label,
-    HIGH: statusEffects.HIGH.label
+    losAlgorithm: modeSettings.losAlgorithm || getSetting(SETTINGS.LOS.ALGORITHM),
+    percentArea,
+    rangeAlgorithm: modeSettings.rangeAlgorithm || getSetting(SETTINGS.RANGE.ALGORITHM),
+    usesWorldLOS: !modeSettings.losAlgorithm && typeof percentArea === "undefined"
   };
 }
 
+/**
+ * Add a registered algorithm to the choices of an algorithm setting.
+ * Algorithms registered before the settings are added when the settings are registered.
+ * @param {string} settingName    Setting key, such as SETTINGS.COVER.ALGORITHM
+ * @param {string} id             Algorithm id
+ * @param {string} label          Name or localization key
+ */
+export function addAlgorithmChoice(settingName, id, label) {
+  const setting = game.settings.settings.get(`${MODULE_ID}.${settingName}`);
+  if ( setting ) setting.choices[id] = game.i18n.localize(label);
+}
+
+/**
+ * Rebuild the cover types and the status effects from the current cover tiers.
+ */
+export function updateCoverTiers() {
+  const tiers = getCoverTiers();
+  updateCoverTypes(tiers);
+  updateConfigStatusEffects();
+
+  // Update the tiers offered by the center-to-center trigger setting.
+  const centerSetting = game.settings.settings.get(`${MODULE_ID}.${SETTINGS.COVER.TRIGGER_CENTER}`);
+  if ( centerSetting ) centerSetting.choices = centerTriggerChoices(tiers);
+}
+
+/**
+ * Choices for the center-to-center trigger setting: one per cover tier.
+ * @param {CoverTier[]} tiers
+ * @returns {object<string, string>}
+ */
+function centerTriggerChoices(tiers) {
+  const choices = {};
+  tiers.forEach(tier => choices[tier.id] = game.i18n.localize(tier.name));
+  return choices;
+}
+
+/**
+ * Retrieve the cover tier for a cover type.
+ * @param {COVER_TYPE} type
+ * @returns {CoverTier|undefined} Undefined for NONE and TOTAL
+ */
+export function coverTierForType(type) {
+  return COVER.TIERS[type - 1];
+}
+
 /* Status effects
 Stored in two places:
-- SETTINGS.COVER.EFFECTS[][LOW, MEDIUM, HIGH]
+- SETTINGS.COVER.EFFECTS[][tier id]
 --> by game system
 
 - CONFIG.statusEffects
@@ -561,33 +900,41 @@ When user updates an effect:
 */
 
 /**
- * Retrieve from GM settings the cover effect for the provided type for this game system.
- * @param {string} type   LOW, MEDIUM, or HIGH
+ * Retrieve from GM settings the cover effect for the provided tier for this game system.
+ * Tiers without a stored effect get a basic effect with the tier name and icon.
+ * @param {string} type   Cover tier id, such as LOW, MEDIUM, or HIGH
  * @returns {object} Status effect
  */
 export function getCoverEffect(type = "LOW") {
   const allStatusEffects = getSetting(SETTINGS.COVER.EFFECTS);
   const statusEffects = allStatusEffects[game.system.id] || allStatusEffects.generic;
-  return statusEffects[type];
+  if ( statusEffects[type] ) return statusEffects[type];
+
+  const tier = COVER.TIERS.find(t => t.id === type);
+  return {
+    id: `${MODULE_ID}.cover.${type}`,
+    icon: tier?.icon ?? `modules/${MODULE_ID}/assets/shield_low_gray.svg`,
+    name: tier?.name ?? type
+  };
 }
 
 /**
- * Helper function to get the cover effect name from settings.
- * @param {string} type   LOW, MEDIUM, HIGH
- * @returns {string} Label for the cover effect
+ * Helper function to get the cover name for a cover type.
+ * @param {COVER_TYPE} type
+ * @returns {string} Name of the cover tier
  */
-export function getCoverName(type = "LOW") {
-  if ( type === "NONE" ) return game.i18n.localize("None");
-  if ( type === "TOTAL" ) return game.i18n.localize("tokenvisibility.phrases.Total");
+export function getCoverName(type = COVER.TYPES.LOW) {
+  if ( type === COVER.TYPES.NONE ) return game.i18n.localize("None");
+  if ( type === COVER.TYPES.TOTAL ) return game.i18n.localize("tokenvisibility.phrases.Total");
 
-  const effect = getCoverEffect(type);
-  return game.i18n.localize(effect.name ?? effect.label);
+  const tier = coverTierForType(type);
+  return tier ? game.i18n.localize(tier.name) : "";
 }
 
 /**
- * Store to GM settings the cover effect value provided for the provided type for this game system.
+ * Store to GM settings the cover effect value provided for the provided tier for this game system.
  * Also updates CONFIG.statusEffects array.
- * @param {string} type   LOW, MEDIUM, or HIGH
+ * @param {string} type   Cover tier id, such as LOW, MEDIUM, or HIGH
  * @param {object} value  Status effect
  */
 export async function setCoverEffect(type, value) {
@@ -596,7 +943,7 @@ export async function setCoverEffect(type, value) {
     return;
   }
 
-  const allStatusEffects = getSetting(SETTINGS.COVER.EFFECTS);
+  const allStatusEffects = duplicate(getSetting(SETTINGS.COVER.EFFECTS));
   let systemId = game.system.id;
   if ( (systemId === "dnd5e" || systemId === "sw5e")
     && game.modules.get("midi-qol")?.active ) systemId = `${systemId}_midiqol`;
@@ -609,33 +956,51 @@ export async function setCoverEffect(type, value) {
 }
 
 /**
- * Confirm if DFred's has the given cover type.
- * @param {"LOW"|"MEDIUM"|"HIGH"} key
+ * Whether the attack workflow setting is presented to the GM.
+ * Only midi-qol and the dnd5e and pf2e attack workflows ask for cover. Elsewhere, such as
+ * templates in other systems, cover is applied automatically.
  * @returns {boolean}
  */
-function dFredsHasCover(key) {
-  if ( !MODULES_ACTIVE.DFREDS_CE ) return false;
+export function coverCheckConfigurable() {
+  return MODULES_ACTIVE.MIDI_QOL || game.system.id === "dnd5e" || game.system.id === "pf2e";
+}
+
+/**
+ * Confirm if DFred's has the given cover tier.
+ * @param {string} key    Cover tier id. DFred's only has LOW, MEDIUM, and HIGH.
+ * @returns {boolean}
+ */
+export function dFredsHasCover(key) {
+  if ( !MODULES_ACTIVE.DFREDS_CE || !COVER.DFRED_NAMES[key] ) return false;
   return Boolean(game.dfreds.effectInterface.findEffectByName(COVER.DFRED_NAMES[key]));
 }
 
 /**
- * Update the CONFIG.statusEffects array with the provided type, taken from GM settings.
- * @type {string} type    LOW, MEDIUM, or HIGH. If not defined, will update all three.
+ * Update the CONFIG.statusEffects array with the provided tier, taken from GM settings.
+ * @type {string} type    Cover tier id. If not defined, will update all tiers.
  */
 export function updateConfigStatusEffects(type) {
-  // Skip if using DFred's CE
-  if ( dFredsHasCover(type) ) return;
-
   if ( !type ) {
-    // Update all types
-    updateConfigStatusEffects("LOW");
-    updateConfigStatusEffects("MEDIUM");
-    updateConfigStatusEffects("HIGH");
+    // Remove cover effects for tiers that no longer exist.
+    CONFIG.statusEffects = CONFIG.statusEffects.filter(effect =>
+      !effect.id?.startsWith(`${MODULE_ID}.cover.`) || COVER.IDS[MODULE_ID].has(effect.id));
+
+    // Update all tiers
+    COVER.TIERS.forEach(tier => updateConfigStatusEffects(tier.id));
     return;
   }
 
-  const coverEffect = getCoverEffect(type);
+  // Skip if using DFred's CE
+  if ( dFredsHasCover(type) ) return;
+
+  // Name and icon are set by the tier.
+  const tier = COVER.TIERS.find(t => t.id === type);
+  const coverEffect = duplicate(getCoverEffect(type)); // Do not modify the cached setting.
   coverEffect.id = `${MODULE_ID}.cover.${type}`;
+  if ( tier ) {
+    coverEffect.name = tier.name;
+    coverEffect.icon = tier.icon;
+  }
   const currIdx = CONFIG.statusEffects.findIndex(effect => effect.id === coverEffect.id);
   coverEffect.name ??= coverEffect.label ?? coverEffect.id; // Ensure name is always present.
 
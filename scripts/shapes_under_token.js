@@ -1,5 +1,6 @@
 /* globals
 canvas,
+CONST,
 PIXI
 */
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
@@ -83,7 +84,7 @@ export function hexesUnderToken(token) {
   const isColumnar = canvas.grid.grid.columnar;
   switch (w) {
     case 1:
-      hexes.push(hexes1());
+      hexes.push(hexes1(tX, tY));
       break;
     case 2:
       hexes.push(...(isColumnar ? colHexes2(tX, tY) : rowHexes2(tX, tY)));
@@ -110,9 +111,24 @@ export function hexesUnderToken(token) {
   return hexes;
 }
 
+/**
+ * Get the shape of a single grid space.
+ * Gridless scenes are treated as squares of the grid size.
+ * @param {number} x    Top left x coordinate of the grid space
+ * @param {number} y    Top left y coordinate of the grid space
+ * @returns {PIXI.Rectangle|PIXI.Polygon}
+ */
+export function gridSpaceShape(x, y) {
+  if ( canvas.grid.type === CONST.GRID_TYPES.GRIDLESS || canvas.grid.type === CONST.GRID_TYPES.SQUARE ) {
+    const size = canvas.dimensions.size;
+    return new PIXI.Rectangle(x, y, size, size);
+  }
+  return hexes1(x, y);
+}
+
 function hexes1(x = 0, y = 0) {
   const r1 = canvas.grid.grid.getRect(1, 1);
-  return new PIXI.Point(canvas.grid.grid.getPolygon(x, y, r1.width, r1.height));
+  return new PIXI.Polygon(canvas.grid.grid.getPolygon(x, y, r1.width, r1.height));
 }
 
 // 2: Forms triangle.  •
@@ -0,0 +1,349 @@
+/* globals
+PIXI
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+// Opaque portions of tiles, derived from the tile alpha channel.
+// Used by the area algorithms so that a tile blocks only where it is opaque.
+
+/**
+ * Alpha above which a tile pixel blocks. Same threshold as the tile ray test in CoverCalculator.
+ * @type {number}
+ */
+export const TILE_ALPHA_THRESHOLD = 0.99;
+
+/**
+ * Distance, in alpha map pixels, that a simplified outline may stray from the traced pixel edges.
+ * Large enough to turn the pixel steps of a diagonal or curved edge into a single segment.
+ * @type {number}
+ */
+const SIMPLIFY_TOLERANCE = 1;
+
+/**
+ * @typedef {object} OpaqueOutline
+ * @property {number[]} outline     Flat points of the outer boundary of an opaque area
+ * @property {number[][]} holes     Flat points of the transparent holes within that area
+ */
+
+/**
+ * @typedef {object} OpaqueShape
+ * @property {PIXI.Polygon} outline     Outer boundary of an opaque part of a tile, in canvas coordinates
+ * @property {PIXI.Polygon[]} holes     Transparent holes within that part
+ */
+
+/**
+ * Opaque outlines by texture, in texture coordinates normalized to [0, 1].
+ * @type {WeakMap<PIXI.Texture, OpaqueOutline[]>}
+ */
+const outlineCache = new WeakMap();
+
+/**
+ * Opaque shapes by tile, with the tile position and size, and the texture outlines, used to build them.
+ * @type {WeakMap<Tile, {key: string, outlines: OpaqueOutline[]|undefined, shapes: OpaqueShape[]}>}
+ */
+const shapeCache = new WeakMap();
+
+/**
+ * Opaque portions of a tile, as polygons with holes in canvas coordinates.
+ * Like tiles tested as planes, ignores tile rotation.
+ * If the tile has no alpha data, the whole tile rectangle is opaque.
+ * Cached until the tile moves, is resized, or changes texture.
+ * @param {Tile} tile
+ * @returns {OpaqueShape[]}
+ */
+export function tileOpaqueShapes(tile) {
+  const { x, y, width, height, texture } = tile.document;
+  const outlines = textureOpaqueOutlines(tile);
+  const key = `${x}_${y}_${width}_${height}_${texture.scaleX < 0}_${texture.scaleY < 0}`;
+  const cached = shapeCache.get(tile);
+  if ( cached && cached.key === key && cached.outlines === outlines ) return cached.shapes;
+
+  let shapes;
+  if ( !outlines ) shapes = [{ outline: new PIXI.Rectangle(x, y, width, height).toPolygon(), holes: [] }];
+  else {
+    // Mirrored tiles flip the texture within the tile rectangle.
+    const flipX = texture.scaleX < 0;
+    const flipY = texture.scaleY < 0;
+    const toCanvas = flat => {
+      const pts = new Array(flat.length);
+      for ( let i = 0; i < flat.length; i += 2 ) {
+        pts[i] = x + ((flipX ? 1 - flat[i] : flat[i]) * width);
+        pts[i + 1] = y + ((flipY ? 1 - flat[i + 1] : flat[i + 1]) * height);
+      }
+      return new PIXI.Polygon(pts);
+    };
+    shapes = outlines.map(({ outline, holes }) => ({ outline: toCanvas(outline), holes: holes.map(toCanvas) }));
+  }
+  shapeCache.set(tile, { key, outlines, shapes });
+  return shapes;
+}
+
+/**
+ * Is the tile opaque everywhere, so that its rectangle can be used as is?
+ * @param {Tile} tile
+ * @returns {boolean}
+ */
+export function tileIsFullyOpaque(tile) {
+  const outlines = textureOpaqueOutlines(tile);
+  if ( !outlines ) return true;
+  if ( outlines.length !== 1 ) return false;
+  const { outline, holes } = outlines[0];
+  return !holes.length && outline.length === 8 && outline.every(v => v === 0 || v === 1);
+}
+
+/**
+ * Clip a polygon to a convex polygon (Sutherland–Hodgman).
+ * The polygon to clip may be concave; the result then may have edges of zero width, which do not add area.
+ * @param {PIXI.Point[]} points       Points of the polygon to clip
+ * @param {PIXI.Point[]} clipPoints   Points of a convex polygon, in either orientation
+ * @returns {PIXI.Point[]} Points of the clipped polygon; fewer than 3 if they do not overlap
+ */
+export function clipPolygonToConvex(points, clipPoints) {
+  const nClip = clipPoints.length;
+  let orientation = 0;
+  for ( let i = 0; i < nClip; i += 1 ) {
+    const a = clipPoints[i];
+    const b = clipPoints[(i + 1) % nClip];
+    orientation += (a.x * b.y) - (b.x * a.y);
+  }
+  orientation = Math.sign(orientation);
+
+  let pts = points;
+  for ( let i = 0; i < nClip && pts.length > 2; i += 1 ) {
+    const c0 = clipPoints[i];
+    const c1 = clipPoints[(i + 1) % nClip];
+    const side = p => orientation * (((c1.x - c0.x) * (p.y - c0.y)) - ((c1.y - c0.y) * (p.x - c0.x)));
+    const out = [];
+    const n = pts.length;
+    for ( let j = 0; j < n; j += 1 ) {
+      const a = pts[j];
+      const b = pts[(j + 1) % n];
+      const sa = side(a);
+      const sb = side(b);
+      if ( sa >= 0 ) out.push(a);
+      if ( (sa >= 0) !== (sb >= 0) ) {
+        const t = sa / (sa - sb);
+        out.push(new PIXI.Point(a.x + ((b.x - a.x) * t), a.y + ((b.y - a.y) * t)));
+      }
+    }
+    pts = out;
+  }
+  return pts.length < 3 ? [] : pts;
+}
+
+/**
+ * Opaque outlines of the tile texture, cached per texture.
+ * @param {Tile} tile
+ * @returns {OpaqueOutline[]|undefined} Normalized outlines; undefined if the tile has no alpha data
+ */
+function textureOpaqueOutlines(tile) {
+  const texture = tile.texture;
+  const data = tile._textureData;
+  if ( !texture || !data?.pixels ) return undefined;
+
+  let outlines = outlineCache.get(texture);
+  if ( !outlines ) {
+    outlines = buildOpaqueOutlines(data);
+    outlineCache.set(texture, outlines);
+  }
+  return outlines;
+}
+
+/**
+ * Trace the outlines of the opaque pixels of an alpha map and simplify them.
+ * @param {object} data
+ * @param {Uint8Array} data.pixels    Alpha values, row by row
+ * @param {number} data.aw            Width of the alpha map
+ * @param {number} data.ah            Height of the alpha map
+ * @returns {OpaqueOutline[]} Outlines with their holes, normalized to [0, 1]
+ */
+function buildOpaqueOutlines({ pixels, aw, ah }) {
+  const outer = [];
+  const holes = [];
+  for ( const loop of traceOpaqueLoops(pixels, aw, ah) ) {
+    // Outer boundaries run clockwise on the canvas (positive area); holes run counterclockwise.
+    const area = flatArea(loop);
+    if ( area > 0 ) outer.push({ loop, area, holes: [] });
+    else holes.push(loop);
+  }
+
+  // Assign each hole to the smallest outer boundary that contains it.
+  for ( const hole of holes ) {
+    let owner;
+    for ( const o of outer ) {
+      if ( owner && o.area >= owner.area ) continue;
+      if ( flatContains(o.loop, hole[0], hole[1]) ) owner = o;
+    }
+    owner?.holes.push(hole);
+  }
+
+  const normalize = loop => {
+    const pts = simplifyLoop(loop, SIMPLIFY_TOLERANCE);
+    for ( let i = 0; i < pts.length; i += 2 ) {
+      pts[i] /= aw;
+      pts[i + 1] /= ah;
+    }
+    return pts;
+  };
+  const outlines = [];
+  for ( const o of outer ) {
+    const outline = normalize(o.loop);
+    if ( outline.length < 6 ) continue;
+    outlines.push({ outline, holes: o.holes.map(normalize).filter(hole => hole.length >= 6) });
+  }
+  return outlines;
+}
+
+/**
+ * Follow the pixel edges between opaque and transparent pixels into closed loops.
+ * Edges run clockwise around opaque pixels, so outer boundaries run clockwise and holes counterclockwise.
+ * Where two opaque pixels touch only at a corner, the loop turns right, keeping them apart.
+ * @param {Uint8Array} pixels
+ * @param {number} aw
+ * @param {number} ah
+ * @returns {number[][]} Flat points of each loop, in alpha map pixels, without repeated collinear points
+ */
+function traceOpaqueLoops(pixels, aw, ah) {
+  const threshold = TILE_ALPHA_THRESHOLD * 255;
+  const opaque = (x, y) => x >= 0 && y >= 0 && x < aw && y < ah && pixels[(y * aw) + x] > threshold;
+
+  // Outgoing edges by vertex. Vertex index is y * (aw + 1) + x.
+  const w = aw + 1;
+  const edges = new Map();
+  const addEdge = (x0, y0, x1, y1) => {
+    const v = (y0 * w) + x0;
+    const out = edges.get(v);
+    if ( out ) out.push((y1 * w) + x1);
+    else edges.set(v, [(y1 * w) + x1]);
+  };
+  for ( let y = 0; y < ah; y += 1 ) {
+    for ( let x = 0; x < aw; x += 1 ) {
+      if ( !opaque(x, y) ) continue;
+      if ( !opaque(x, y - 1) ) addEdge(x, y, x + 1, y);
+      if ( !opaque(x + 1, y) ) addEdge(x + 1, y, x + 1, y + 1);
+      if ( !opaque(x, y + 1) ) addEdge(x + 1, y + 1, x, y + 1);
+      if ( !opaque(x - 1, y) ) addEdge(x, y + 1, x, y);
+    }
+  }
+
+  const loops = [];
+  for ( const [start, startOut] of edges ) {
+    while ( startOut.length ) {
+      const loop = [];
+      let v = start;
+      let dx = 0;
+      let dy = 0;
+      do {
+        const out = edges.get(v);
+        let idx = 0;
+        if ( out.length > 1 ) {
+          // Prefer the right turn, (-dy, dx) on the canvas.
+          const vx = v % w;
+          const vy = Math.floor(v / w);
+          const right = ((vy + dx) * w) + (vx - dy);
+          idx = Math.max(0, out.indexOf(right));
+        }
+        const next = out.splice(idx, 1)[0];
+        const ndx = (next % w) - (v % w);
+        const ndy = Math.floor(next / w) - Math.floor(v / w);
+
+        // Only keep the vertex if the loop turns here.
+        if ( ndx !== dx || ndy !== dy ) loop.push(v % w, Math.floor(v / w));
+        dx = ndx;
+        dy = ndy;
+        v = next;
+      } while ( v !== start );
+
+      // The start vertex is kept even if the loop does not turn there; drop it if so.
+      const n = loop.length;
+      if ( n > 6 ) {
+        const [x0, y0] = loop;
+        const collinear = ((loop[n - 2] - x0) * (loop[3] - y0)) === ((loop[2] - x0) * (loop[n - 1] - y0));
+        if ( collinear ) loop.splice(0, 2);
+      }
+      loops.push(loop);
+    }
+  }
+  return loops;
+}
+
+/**
+ * Simplify a closed loop of flat points (Ramer–Douglas–Peucker).
+ * @param {number[]} loop       Flat points
+ * @param {number} tolerance    Greatest distance of a removed point from the simplified loop
+ * @returns {number[]} Flat points of the simplified loop
+ */
+function simplifyLoop(loop, tolerance) {
+  const n = loop.length / 2;
+  if ( n <= 4 ) return [...loop];
+
+  // Split the loop at the first point and the point farthest from it.
+  let far = 0;
+  let farDist2 = -1;
+  for ( let i = 1; i < n; i += 1 ) {
+    const d2 = ((loop[2 * i] - loop[0]) ** 2) + ((loop[(2 * i) + 1] - loop[1]) ** 2);
+    if ( d2 > farDist2 ) [far, farDist2] = [i, d2];
+  }
+
+  const keep = new Uint8Array(n + 1);
+  keep[0] = keep[far] = keep[n] = 1;
+  const px = i => loop[2 * (i % n)];
+  const py = i => loop[(2 * (i % n)) + 1];
+  const tol2 = tolerance * tolerance;
+  const stack = [[0, far], [far, n]];
+  while ( stack.length ) {
+    const [a, b] = stack.pop();
+    const ax = px(a);
+    const ay = py(a);
+    const dx = px(b) - ax;
+    const dy = py(b) - ay;
+    const len2 = (dx * dx) + (dy * dy);
+    let maxIdx = -1;
+    let maxDist2 = tol2;
+    for ( let i = a + 1; i < b; i += 1 ) {
+      const cross = (dx * (py(i) - ay)) - (dy * (px(i) - ax));
+      const d2 = len2 ? (cross * cross) / len2 : ((px(i) - ax) ** 2) + ((py(i) - ay) ** 2);
+      if ( d2 > maxDist2 ) [maxIdx, maxDist2] = [i, d2];
+    }
+    if ( maxIdx < 0 ) continue;
+    keep[maxIdx] = 1;
+    stack.push([a, maxIdx], [maxIdx, b]);
+  }
+
+  const out = [];
+  for ( let i = 0; i < n; i += 1 ) if ( keep[i] ) out.push(px(i), py(i));
+  return out;
+}
+
+/**
+ * Signed area of a closed loop of flat points. Positive if clockwise on the canvas.
+ * @param {number[]} pts
+ * @returns {number}
+ */
+function flatArea(pts) {
+  let area = 0;
+  const n = pts.length;
+  for ( let i = 0; i < n; i += 2 ) {
+    const j = (i + 2) % n;
+    area += (pts[i] * pts[j + 1]) - (pts[j] * pts[i + 1]);
+  }
+  return area * 0.5;
+}
+
+/**
+ * Does a closed loop of flat points contain the point? Even-odd rule.
+ * @param {number[]} pts
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+function flatContains(pts, x, y) {
+  let inside = false;
+  const n = pts.length;
+  for ( let i = 0, j = n - 2; i < n; j = i, i += 2 ) {
+    const [xi, yi, xj, yj] = [pts[i], pts[i + 1], pts[j], pts[j + 1]];
+    if ( ((yi > y) !== (yj > y)) && (x < ((xj - xi) * (y - yi) / (yj - yi)) + xi) ) inside = !inside;
+  }
+  return inside;
+}
@@ -43,6 +43,32 @@ export function getTokenByUUID(uuid) {
   return token?.object;
 }
 
+/**
+ * Creature types defined by the game system, such as humanoid or beast in dnd5e and pf2e.
+ * @returns {object<string, string>} Localized labels by creature type id; empty if the system has none
+ */
+export function creatureTypeChoices() {
+  const types = CONFIG.DND5E?.creatureTypes ?? CONFIG.PF2E?.creatureTypes ?? {};
+  const choices = {};
+  for ( const [id, type] of Object.entries(types) ) choices[id] = game.i18n.localize(type.label ?? type);
+  return choices;
+}
+
+/**
+ * Creature type of an actor, if the system defines one.
+ * Uses the dnd5e creature type or the first pf2e trait that is a creature type.
+ * @param {Actor} [actor]
+ * @returns {string|undefined} Creature type id
+ */
+export function actorCreatureType(actor) {
+  const system = actor?.system;
+  const type = system?.details?.type?.value;
+  if ( typeof type === "string" && type ) return type;
+  const traits = system?.traits?.value;
+  if ( Array.isArray(traits) ) return traits.find(t => Object.hasOwn(CONFIG.PF2E?.creatureTypes ?? {}, t));
+  return undefined;
+}
+
 /**
  * Get the key for a given object value. Presumes unique values, otherwise returns first.
  */
@@ -0,0 +1,107 @@
+/* globals
+canvas,
+Token
+*/
+"use strict";
+
+import { DEBUG } from "./const.js";
+import { SETTINGS, getSetting } from "./settings.js";
+import { Area2d } from "./Area2d.js";
+import { ClipperPaths } from "./geometry/ClipperPaths.js";
+import { ResultCache } from "./ResultCache.js";
+
+/* Light coverage
+
+When enabled, a token is seen by light perception only if enough of it is lit.
+- Each active light source is treated as a viewer, using light walls.
+- The lit portions of the target are combined for all lights, so a token half in each of two lights is fully lit.
+- Global illumination lights all tokens.
+- Results are cached by the target and the lights that reach it, as each test point of the target asks again.
+*/
+
+/**
+ * Percent lit, keyed by the target and the lights that could reach it.
+ * Emptied when the scene geometry, including light walls, changes.
+ * @type {ResultCache}
+ */
+export const litCache = new ResultCache();
+
+/**
+ * Percent of the target area lit by the light sources.
+ * The target border is constrained by walls and scaled by the target's visibility bounds scale.
+ * @param {Token} target
+ * @param {Iterable<LightSource>} [lightSources]    Defaults to all light sources on the canvas
+ * @returns {number} Percent between 0 and 1
+ */
+export function percentLit(target, lightSources = canvas.effects.lightSources) {
+  if ( canvas.effects.illumination.globalLight ) return 1;
+
+  const config = {
+    type: "light",
+    liveTokensBlock: false,
+    deadTokensBlock: false,
+    boundsScale: target.visibilityBoundsScale
+  };
+
+  // Find the lights that could reach the target.
+  const center = target.center;
+  const targetRadius = Math.hypot(target.w, target.h) * 0.5 * config.boundsScale;
+  const reachingLights = [];
+  for ( const lightSource of lightSources ) {
+    if ( !lightSource.active || lightSource.isDarkness || !lightSource.radius ) continue;
+    const dist = Math.hypot(lightSource.x - center.x, lightSource.y - center.y);
+    if ( dist <= lightSource.radius + targetRadius ) reachingLights.push(lightSource);
+  }
+  if ( !reachingLights.length ) return 0;
+
+  const key = DEBUG.area ? undefined
+    : [ResultCache.tokenKey(target), config.boundsScale, ...reachingLights.map(ResultCache.lightSourceKey)].join("|");
+  let percent = key ? litCache.get(key) : undefined;
+  if ( percent === undefined ) {
+    percent = calculatePercentLit(target, reachingLights, config);
+    if ( key ) litCache.set(key, percent);
+  }
+  return percent;
+}
+
+/**
+ * Combine the lit areas of each light and measure the lit percent of the target.
+ * @param {Token} target
+ * @param {LightSource[]} lightSources    Lights that could reach the target
+ * @param {object} config                 Area2d configuration
+ * @returns {number} Percent between 0 and 1
+ */
+function calculatePercentLit(target, lightSources, config) {
+  const litPaths = [];
+  let area2d;
+  for ( const lightSource of lightSources ) {
+    area2d = new Area2d(lightSource, target, { ...config });
+    area2d.debug = DEBUG.area;
+    const { top, bottom } = area2d._buildShadowLOS();
+    for ( const los of [top, bottom] ) {
+      if ( !los ) continue;
+      litPaths.push(los instanceof ClipperPaths
+        ? los : ClipperPaths.fromPolygons([los], { scalingFactor: Area2d.SCALING_FACTOR }));
+    }
+  }
+  if ( !litPaths.length ) return 0;
+
+  const lit = ClipperPaths.combinePaths(litPaths);
+  lit.combine().clean();
+  return area2d._calculatePercentSeen(lit, area2d.targetBorder);
+}
+
+/**
+ * Is enough of the target lit to be seen by light perception?
+ * Always true if the light coverage requirement is not enabled.
+ * @param {Token} target
+ * @param {Iterable<LightSource>} [lightSources]    Defaults to all light sources on the canvas
+ * @returns {boolean}
+ */
+export function targetIsLit(target, lightSources) {
+  if ( !(target instanceof Token) || !getSetting(SETTINGS.LIGHTING.REQUIRE_LIT) ) return true;
+  const threshold = getSetting(SETTINGS.LIGHTING.PERCENT_LIT);
+  const lit = percentLit(target, lightSources);
+  if ( lit.almostEqual(0) ) return false;
+  return lit > threshold || lit.almostEqual(threshold);
+}
@@ -1,20 +1,25 @@
 /* globals
 canvas,
 CONFIG,
+foundry,
+Hooks,
 LimitedAnglePolygon,
 PointSourcePolygon,
 Token
 */
 "use strict";
 
-import { DEBUG, MODULES_ACTIVE, COVER } from "./const.js";
-import { SETTINGS } from "./settings.js";
+import { MODULE_ID, DEBUG, MODULES_ACTIVE, COVER, LOS_ALGORITHMS, OBSCUREMENT } from "./const.js";
+import { SETTINGS, addAlgorithmChoice } from "./settings.js";
 import { Point3d } from "./geometry/3d/Point3d.js";
 import { Area2d } from "./Area2d.js";
 import { Area3d } from "./Area3d.js";
 import { ConstrainedTokenBorder } from "./ConstrainedTokenBorder.js";
 import { Draw } from "./geometry/Draw.js";
 import { CoverCalculator } from "./CoverCalculator.js";
+import { ResultCache } from "./ResultCache.js";
+import { Area3dWorker } from "./Area3dWorker.js";
+import { segmentObscurement, tileBoxesAlongSegment } from "./obscurement.js";
 
 /* Visibility algorithm
 Three tests, increasing in difficulty and stringency. User can select between 0% and 100%
@@ -80,6 +85,110 @@ DetectionMode.prototype._testRange
 
 */
 
+// ----- NOTE: Line-of-sight algorithms ----- //
+
+/**
+ * Results of the built-in algorithms that test the whole target, reused across perception updates.
+ * Keyed by the vision source, target, algorithm, percent area, and bounds scale.
+ * @type {ResultCache}
+ */
+export const losCache = new ResultCache();
+
+/**
+ * Test line-of-sight from a vision source to a target using a line-of-sight algorithm.
+ * The result is cached for the vision source, by default in test.los.
+ * Results of built-in algorithms that test the whole target are also kept in losCache until
+ * the vision source, the target, or the scene geometry changes.
+ * Unknown algorithms, such as one no longer registered, fall back on testing points.
+ * Targets that are not tokens are always tested by point.
+ *
+ * Hook: tokenvisibility.testLOS(visionSource, target, test, data). data is {algorithm, hasLOS}.
+ * Hooks may change data.hasLOS. Called once per test point, before the result is cached.
+ * @param {string} algorithm                Id of the algorithm, such as SETTINGS.LOS.TYPES.POINTS
+ * @param {VisionSource} visionSource
+ * @param {Token} target
+ * @param {CanvasVisibilityTest} test       Object containing Point to test
+ * @param {object} [options]
+ * @param {number} [options.percentArea]    Percent of the target that must be visible, for area algorithms.
+ *                                          Defaults to the target's minimum visible percent.
+ * @param {Map<VisionSource, boolean>} [options.cache]  Where to cache the result; defaults to test.los
+ * @returns {boolean} True if source has line-of-sight to the target for this test
+ */
+export function testLOS(algorithm, visionSource, target, test, { percentArea, cache = test.los } = {}) {
+  // Check the cached value; return if there.
+  let hasLOS = cache.get(visionSource);
+  if ( hasLOS === true || hasLOS === false ) return hasLOS;
+
+  const { fn, centerPointOnly } = LOS_ALGORITHMS.get(algorithm) ?? LOS_ALGORITHMS.get(SETTINGS.LOS.TYPES.POINTS);
+
+  // Targets other than tokens only have the test point to test.
+  // Algorithms that test the whole target only do so once, for the center point.
+  if ( !(target instanceof Token) ) hasLOS = testLOSPoint(visionSource, target, test);
+  else if ( centerPointOnly && !testIsCenterPoint(target, test) ) hasLOS = false;
+  else {
+    const key = cachedLOSKey(algorithm, visionSource, target, percentArea);
+    hasLOS = key ? losCache.get(key) : undefined;
+    if ( hasLOS === undefined ) {
+      hasLOS = Boolean(fn(visionSource, target, test, { percentArea }));
+      if ( key ) losCache.set(key, hasLOS);
+    }
+  }
+
+  const data = { algorithm, hasLOS };
+  Hooks.callAll(`${MODULE_ID}.testLOS`, visionSource, target, test, data);
+  hasLOS = Boolean(data.hasLOS);
+
+  cache.set(visionSource, hasLOS);
+  return hasLOS;
+}
+
+/**
+ * Key to cache a line-of-sight result across perception updates.
+ * Only built-in algorithms that test the whole target are cached, as registered algorithms
+ * may depend on data not in the key. Nothing is cached while debugging.
+ * @param {string} algorithm
+ * @param {VisionSource} visionSource
+ * @param {Token} target
+ * @param {number} [percentArea]
+ * @returns {string|undefined}
+ */
+function cachedLOSKey(algorithm, visionSource, target, percentArea) {
+  if ( DEBUG.los || DEBUG.forceLiveTokensBlock || DEBUG.forceDeadTokensBlock ) return undefined;
+  if ( !(target instanceof Token) ) return undefined;
+  const { CORNERS, AREA, AREA3D } = SETTINGS.LOS.TYPES;
+  if ( algorithm !== CORNERS && algorithm !== AREA && algorithm !== AREA3D ) return undefined;
+
+  // Results from the worker may be stale, so they are tracked separately. See area3dWorkerPercent.
+  if ( algorithm === AREA3D && Area3dWorker.enabled ) return undefined;
+  percentArea ??= target.losPercentArea;
+  return `${algorithm}|${ResultCache.visionSourceKey(visionSource)}|${ResultCache.tokenKey(target)}|${percentArea}|${target.visibilityBoundsScale}`;
+}
+
+/**
+ * Register a line-of-sight algorithm, making it available in the LOS algorithm setting.
+ * @param {string} id                             Unique id, stored as the LOS algorithm setting
+ * @param {object} options
+ * @param {string} options.label                  Name or localization key
+ * @param {function} options.fn                   (visionSource, target, test, { percentArea }) => boolean.
+ *   percentArea is the percent of the target required to be visible, if set for the detection mode or target.
+ * @param {boolean} [options.centerPointOnly=false]   Test the target once, at its center point.
+ *   Other test points of the target do not have line-of-sight.
+ */
+export function registerLOSAlgorithm(id, { label, fn, centerPointOnly = false } = {}) {
+  if ( Object.values(SETTINGS.LOS.TYPES).includes(id) ) {
+    console.error(`registerLOSAlgorithm|${id} is a built-in line-of-sight algorithm.`);
+    return;
+  }
+  if ( typeof fn !== "function" ) {
+    console.error(`registerLOSAlgorithm|${id} requires a function.`);
+    return;
+  }
+
+  label ??= id;
+  LOS_ALGORITHMS.set(id, { label, fn, centerPointOnly });
+  addAlgorithmChoice(SETTINGS.LOS.ALGORITHM, id, label);
+}
+
 /**
  * Draw red or green test points for debugging.
  * @param {VisionSource} visionSource
@@ -87,7 +196,7 @@ DetectionMode.prototype._testRange
  * @param {boolean} hasLOS       Is there line-of-sight to the point?
  */
 export function drawDebugPoint(visionSource, pt, hasLOS) {
-  const origin = new Point3d(visionSource.x, visionSource.y, visionSource.elevationZ);
+  const origin = new Point3d(visionSource.x, visionSource.y, visionSource.eyeZ);
   Draw.segment({A: origin, B: pt}, {
     color: hasLOS ? Draw.COLORS.green : Draw.COLORS.red,
     alpha: 0.5
@@ -106,12 +215,41 @@ function isConstrained(los) {
 }
 
 
+/**
+ * Is the point outside the vision angle of a vision source with a limited angle?
+ * Points within the external radius of the source are always inside.
+ * @param {VisionSource} visionSource
+ * @param {Point} pt
+ * @returns {boolean}
+ */
+function isOutsideVisionAngle(visionSource, pt) {
+  const { angle, rotation, externalRadius } = visionSource.data;
+  if ( angle === 360 ) return false;
+  const dx = pt.x - visionSource.x;
+  const dy = pt.y - visionSource.y;
+  if ( (dx * dx) + (dy * dy) <= (externalRadius * externalRadius) ) return false;
+  const aMin = rotation + 90 - (angle / 2);
+  const a = Math.toDegrees(Math.atan2(dy, dx));
+  return ((((a - aMin) % 360) + 360) % 360) > angle;
+}
+
+/**
+ * Does the scene have walls with a limited bottom or top elevation?
+ * @returns {boolean}
+ */
+function sceneHasLimitedWalls() {
+  return canvas.walls.placeables.some(w => isFinite(w.topZ) || isFinite(w.bottomZ));
+}
+
 /**
  * Test a point for line-of-sight. Confirm:
  * 1. Point is on the same level as the visionSource.
  * 2. Point is in LOS.
  * 3. Point is within the constrained target shape.
- * 4. No collisions with wall height limited walls.
+ * 4. No heavily obscured volumes or tile boxes between the source and the point.
+ * 5. No collisions with walls of limited height.
+ * The target shape and test point are scaled by the target's visibility bounds scale.
+ * Each point is tested alone, so the target's minimum visible percent does not apply.
  * @param {VisionSource} visionSource
  * @param {Token} target
  * @param {object} test       Object containing Point to test
@@ -119,8 +257,9 @@ function isConstrained(los) {
  */
 export function testLOSPoint(visionSource, target, test) {
   // Test for Levels to avoid vision between levels tiles
-  const origin = new Point3d(visionSource.x, visionSource.y, visionSource.elevationZ);
-  const pt = test.point;
+  const origin = new Point3d(visionSource.x, visionSource.y, visionSource.eyeZ);
+  const boundsScale = target.visibilityBoundsScale;
+  const pt = scaleTestPoint(test.point, target, boundsScale);
   if ( !hasLOSCeilingFloorLevels(origin, pt) ) return false;
 
   // If not within LOS, then we are done.
@@ -128,31 +267,32 @@ export function testLOSPoint(visionSource, target, test) {
     if ( !isConstrained(visionSource.los) ) {
       if ( !visionSource.los.contains(pt.x, pt.y) ) return false;
     } else {
-      const { angle, rotation, externalRadius } = visionSource.data;
-      if ( angle !== 360 ) {
-        const dx = pt.x - visionSource.x;
-        const dy = pt.y - visionSource.y;
-        if ( (dx * dx) + (dy * dy) > (externalRadius * externalRadius) ) {
-          const aMin = rotation + 90 - (angle / 2);
-          const a = Math.toDegrees(Math.atan2(dy, dx));
-          if ( ((((a - aMin) % 360) + 360) % 360) > angle ) return false;
-        }
-      }
+      if ( isOutsideVisionAngle(visionSource, pt) ) return false;
       const origin = { x: visionSource.x, y: visionSource.y };
       const type = visionSource.los.config.type;
       if ( CONFIG.Canvas.losBackend.testCollision(origin, pt, { source: visionSource, type, mode: "any" }) ) {
         return false;
       }
     }
-  } else if ( !visionSource.los.contains(pt.x, pt.y) ) return false;
+  } else if ( !visionSource.los.contains(pt.x, pt.y) ) {
+    // Without Wall Height, the LOS is blocked by walls with a limited height as if they were infinite.
+    // Test the walls in 3d instead.
+    if ( MODULES_ACTIVE.WALL_HEIGHT || !sceneHasLimitedWalls() ) return false;
+    if ( isOutsideVisionAngle(visionSource, pt) ) return false;
+    if ( PointSourcePolygon.testCollision3d(origin, pt, { type: "sight", mode: "any" }) ) return false;
+  }
 
   // If not within the constrained token shape, then don't test.
   // Assume that unconstrained token shapes contain all test points.
-  const cst = ConstrainedTokenBorder.get(target);
+  const cst = ConstrainedTokenBorder.get(target, { boundsScale });
   if ( !cst.contains(pt.x, pt.y) ) return false;
 
-  // If wall height is not active, collisions will be equivalent to the contains test
-  // because no limited walls to screw this up. (Note that contains is true at this point.)
+  // Heavily obscured volumes block sight; lightly obscured volumes only reduce the area seen.
+  if ( segmentObscurement(origin, pt) === OBSCUREMENT.HEAVY ) return false;
+  if ( tileBoxesAlongSegment(origin, pt).length ) return false;
+
+  // If wall height is not active, the LOS already includes the limited walls, either as infinite walls
+  // or tested in 3d above. (Note that contains is true at this point.)
   if ( !MODULES_ACTIVE.WALL_HEIGHT ) return true;
 
   // Test all non-infinite walls for collisions
@@ -163,6 +303,7 @@ export function testLOSPoint(visionSource, target, test) {
 /**
  * Test a target token for line-of-sight using corners of the token and corners of the target.
  * (dnd5e DMG rule)
+ * Tests the whole target, so testLOS calls it only for the center point.
  * Tests all corners and returns true if at least one corner->corner is unblocked.
  * @param {VisionSource} visionSource
  * @param {Token} target
@@ -172,15 +313,17 @@ export function testLOSPoint(visionSource, target, test) {
 export function testLOSCorners(visionSource, target, test) {
   if ( !(target instanceof Token) ) return testLOSPoint(visionSource, target, test);
 
-  // If this is not the center point, do not test.
-  if ( !testIsCenterPoint(target, test) ) return false;
-
   const coverCalc = new CoverCalculator(visionSource, target, {
     type: "sight",
     deadTokensBlock: false,
     liveTokensBlock: false,
     liveForceHalfCover: false,
-    proneTokensBlock: false
+    proneTokensBlock: false,
+    wallOverrides: false, // Cover overrides do not affect line-of-sight.
+    obscurementBlocks: true, // Heavily obscured volumes block sight.
+    obscurementCover: false,
+    templatesBlock: false, // Templates that block sight are obscured volumes.
+    callHooks: false // Line-of-sight has its own hook.
   });
 
   coverCalc.debug = DEBUG.los;
@@ -193,12 +336,11 @@ export function testLOSCorners(visionSource, target, test) {
  * @param {VisionSource} visionSource
  * @param {Token} target
  * @param {object} pt       Point to test
- * @returns {boolean} True if source has line-of-sight to point for center point, false otherwise.
+ * @param {object} [options]
+ * @param {number} [options.percentArea]  Percent of the target required; defaults to the target's minimum
+ * @returns {boolean} True if source has line-of-sight to the target. Called by testLOS for the center point only.
  */
-export function testLOSArea(visionSource, target, test) {
-  // If this is not the center point, do not test.
-  if ( !testIsCenterPoint(target, test) ) return false;
-
+export function testLOSArea(visionSource, target, test, { percentArea } = {}) {
   // Avoid errors when testing vision for tokens directly on top of one another
   if ( visionSource.x === target.center.x && visionSource.y === target.center.y ) return false;
 
@@ -207,7 +349,8 @@ export function testLOSArea(visionSource, target, test) {
   const config = {
     type: "sight",
     liveTokensBlock: false,
-    deadTokensBlock: false
+    deadTokensBlock: false,
+    boundsScale: target.visibilityBoundsScale
   };
 
   if ( DEBUG.forceLiveTokensBlock ) config.liveTokensBlock = true;
@@ -215,7 +358,7 @@ export function testLOSArea(visionSource, target, test) {
 
   const area2d = new Area2d(visionSource, target, config);
   area2d.debug = DEBUG.los;
-  return area2d.hasLOS(centerPointIsVisible);
+  return area2d.hasLOS(centerPointIsVisible, percentArea);
 }
 
 /**
@@ -223,12 +366,11 @@ export function testLOSArea(visionSource, target, test) {
  * @param {VisionSource} visionSource
  * @param {Token} target
  * @param {object} pt       Point to test
- * @returns {boolean} True if source has line-of-sight for center point, false otherwise
+ * @param {object} [options]
+ * @param {number} [options.percentArea]  Percent of the target required; defaults to the target's minimum
+ * @returns {boolean} True if source has line-of-sight to the target. Called by testLOS for the center point only.
  */
-export function testLOSArea3d(visionSource, target, test) {
-  // If this is not the center point, do not test.
-  if ( !testIsCenterPoint(target, test) ) return false;
-
+export function testLOSArea3d(visionSource, target, test, { percentArea } = {}) {
   // Avoid errors when testing vision for tokens directly on top of one another
   if ( visionSource.x === target.center.x && visionSource.y === target.center.y ) return false;
 
@@ -236,7 +378,8 @@ export function testLOSArea3d(visionSource, target, test) {
   const config = {
     type: "sight",
     liveTokensBlock: false,
-    deadTokensBlock: false
+    deadTokensBlock: false,
+    boundsScale: target.visibilityBoundsScale
   };
 
   if ( DEBUG.forceLiveTokensBlock ) config.liveTokensBlock = true;
@@ -250,7 +393,98 @@ export function testLOSArea3d(visionSource, target, test) {
     const targets = canvas.tokens.placeables.filter(t => t.isTargeted);
     area3d.debug = targets.some(t => t === target);
   }
-  return area3d.hasLOS();
+  if ( area3d.debug || !Area3dWorker.enabled ) return area3d.hasLOS(percentArea);
+
+  percentArea ??= target.losPercentArea;
+  const percentVisible = area3dWorkerPercent(area3d, visionSource, target);
+  if ( percentVisible.almostEqual(0) ) return false;
+  return (percentVisible > percentArea) || percentVisible.almostEqual(percentArea);
+}
+
+/**
+ * Last percent visible calculated by the worker for each vision source and target.
+ * @type {Map<string, {stateKey: string, percent: number, pendingKey: string|undefined}>}
+ */
+const area3dWorkerResults = new Map();
+
+/**
+ * Refresh vision once a burst of worker results arrives.
+ * @type {function}
+ */
+const refreshVisionForWorker = foundry.utils.debounce(() => canvas.perception.update({ refreshVision: true }), 50);
+
+/**
+ * Percent of the target visible, using the last result from the worker.
+ * If the vision source, target, or scene has changed since, the last result is used while the
+ * worker calculates a new one; vision is refreshed when it arrives.
+ * Without a prior result for the pair, calculates on the main thread.
+ * Each pair has at most one calculation in the worker. A newer request waits for it,
+ * replacing any request already waiting, so that superseded requests are dropped.
+ * @param {Area3d} area3d
+ * @param {VisionSource} visionSource
+ * @param {Token} target
+ * @returns {number}
+ */
+function area3dWorkerPercent(area3d, visionSource, target) {
+  const pairKey = `${visionSource.object?.id}|${target.id}`;
+  const stateKey = [
+    ResultCache.visionSourceKey(visionSource),
+    ResultCache.tokenKey(target),
+    target.visibilityBoundsScale,
+    ResultCache.geometryVersion].join("|");
+
+  let result = area3dWorkerResults.get(pairKey);
+  if ( !result ) {
+    if ( area3dWorkerResults.size >= ResultCache.MAX_ENTRIES ) area3dWorkerResults.clear();
+    result = { stateKey, percent: area3d.percentAreaVisible(), pendingKey: undefined, waiting: undefined };
+    area3dWorkerResults.set(pairKey, result);
+    return result.percent;
+  }
+  if ( result.stateKey === stateKey || result.pendingKey === stateKey ) return result.percent;
+
+  if ( result.pendingKey ) result.waiting = { area3d, stateKey };
+  else runArea3dWorker(result, area3d, stateKey);
+  return result.percent;
+}
+
+/**
+ * Calculate the percent visible for a pair in the worker and store it in the pair's result.
+ * When done, start the request waiting for the pair, if any.
+ * @param {object} result     Entry of area3dWorkerResults
+ * @param {Area3d} area3d
+ * @param {string} stateKey   State of the vision source, target, and scene for the calculation
+ */
+function runArea3dWorker(result, area3d, stateKey) {
+  result.pendingKey = stateKey;
+  area3d.percentAreaVisibleAsync()
+    .then(percent => {
+      result.stateKey = stateKey;
+      result.percent = percent;
+      refreshVisionForWorker();
+    })
+    .catch(err => console.error("testLOSArea3d|Area3d calculation failed.", err))
+    .finally(() => {
+      result.pendingKey = undefined;
+      const waiting = result.waiting;
+      result.waiting = undefined;
+      if ( waiting && waiting.stateKey !== result.stateKey ) runArea3dWorker(result, waiting.area3d, waiting.stateKey);
+    });
+}
+
+/**
+ * Move a test point away from or toward the target center, with the target's scaled visibility bounds.
+ * @param {Point3d} point     Test point
+ * @param {Token} target
+ * @param {number} scale      See Token.prototype.visibilityBoundsScale
+ * @returns {Point3d} The test point, if the scale is 1; otherwise a new point
+ */
+function scaleTestPoint(point, target, scale) {
+  if ( scale === 1 ) return point;
+  const center = target.center;
+  return new Point3d(
+    center.x + ((point.x - center.x) * scale),
+    center.y + ((point.y - center.y) * scale),
+    point.z);
 }
 
 /**
@@ -312,3 +546,33 @@ function getPointForPlane(a, b, z) {
   const y = ((dzaz * (b.y - a.y)) + (b.z * a.y) - (a.z * a.y)) / dabz;
   return { x, y };
 }
+
+// ----- NOTE: Built-in line-of-sight algorithms ----- //
+
+LOS_ALGORITHMS.set(SETTINGS.LOS.TYPES.POINTS, {
+  label: `${MODULE_ID}.settings.${SETTINGS.LOS.TYPES.POINTS}`,
+  fn: (visionSource, target, test) => {
+    const hasLOS = testLOSPoint(visionSource, target, test);
+    DEBUG.los && drawDebugPoint(visionSource, test.point, hasLOS); // eslint-disable-line no-unused-expressions
+    return hasLOS;
+  },
+  centerPointOnly: false
+});
+
+LOS_ALGORITHMS.set(SETTINGS.LOS.TYPES.CORNERS, {
+  label: `${MODULE_ID}.settings.${SETTINGS.LOS.TYPES.CORNERS}`,
+  fn: testLOSCorners,
+  centerPointOnly: true
+});
+
+LOS_ALGORITHMS.set(SETTINGS.LOS.TYPES.AREA, {
+  label: `${MODULE_ID}.settings.${SETTINGS.LOS.TYPES.AREA}`,
+  fn: testLOSArea,
+  centerPointOnly: true
+});
+
+LOS_ALGORITHMS.set(SETTINGS.LOS.TYPES.AREA3D, {
+  label: `${MODULE_ID}.settings.${SETTINGS.LOS.TYPES.AREA3D}`,
+  fn: testLOSArea3d,
+  centerPointOnly: true
+});
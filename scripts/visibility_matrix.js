@@ -0,0 +1,139 @@
+/* globals
+canvas,
+CONFIG,
+VisionSource
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { SETTINGS, getSetting, getCoverName } from "./settings.js";
+import { Area2d } from "./Area2d.js";
+import { Area3d } from "./Area3d.js";
+import { CoverCalculator } from "./CoverCalculator.js";
+import { testLOS } from "./visibility_los.js";
+import { Point3d } from "./geometry/3d/Point3d.js";
+
+/**
+ * @typedef VisibilityMatrixEntry  Line-of-sight from one viewer to one target.
+ * @type {object}
+ * @property {Token} viewer
+ * @property {Token} target
+ * @property {number} percentVisible    Percent of the target visible to the viewer, between 0 and 1
+ * @property {boolean} hasLOS           Whether the viewer has line-of-sight to the target
+ * @property {number} distance          3d distance from the viewer eye to the target center, in grid units
+ */
+
+/**
+ * @typedef CoverMatrixEntry  Cover of one target from one viewer.
+ * @type {object}
+ * @property {Token} viewer
+ * @property {Token} target
+ * @property {COVER_TYPE} coverType     Cover type, as with CoverCalculator.prototype.targetCover
+ * @property {string} coverName         Name of the cover tier
+ * @property {number} distance          3d distance from the viewer eye to the target center, in grid units
+ */
+
+/**
+ * Line-of-sight from every viewer to every other target.
+ * The percent visible is measured with Area3d if that is the algorithm; otherwise Area2d.
+ * Line-of-sight is tested at the target center point, as with los.testLOS, and ignores vision range.
+ * Viewers without a vision source on the canvas, such as tokens the user does not control, use a temporary one.
+ * @param {object} [options]
+ * @param {Token[]|Set<Token>} [options.viewers]    Defaults to all tokens with sight
+ * @param {Token[]|Set<Token>} [options.targets]    Defaults to all tokens
+ * @param {string} [options.algorithm]              Line-of-sight algorithm; defaults to the setting
+ * @returns {VisibilityMatrixEntry[]}
+ */
+export function visibilityMatrix({
+  viewers = canvas.tokens.placeables.filter(t => t.hasSight),
+  targets = canvas.tokens.placeables,
+  algorithm = getSetting(SETTINGS.LOS.ALGORITHM) } = {}) {
+
+  const Area = algorithm === SETTINGS.LOS.TYPES.AREA3D ? Area3d : Area2d;
+  const entries = [];
+  for ( const viewer of viewers ) {
+    const { visionSource, temporary } = visionSourceForToken(viewer);
+    try {
+      for ( const target of targets ) {
+        if ( target === viewer ) continue;
+        const test = {
+          point: new Point3d(target.center.x, target.center.y, CoverCalculator.averageTokenElevationZ(target)),
+          los: new Map(),
+          centerPoint: true
+        };
+        const sameCenter = visionSource.x === target.center.x && visionSource.y === target.center.y;
+        const area = sameCenter ? undefined
+          : new Area(visionSource, target, { type: "sight", boundsScale: target.visibilityBoundsScale });
+        entries.push({
+          viewer,
+          target,
+          percentVisible: area?.percentAreaVisible() ?? 0,
+          hasLOS: testLOS(algorithm, visionSource, target, test),
+          distance: matrixDistance(viewer, target)
+        });
+      }
+    } finally {
+      if ( temporary ) visionSource.destroy();
+    }
+  }
+  return entries;
+}
+
+/**
+ * Cover of every target from every other viewer.
+ * Uses CoverCalculator.coverCalculations, so cover hooks and wall overrides apply as for attacks.
+ * @param {object} [options]
+ * @param {Token[]|Set<Token>} [options.viewers]    Defaults to all tokens
+ * @param {Token[]|Set<Token>} [options.targets]    Defaults to all tokens
+ * @param {string} [options.algorithm]              Cover algorithm; defaults to the setting
+ * @returns {CoverMatrixEntry[]}
+ */
+export function coverMatrix({
+  viewers = canvas.tokens.placeables,
+  targets = canvas.tokens.placeables,
+  algorithm = getSetting(SETTINGS.COVER.ALGORITHM) } = {}) {
+
+  const entries = [];
+  for ( const viewer of viewers ) {
+    const viewerTargets = [...targets].filter(t => t !== viewer);
+    const calcs = CoverCalculator.coverCalculations(viewer, viewerTargets, new Map(), algorithm);
+    for ( const [target, coverType] of calcs ) {
+      entries.push({
+        viewer,
+        target,
+        coverType,
+        coverName: getCoverName(coverType),
+        distance: matrixDistance(viewer, target)
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Vision source for a token, for testing line-of-sight outside of perception updates.
+ * Uses the token's vision source if it is on the canvas; otherwise initializes a temporary one.
+ * @param {Token} token
+ * @returns {{visionSource: VisionSource, temporary: boolean}} Destroy temporary vision sources after use.
+ */
+function visionSourceForToken(token) {
+  const vision = token.vision;
+  if ( vision?.los && canvas.effects.visionSources.has(vision.sourceId) ) {
+    return { visionSource: vision, temporary: false };
+  }
+  const visionSource = new VisionSource({ object: token });
+  visionSource.initialize(token._getVisionSourceData());
+  return { visionSource, temporary: true };
+}
+
+/**
+ * 3d distance from the viewer eye to the target center, as shown in the cover dialog.
+ * @param {Token} viewer
+ * @param {Token} target
+ * @returns {number} Distance in grid units
+ */
+function matrixDistance(viewer, target) {
+  const viewerPoint = new Point3d(viewer.center.x, viewer.center.y, viewer.eyeZ);
+  const targetPoint = new Point3d(target.center.x, target.center.y, CoverCalculator.averageTokenElevationZ(target));
+  return CONFIG.GeometryLib.utils.pixelsToGridUnits(Point3d.distanceBetween(viewerPoint, targetPoint));
+}
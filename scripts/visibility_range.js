@@ -23,16 +23,19 @@ Algorithms (points):
 /**
  * @param {object[]} tests                    Test object, containing point and los Map
  * @param {PlaceableObject} object            The target placeable
+ * @param {string} [rangeAlg]                 Range points, one of SETTINGS.RANGE.TYPES.
+ *                                            Defaults to the world setting.
  * @returns {object[]} tests, with elevation and possibly other tests added.
  */
-export function elevatePoints(tests, object) {
+export function elevatePoints(tests, object, rangeAlg = getSetting(SETTINGS.RANGE.ALGORITHM)) {
   if ( !(object instanceof Token) || !tests.length ) return tests;
 
   // We assume for the moment that test points are arranged as in default Foundry:
   // center, 4 corners, 4 midpoints
-  // We deal with the center test in testVisibilityCanvasVisibility
-  const rangeAlg = getSetting(SETTINGS.RANGE.ALGORITHM);
-  if ( rangeAlg === SETTINGS.RANGE.TYPES.FIVE ) tests = tests.splice(0, 5);
+  // If every detection mode uses the center point, only it is created; see testVisibilityCanvasVisibility.
+  // The tests are shared by each detection mode, so copy rather than modify the array.
+  if ( rangeAlg === SETTINGS.RANGE.TYPES.CENTER ) tests = tests.slice(0, 1);
+  else if ( rangeAlg === SETTINGS.RANGE.TYPES.FIVE ) tests = tests.slice(0, 5);
 
   // Create default elevations
   const { topZ, bottomZ } = object;
@@ -0,0 +1,158 @@
+/* globals
+ClipperLib,
+importScripts,
+self
+*/
+"use strict";
+
+/* Web worker that calculates the percent of a target visible to a viewer, for Area3d.
+Runs the polygon clipping of Area3d.prototype._obscureSides off the main thread.
+Loaded as a classic worker, so it cannot import the module's classes, which depend on Foundry.
+
+Messages to the worker are {id, action, data}. Replies are {id, result} or {id, error}.
+Actions:
+- init: data is {clipperURL}. Loads the Clipper library used by Foundry.
+- percentAreaVisible: data is Area3dWorkerData; see Area3d.prototype._workerData. Returns a number.
+*/
+
+/**
+ * Multiplier for the perspective transform. See PlanePoints3d.perspectiveTransform.
+ * @type {number}
+ */
+const PERSPECTIVE_MULTIPLIER = 1000;
+
+self.onmessage = function(event) {
+  const { id, action, data } = event.data;
+  let result;
+  try {
+    switch ( action ) {
+      case "init":
+        importScripts(data.clipperURL);
+        result = true;
+        break;
+      case "percentAreaVisible":
+        result = percentAreaVisible(data);
+        break;
+      default:
+        throw new Error(`Unknown action ${action}`);
+    }
+  } catch( err ) {
+    self.postMessage({ id, error: err.message });
+    return;
+  }
+  self.postMessage({ id, result });
+};
+
+/**
+ * Percent of the target faces visible to the viewer.
+ * Same calculation as Area3d.prototype.percentAreaVisible.
+ * @param {Area3dWorkerData} data
+ * @returns {number}
+ */
+function percentAreaVisible({ sides, walls, tokens, tiles, tileBoxes, terrainWalls, scalingFactor }) {
+  const scale = pts => pts.map(pt => ({ X: Math.round(pt.x * scalingFactor), Y: Math.round(pt.y * scalingFactor) }));
+  const toPath = points3d => scale(perspectiveTransform(points3d));
+
+  // Combine the blocking objects into a single set of paths.
+  const blocking = [];
+  if ( walls.length ) blocking.push(...union(walls.map(toPath)));
+  if ( tokens.length ) blocking.push(...union(tokens.map(toPath)));
+  if ( tileBoxes.length ) blocking.push(...union(tileBoxes.map(toPath)));
+  if ( terrainWalls.length ) blocking.push(...terrainWalls.map(pts => scale(pointsFromFlat(pts, 2))));
+  for ( const tile of tiles ) {
+    const tilePath = toPath(tile.points);
+    if ( !tile.holes.length ) {
+      blocking.push(tilePath);
+      continue;
+    }
+    blocking.push(...clip(ClipperLib.ClipType.ctDifference, [tilePath], tile.holes.map(toPath)));
+  }
+  const blockingPaths = blocking.length ? union(blocking) : [];
+
+  // Take the difference between each side and the blocking objects.
+  let sidesArea = 0;
+  let visibleArea = 0;
+  for ( const side of sides ) {
+    const sidePath = toPath(side);
+    sidesArea += Math.abs(ClipperLib.Clipper.Area(sidePath));
+    const visible = blockingPaths.length
+      ? clip(ClipperLib.ClipType.ctDifference, [sidePath], blockingPaths) : [sidePath];
+    visibleArea += Math.abs(visible.reduce((acc, path) => acc + ClipperLib.Clipper.Area(path), 0));
+  }
+
+  const percentSeen = sidesArea ? visibleArea / sidesArea : 0;
+
+  // Round the percent seen so that near-zero areas are 0.
+  return percentSeen < 0.005 ? 0 : percentSeen;
+}
+
+/**
+ * Points from a flat array of coordinates.
+ * @param {number[]} flat         [x0, y0, z0, x1, y1, z1, ...] or [x0, y0, x1, y1, ...]
+ * @param {number} dimensions     2 or 3
+ * @returns {object[]}  Points with x, y, and, if 3d, z
+ */
+function pointsFromFlat(flat, dimensions) {
+  const out = [];
+  for ( let i = 0; i < flat.length; i += dimensions ) {
+    const pt = { x: flat[i], y: flat[i + 1] };
+    if ( dimensions === 3 ) pt.z = flat[i + 2];
+    out.push(pt);
+  }
+  return out;
+}
+
+/**
+ * Transform 3d points in the viewer's view to 2d perspective, in clockwise order.
+ * See PlanePoints3d.prototype.perspectiveTransform.
+ * @param {number[]} flat   Flat array of 3d coordinates
+ * @returns {{x: number, y: number}[]}
+ */
+function perspectiveTransform(flat) {
+  const out = pointsFromFlat(flat, 3).map(pt => {
+    const mult = PERSPECTIVE_MULTIPLIER / -pt.z;
+    return { x: pt.x * mult, y: pt.y * mult };
+  });
+  if ( pointsArea2d(out) < 0 ) out.reverse();
+  return out;
+}
+
+/**
+ * Signed area of a 2d polygon. See PlanePoints3d.pointsArea2d.
+ * @param {{x: number, y: number}[]} points
+ * @returns {number}
+ */
+function pointsArea2d(points) {
+  const ln = points.length;
+  if ( ln < 3 ) return 0;
+  let a = 0;
+  for ( let i = 0, j = ln - 1; i < ln; i += 1 ) {
+    a += (points[j].x + points[i].x) * (points[j].y - points[i].y);
+    j = i;
+  }
+  return -a * 0.5;
+}
+
+/**
+ * Union a set of Clipper paths.
+ * @param {ClipperLib.Paths} paths
+ * @returns {ClipperLib.Paths}
+ */
+function union(paths) { return clip(ClipperLib.ClipType.ctUnion, paths); }
+
+/**
+ * Run a Clipper operation with the nonzero fill rule.
+ * @param {ClipperLib.ClipType} clipType
+ * @param {ClipperLib.Paths} subject
+ * @param {ClipperLib.Paths} [clipPaths]
+ * @returns {ClipperLib.Paths}
+ */
+function clip(clipType, subject, clipPaths) {
+  const c = new ClipperLib.Clipper();
+  c.AddPaths(subject, ClipperLib.PolyType.ptSubject, true);
+  if ( clipPaths ) c.AddPaths(clipPaths, ClipperLib.PolyType.ptClip, true);
+  const solution = new ClipperLib.Paths();
+  const fill = ClipperLib.PolyFillType.pftNonZero;
+  c.Execute(clipType, solution, fill, fill);
+  return solution;
+}